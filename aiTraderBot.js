@@ -4,147 +4,81 @@
 
 import TelegramBot from "node-telegram-bot-api";
 import CONFIG from "./config.js";
-import { fetchPrice, fetchMultiTF } from "./utils.js";
-import {
-  computeMultiTF,
-  deriveSignal
-} from "./core_indicators.js";
+import { startStream } from "./binance_stream.js";
+import { getSession } from "./chat_sessions.js";
+import { registerCommands, sendSummary, formatPaperEvent, reversalAlertSender } from "./tg_commands.js";
+import { startScheduler, isMarketOpen } from "./scheduler.js";
+import { startAlerts } from "./price_alerts.js";
+import { startPaperTrading, maybeAutoOpenReversal } from "./paper_trading.js";
+import { startOutcomeResolver } from "./outcome_resolver.js";
+import { initRegistry } from "./model_registry.js";
+import { startReversalWatcher, reversalEvents } from "./reversal_watcher.js";
+import { startApiServer } from "./api_server.js";
+import { startWsServer } from "./ws_server.js";
 
 const bot = new TelegramBot(process.env.BOT_TOKEN, { polling: true });
 
-// ===============================
-// TELEGRAM BUTTONS
-// ===============================
-const keyboard = {
-  reply_markup: {
-    keyboard: [
-      ["⚡ Generate Signal"],
-      ["Crypto", "India"],
-      ["Forex", "Commodities"],
-      ["Auto-Report: OFF"]
-    ],
-    resize_keyboard: true
-  }
-};
+// live klines / bookTicker for crypto symbols (REST polling stays as fallback)
+if (CONFIG.STREAM?.ENABLED) startStream();
 
 // ===============================
-// ON /start
+// COMMANDS / MENUS (tg_commands.js router)
 // ===============================
-bot.onText(/\/start/, (msg) => {
-  bot.sendMessage(
-    msg.chat.id,
-    `🔥 *AI Trader Bot Started*\nSelect market below`,
-    { parse_mode: "Markdown", ...keyboard }
-  );
-});
-
-// ============================================================
-// AUTO-REPORT TOGGLE
-// ============================================================
-let AUTO = false;
-
-bot.on("message", async (msg) => {
-  const t = msg.text;
-  const chat = msg.chat.id;
-
-  // ---------------- Market Switch ----------------
-  const switchMarket = (m) => {
-    CONFIG.ACTIVE_MARKET = m;
-    CONFIG.ACTIVE_SYMBOL = CONFIG.DEFAULT_BY_MARKET[m];
-
-    bot.sendMessage(
-      chat,
-      `🔄 Market switched to *${m}* \nSymbol: *${CONFIG.ACTIVE_SYMBOL}*`,
-      { parse_mode: "Markdown" }
-    );
-  };
+registerCommands(bot);
 
-  if (t === "Crypto") return switchMarket("CRYPTO");
-  if (t === "India") return switchMarket("INDIA");
-  if (t === "Forex") return switchMarket("FOREX");
-  if (t === "Commodities") return switchMarket("COMMODITIES");
-
-  // ---------------- Auto Report ----------------
-  if (t.includes("Auto-Report")) {
-    AUTO = !AUTO;
-    bot.sendMessage(
-      chat,
-      `⏱ Auto Report: *${AUTO ? "ON" : "OFF"}*`,
-      { parse_mode: "Markdown", ...keyboard }
-    );
-    return;
+// ===============================================================
+// SCHEDULED REPORTS (scheduler.js; /schedules, /auto)
+// "auto" schedules follow the chat's current symbol/TF and market hours
+// ===============================================================
+startScheduler(async (sched) => {
+  if (sched.tag === "auto") {
+    const s = getSession(sched.chatId);
+    if (!isMarketOpen(s.market)) return;
+    return sendSummary(bot, sched.chatId, s.symbol, s.tf);
   }
+  return sendSummary(bot, sched.chatId, sched.symbol, sched.tf, "🗓 Scheduled Report");
+});
 
-  // ----------------------------------------------------------
-  // GENERATE SIGNAL
-  // ----------------------------------------------------------
-  if (t === "⚡ Generate Signal") {
-    const market = CONFIG.ACTIVE_MARKET;
-    const symbol = CONFIG.ACTIVE_SYMBOL;
-
-    bot.sendMessage(chat, `📡 Fetching *${symbol}* (${market})...`, {
-      parse_mode: "Markdown"
-    });
-
-    // 1) LIVE PRICE
-    const price = await fetchPrice(symbol, market);
-
-    // 2) MULTI-TF OHLC
-    const tfData = await fetchMultiTF(symbol, market);
-
-    // 3) APPLY INDICATOR ENGINE
-    const indicatorsTF = computeMultiTF(tfData);
-
-    // 4) FINAL SIGNAL (weighted)
-    const finalSig = deriveSignal(indicatorsTF["5m"]); // base TF = 5m
-
-    // ----------------------------------------------------------
-    // BUILD SIGNAL REPORT
-    // ----------------------------------------------------------
-    let out = `🔥 *${symbol} — AI Market Intelligence*\n`;
-    out += `Market: *${market}*\n`;
-    out += `Price: *${price}*\n`;
-    out += `━━━━━━━━━━━━━━\n`;
-
-    for (const tf of ["1m", "5m", "15m", "30m", "1h"]) {
-      const d = indicatorsTF[tf];
-      if (!d) {
-        out += `🕒 ${tf}: ❌ No data\n`;
-        continue;
-      }
-      out += `🕒 *${tf}*\n`;
-      out += `• RSI: ${d.RSI}\n`;
-      out += `• ATR: ${d.ATR}\n`;
-      out += `• MACD.hist: ${d.MACD.hist}\n`;
-      out += `• Trend: ${d.priceTrend}\n`;
-      out += `• Vol: ${d.volumeTrend}\n\n`;
-    }
+// ===============================================================
+// PRICE / INDICATOR ALERTS (price_alerts.js; /alert, /alerts)
+// ===============================================================
+startAlerts((alert, text) =>
+  bot.sendMessage(alert.chatId, `🔔 ALERT ${alert.id}\n${text}${alert.mode === "repeat" ? "" : "\n(one-shot, removed)"}`)
+);
 
-    out += `━━━━━━━━━━━━━━\n`;
-    out += `📌 Final Signal: *${finalSig}*\n`;
-    out += `🌐 Source: Binance / Yahoo / Forex / Proxies\n`;
+// ===============================================================
+// REVERSAL ALERTS (reversal_watcher.js) — reversalEvents feed the WebSocket "alert:reversal:*" topic
+// (ws_server.js) and paper auto trading; text + chart to CONFIG.REVERSAL_WATCHER.CHAT_IDS when enabled
+// ===============================================================
+const reversalCfg = CONFIG.REVERSAL_WATCHER || {};
+const reversalToTelegram = reversalCfg.ENABLED && reversalCfg.CHAT_IDS?.length;
+if (!reversalCfg.DISABLED && (reversalToTelegram || CONFIG.WS_SERVER?.ENABLED)) {
+  startReversalWatcher(reversalCfg.SYMBOL || "BTCUSDT", {}, reversalToTelegram ? reversalAlertSender(bot, reversalCfg.CHAT_IDS) : null);
+}
 
-    bot.sendMessage(chat, out, { parse_mode: "Markdown" });
-  }
+// ===============================================================
+// PAPER TRADING (paper_trading.js; /paper)
+// ===============================================================
+const paperNotify = (chatId, ev) => bot.sendMessage(chatId, formatPaperEvent(ev));
+startPaperTrading(paperNotify);
+// reversal alerts open positions for chats with auto trading on (/paper auto on)
+reversalEvents.on("alert", ({ body }) => {
+  for (const ev of maybeAutoOpenReversal(body)) paperNotify(ev.chatId, ev).catch(() => {});
 });
 
 // ===============================================================
-// OPTIONAL AUTO REPORT LOOP
+// OUTCOME LABELLING (outcome_resolver.js) — feeds accuracy + adaptive weights
 // ===============================================================
-setInterval(async () => {
-  if (!AUTO) return;
+startOutcomeResolver();
 
-  const symbol = CONFIG.ACTIVE_SYMBOL;
-  const market = CONFIG.ACTIVE_MARKET;
-
-  const price = await fetchPrice(symbol, market);
-  const tfData = await fetchMultiTF(symbol, market);
-  const ind = computeMultiTF(tfData);
-  const sig = deriveSignal(ind["5m"]);
+// ===============================================================
+// MODEL REGISTRY (model_registry.js; /model) — restores shadow A/B scoring
+// ===============================================================
+initRegistry();
 
-  bot.sendMessage(
-    CONFIG.TELEGRAM.CHAT_ID,
-    `⏱ Auto Report — *${symbol}*\nSignal: *${sig}*\nPrice: *${price}*`,
-    { parse_mode: "Markdown" }
-  );
-}, 60_000); // every 1 min
\ No newline at end of file
+// ===============================================================
+// HTTP API (api_server.js) — /signal, /indicators, /elliott, /news, /stats, /healthz
+// WEBSOCKET PUSH (ws_server.js) — signal / price / reversal-alert topics on the same port
+// ===============================================================
+const httpServer = CONFIG.API_SERVER?.ENABLED ? startApiServer() : null;
+if (CONFIG.WS_SERVER?.ENABLED) startWsServer({ server: httpServer });
@@ -0,0 +1,236 @@
+// api_server.js — HTTP API over the same analysis the Telegram bot uses (express)
+// - GET /signal/:symbol?tf=15m     generateMergeSignal result (cached SIGNAL_TTL_MS per symbol/TF, not recorded)
+// - GET /indicators/:symbol?tf=     computeIndicators + deriveSignal per TF (all CONFIG.INTERVALS when tf omitted)
+// - GET /elliott/:symbol?tf=15m    analyzeElliott on the TF with multi-TF context
+// - GET /news/:symbol              fetchNewsBundle
+// - GET /stats                     v15 model / fusion stats, v8_6 accuracy, registry, CNN
+// - GET /scan?market=ALL&tf=15m&top=5  watchlist ranked into top long / short candidates (scanner.js)
+// - GET /chart/:symbol?tf=15m      candles + Elliott / SMC overlays + TP/SL of the latest signal (chart_data.js)
+// - GET /dashboard                 web dashboard (dashboard.html; the page itself needs no key, its data calls do)
+// - GET /healthz                   liveness (no key, no rate limit; also the keep-alive ping target)
+// - Symbols are validated against CONFIG.SYMBOLS, TFs against CONFIG.API_SERVER.TIMEFRAMES
+// - Keys: x-api-key header or ?key=; required when CONFIG.API_SERVER.KEYS is set (env API_KEYS),
+//   otherwise clients are told apart by IP (X-Forwarded-For trusted for TRUST_PROXY hops only).
+//   Fixed-window rate limit per key (429 + Retry-After)
+// - Errors: { ok:false, error } with 400 / 401 / 404 / 429 / 500
+// - Exports: createApiApp, startApiServer, stopApiServer
+
+import express from "express";
+import { fileURLToPath } from "url";
+import CONFIG from "./config.js";
+import { fetchMultiTF, resolveMarket, tfToMs } from "./utils.js";
+import { generateMergeSignal, latestSignal } from "./merge_signals.js";
+import { computeIndicators, deriveSignal } from "./core_indicators.js";
+import { analyzeElliott } from "./elliott_module.js";
+import { fetchNewsBundle } from "./news_social.js";
+import V15 from "./ml_module_v15.js";
+import { calculateAccuracy } from "./ml_module_v8_6.js";
+import { listVersions } from "./model_registry.js";
+import { getCNNInfo } from "./candle_cnn.js";
+import { buildChartData } from "./chart_data.js";
+import { scanWatchlist } from "./scanner.js";
+
+const OPTS = Object.assign({
+  PORT: 3000,
+  TIMEFRAMES: ["1m", "5m", "15m", "30m", "1h", "4h"],
+  KEYS: [],
+  RATE_LIMIT: { WINDOW_MS: 60_000, MAX: 60 },
+  SIGNAL_TTL_MS: 30_000,
+  RECORD_SIGNALS: false,
+  DASHBOARD: true,
+  TRUST_PROXY: 1
+}, CONFIG.API_SERVER || {});
+const DASHBOARD_FILE = fileURLToPath(new URL("./dashboard.html", import.meta.url));
+
+let _server = null;
+const _hits = new Map();     // rate key -> { start, n }
+const _signals = new Map();  // "SYMBOL:tf" -> { ts, promise }
+
+// ---------------- middleware ----------------
+function apiKey(req) {
+  return String(req.get("x-api-key") || req.query.key || "").trim();
+}
+
+function auth(req, res, next) {
+  const key = apiKey(req);
+  if (OPTS.KEYS.length && !OPTS.KEYS.includes(key)) return res.status(401).json({ ok: false, error: "invalid or missing API key" });
+  req.rateKey = OPTS.KEYS.length ? `key:${key}` : `ip:${req.ip}`;
+  next();
+}
+
+function rateLimit(req, res, next) {
+  const { WINDOW_MS, MAX } = OPTS.RATE_LIMIT;
+  const now = Date.now();
+  let h = _hits.get(req.rateKey);
+  if (!h || now - h.start >= WINDOW_MS) {
+    if (_hits.size > 10_000) for (const [k, v] of _hits) if (now - v.start >= WINDOW_MS) _hits.delete(k);
+    h = { start: now, n: 0 };
+    _hits.set(req.rateKey, h);
+  }
+  h.n++;
+  res.set("X-RateLimit-Limit", String(MAX));
+  res.set("X-RateLimit-Remaining", String(Math.max(0, MAX - h.n)));
+  if (h.n > MAX) {
+    res.set("Retry-After", String(Math.ceil((h.start + WINDOW_MS - now) / 1000)));
+    return res.status(429).json({ ok: false, error: "rate limit exceeded" });
+  }
+  next();
+}
+
+// :symbol must be listed in CONFIG.SYMBOLS; ?tf (when given) must be an allowed TF
+function validate({ tfRequired = false } = {}) {
+  return (req, res, next) => {
+    const symbol = String(req.params.symbol || "").toUpperCase();
+    const market = resolveMarket(symbol);
+    if (!market) return res.status(400).json({ ok: false, error: `unknown symbol ${req.params.symbol}` });
+    const tf = req.query.tf ? String(req.query.tf).toLowerCase() : (tfRequired ? CONFIG.CHAT_SESSIONS?.DEFAULT_TF || "15m" : null);
+    if (tf && !OPTS.TIMEFRAMES.includes(tf)) return res.status(400).json({ ok: false, error: `unsupported tf ${req.query.tf} (use ${OPTS.TIMEFRAMES.join(", ")})` });
+    req.symbol = symbol;
+    req.market = market;
+    req.tf = tf;
+    next();
+  };
+}
+
+// /scan: ?market= is ALL (default) or a CONFIG.SYMBOLS market, ?tf= an allowed TF
+function validateScan(req, res, next) {
+  const market = String(req.query.market || "ALL").toUpperCase();
+  if (market !== "ALL" && !CONFIG.SYMBOLS?.[market]) return res.status(400).json({ ok: false, error: `unknown market ${req.query.market} (use ALL, ${Object.keys(CONFIG.SYMBOLS || {}).join(", ")})` });
+  const tf = String(req.query.tf || CONFIG.SCANNER?.TF || "15m").toLowerCase();
+  if (!OPTS.TIMEFRAMES.includes(tf)) return res.status(400).json({ ok: false, error: `unsupported tf ${req.query.tf} (use ${OPTS.TIMEFRAMES.join(", ")})` });
+  req.market = market;
+  req.tf = tf;
+  next();
+}
+
+// async route -> JSON, thrown errors -> 500
+const route = fn => async (req, res) => {
+  try {
+    res.json(await fn(req, res));
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || String(e) });
+  }
+};
+
+// ---------------- handlers ----------------
+// concurrent / repeated requests for one symbol+TF share a single analysis for SIGNAL_TTL_MS;
+// client-driven, so not recorded as a prediction unless RECORD_SIGNALS (the bot's own alerts train the models)
+function cachedSignal(symbol, tf) {
+  const key = `${symbol}:${tf}`;
+  const hit = _signals.get(key);
+  if (hit && Date.now() - hit.ts < OPTS.SIGNAL_TTL_MS) return { promise: hit.promise, cached: true };
+  const promise = generateMergeSignal(symbol, { mainTF: tf, record: !!OPTS.RECORD_SIGNALS });
+  _signals.set(key, { ts: Date.now(), promise });
+  promise.catch(() => _signals.delete(key));
+  return { promise, cached: false };
+}
+
+async function getSignal(req) {
+  const { promise, cached } = cachedSignal(req.symbol, req.tf);
+  const out = await promise;
+  if (!out?.ok) throw new Error(out?.error || "signal unavailable");
+  return { ok: true, symbol: req.symbol, tf: req.tf, cached, result: out.result };
+}
+
+async function getIndicators(req) {
+  const tfs = req.tf ? [req.tf] : CONFIG.INTERVALS;
+  const mtf = await fetchMultiTF(req.symbol, tfs);
+  const indicators = {};
+  for (const tf of tfs) {
+    const data = mtf[tf]?.data || [];
+    const ind = computeIndicators(data);
+    indicators[tf] = { ...ind, signal: deriveSignal(ind), candles: data.length, lastClose: data.at(-1)?.close ?? null };
+  }
+  return { ok: true, symbol: req.symbol, market: req.market, indicators };
+}
+
+async function getElliott(req) {
+  const tfs = Array.from(new Set([req.tf, "1h", "4h"]));
+  const mtf = await fetchMultiTF(req.symbol, tfs);
+  const multiTF = Object.fromEntries(tfs.map(tf => [tf, mtf[tf]?.data || []]));
+  const ell = await analyzeElliott(multiTF[req.tf], { multiTF });
+  if (!ell?.ok) throw new Error(ell?.error || "elliott analysis failed");
+  return { ok: true, symbol: req.symbol, tf: req.tf, elliott: ell };
+}
+
+async function getNews(req) {
+  const news = await fetchNewsBundle(req.symbol, { limit: Number(req.query.limit) || 6 });
+  return { ok: true, symbol: req.symbol, news };
+}
+
+// TP/SL from a live signal of the current bar, else from the shared /signal analysis
+async function getChart(req) {
+  const limit = req.query.limit ? Math.min(1000, Math.max(50, Number(req.query.limit) || 0)) : undefined;
+  let signal = null;
+  if (req.query.signal !== "0") {
+    const live = latestSignal(req.symbol, req.tf);
+    if (live && Date.now() - Date.parse(live.result.generatedAt) < tfToMs(req.tf)) signal = live.result;
+    else signal = (await cachedSignal(req.symbol, req.tf).promise.catch(() => null))?.result || null;
+  }
+  const chart = await buildChartData(req.symbol, req.tf, { limit, signal });
+  if (!chart.ok) throw new Error(chart.error);
+  return chart;
+}
+
+async function getScan(req) {
+  return scanWatchlist({ market: req.market, tf: req.tf, top: Number(req.query.top) || undefined });
+}
+
+function getStats() {
+  const v15 = V15.getStats();
+  const versions = listVersions();
+  return {
+    ok: true,
+    v15: { stats: v15.stats, model: v15.model, fusion: v15.fusion },
+    v8_6: { accuracy: calculateAccuracy() },
+    registry: { active: versions.find(v => v.active)?.id || null, shadow: versions.find(v => v.shadow)?.id || null, versions: versions.length },
+    cnn: getCNNInfo()
+  };
+}
+
+// ---------------- Public API ----------------
+/**
+ * createApiApp() -> express app with every route (not listening)
+ */
+export function createApiApp() {
+  const app = express();
+  app.disable("x-powered-by");
+  app.set("trust proxy", OPTS.TRUST_PROXY);
+
+  app.get("/healthz", (req, res) => res.json({ ok: true, uptime: Math.round(process.uptime()), ts: new Date().toISOString() }));
+  if (OPTS.DASHBOARD) app.get("/dashboard", (req, res) => res.sendFile(DASHBOARD_FILE));
+
+  const api = express.Router();
+  api.use(auth, rateLimit);
+  api.get("/signal/:symbol", validate({ tfRequired: true }), route(getSignal));
+  api.get("/indicators/:symbol", validate(), route(getIndicators));
+  api.get("/elliott/:symbol", validate({ tfRequired: true }), route(getElliott));
+  api.get("/news/:symbol", validate(), route(getNews));
+  api.get("/chart/:symbol", validate({ tfRequired: true }), route(getChart));
+  api.get("/scan", validateScan, route(getScan));
+  api.get("/stats", route(getStats));
+  app.use(api);
+
+  app.use((req, res) => res.status(404).json({ ok: false, error: `no route ${req.method} ${req.path}` }));
+  return app;
+}
+
+/**
+ * startApiServer({ port }) -> http.Server (listening); a running server is returned as is
+ */
+export function startApiServer({ port = OPTS.PORT } = {}) {
+  if (_server) return _server;
+  const app = createApiApp();
+  _server = app.listen(port, () => console.log(`API server listening on :${_server.address()?.port}`));
+  _server.app = app;
+  return _server;
+}
+
+export function stopApiServer() {
+  if (!_server) return Promise.resolve();
+  const s = _server;
+  _server = null;
+  return new Promise(resolve => s.close(() => resolve()));
+}
+
+export default { createApiApp, startApiServer, stopApiServer };
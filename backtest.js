@@ -0,0 +1,298 @@
+// backtest.js
+// Historical replay backtester for generateMergeSignal
+// - Loads a historical candle file, walks the main TF bar-by-bar
+// - Each step sees ONLY candles closed at that bar (no look-ahead) on every TF
+// - Runs the same indicator / Elliott / ML / fusion pipeline via generateMergeSignal({ mtf })
+// - Simulates entries at close with TP1 (partial) / TP2 / SL from buildTPs, SL first on ambiguous bars
+// - Reports win rate, expectancy, max drawdown and equity curve per symbol + timeframe
+// - CLI: node backtest.js --file data/BTCUSDT.json [--symbol BTCUSDT] [--tf 15m,1h] [--out report.json]
+//
+// Candle file formats accepted:
+//   [ {t,open,high,low,close,vol}, ... ]                 (single TF, pass --tf)
+//   { "15m": [...], "1h": [...] }                          (multi TF)
+//   { symbol, market, candles: { "15m": [...], ... } }     (multi TF + meta)
+// Binance kline rows ([t, o, h, l, c, v, ...]) are accepted in place of candle objects.
+
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { normalizeCandles } from "./core_indicators.js";
+import { tfToMs } from "./utils.js";
+import { generateMergeSignal } from "./merge_signals.js";
+
+const DEFAULTS = {
+  warmup: 120,        // bars of main TF before the first signal
+  lookback: 300,      // max bars per TF handed to the pipeline each step
+  step: 1,            // evaluate a new signal every N bars while flat
+  maxBars: 96,        // close a trade at market after N bars
+  partial: 0.5,       // fraction closed at TP1 (rest runs to TP2 / breakeven)
+  feeBps: 4,          // per side, in basis points
+  minConfidence: 0,   // skip signals below this fusion confidence
+  verbose: false
+};
+
+const isFiniteNum = n => typeof n === "number" && Number.isFinite(n);
+const mean = arr => (Array.isArray(arr) && arr.length) ? arr.reduce((a,b)=>a+b,0)/arr.length : 0;
+const round = (v, d = 4) => isFiniteNum(v) ? Number(v.toFixed(d)) : null;
+
+// ----------------- Loading -----------------
+function toCandles(rows = []) {
+  if (!Array.isArray(rows)) return [];
+  return normalizeCandles(rows.map(r => Array.isArray(r)
+    ? { t: r[0], open: r[1], high: r[2], low: r[3], close: r[4], vol: r[5] }
+    : { ...r, vol: r.vol ?? r.volume }));
+}
+
+/**
+ * loadCandleFile(file, tf) -> { symbol, market, candles: { tf: [...] } }
+ * tf is only needed when the file holds a bare array.
+ */
+export function loadCandleFile(file, tf = null) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  const base = path.basename(file).replace(/\.json$/i, "");
+  let symbol = String(raw.symbol || base.split(/[_.-]/)[0]).toUpperCase();
+  const market = raw.market || null;
+  const out = {};
+
+  if (Array.isArray(raw)) {
+    if (!tf) throw new Error(`${file}: bare candle array needs a timeframe (--tf)`);
+    out[tf] = toCandles(raw);
+  } else {
+    const src = raw.candles || raw;
+    for (const k of Object.keys(src)) {
+      if (tfToMs(k) && Array.isArray(src[k])) out[k] = toCandles(src[k]);
+    }
+  }
+  if (!Object.keys(out).length) throw new Error(`${file}: no candle arrays found`);
+  return { symbol, market, candles: out };
+}
+
+// ----------------- Point-in-time windows -----------------
+// index of the last candle of `arr` that is fully closed at time `asOf`
+export function lastClosedIdx(arr, tfMs, asOf, hint = -1) {
+  let i = Math.max(-1, hint);
+  while (i + 1 < arr.length && arr[i + 1].t + tfMs <= asOf) i++;
+  return i;
+}
+
+// ----------------- Trade simulation -----------------
+function openTrade(sig, bar, idx, opts) {
+  const side = sig.fusion?.bias;
+  const { tp1, tp2, sl } = sig.tps || {};
+  const entry = Number(bar.close);
+  if (side !== "Bullish" && side !== "Bearish") return null;
+  if ((sig.fusion?.confidence ?? 0) < opts.minConfidence) return null;
+  if (![tp1, tp2, sl, entry].every(isFiniteNum)) return null;
+  const dir = side === "Bullish" ? 1 : -1;
+  // buildTPs may hand back Elliott targets on the wrong side; such setups are not tradable
+  if ((tp1 - entry) * dir <= 0 || (tp2 - entry) * dir <= 0 || (entry - sl) * dir <= 0) return null;
+  return {
+    side, dir, entry, tp1, tp2, sl, stop: sl,
+    openedAt: bar.t, openIdx: idx, confidence: sig.fusion.confidence,
+    remaining: 1, realized: 0, tp1Hit: false, exits: []
+  };
+}
+
+function exitPart(tr, price, fraction, reason, t) {
+  const ret = (price - tr.entry) / tr.entry * tr.dir;
+  tr.realized += ret * fraction;
+  tr.remaining = Math.max(0, tr.remaining - fraction);
+  tr.exits.push({ t, price: round(price, 8), fraction, reason });
+}
+
+// advance an open trade through one bar; returns true when fully closed
+function stepTrade(tr, bar, idx, opts) {
+  const hitStop = tr.dir > 0 ? bar.low <= tr.stop : bar.high >= tr.stop;
+  const hitTP1 = tr.dir > 0 ? bar.high >= tr.tp1 : bar.low <= tr.tp1;
+  const hitTP2 = tr.dir > 0 ? bar.high >= tr.tp2 : bar.low <= tr.tp2;
+
+  // intra-bar order is unknown: assume the stop is hit first (pessimistic)
+  if (hitStop) {
+    exitPart(tr, tr.stop, tr.remaining, tr.tp1Hit ? "breakeven" : "sl", bar.t);
+    return true;
+  }
+  if (!tr.tp1Hit && hitTP1) {
+    tr.tp1Hit = true;
+    exitPart(tr, tr.tp1, opts.partial, "tp1", bar.t);
+    tr.stop = tr.entry; // runner protected at breakeven
+    if (tr.remaining <= 0) return true;
+  }
+  if (tr.tp1Hit && hitTP2) {
+    exitPart(tr, tr.tp2, tr.remaining, "tp2", bar.t);
+    return true;
+  }
+  if (idx - tr.openIdx >= opts.maxBars) {
+    exitPart(tr, bar.close, tr.remaining, "timeout", bar.t);
+    return true;
+  }
+  return false;
+}
+
+function closeTrade(tr, opts) {
+  const fees = 2 * opts.feeBps / 10000;
+  const pnl = tr.realized - fees;
+  const risk = Math.abs(tr.entry - tr.sl) / tr.entry;
+  return {
+    side: tr.side,
+    openedAt: new Date(tr.openedAt).toISOString(),
+    closedAt: new Date(tr.exits.at(-1).t).toISOString(),
+    bars: tr.closeIdx - tr.openIdx,
+    entry: round(tr.entry, 8), tp1: round(tr.tp1, 8), tp2: round(tr.tp2, 8), sl: round(tr.sl, 8),
+    confidence: tr.confidence,
+    exits: tr.exits,
+    pnlPct: round(pnl * 100, 4),
+    r: risk > 0 ? round(pnl / risk, 3) : null
+  };
+}
+
+// ----------------- Metrics -----------------
+function summarize(trades, equity) {
+  const wins = trades.filter(t => t.pnlPct > 0);
+  const losses = trades.filter(t => t.pnlPct <= 0);
+  let peak = -Infinity, maxDD = 0;
+  for (const p of equity) {
+    peak = Math.max(peak, p.equity);
+    maxDD = Math.max(maxDD, (peak - p.equity) / peak);
+  }
+  const rs = trades.map(t => t.r).filter(isFiniteNum);
+  const grossWin = wins.reduce((a,t)=>a+t.pnlPct,0);
+  const grossLoss = Math.abs(losses.reduce((a,t)=>a+t.pnlPct,0));
+  return {
+    trades: trades.length,
+    wins: wins.length,
+    losses: losses.length,
+    winRate: trades.length ? round(wins.length / trades.length * 100, 2) : 0,
+    expectancyPct: round(mean(trades.map(t => t.pnlPct)), 4),
+    expectancyR: round(mean(rs), 3),
+    avgWinPct: round(mean(wins.map(t => t.pnlPct)), 4),
+    avgLossPct: round(mean(losses.map(t => t.pnlPct)), 4),
+    profitFactor: grossLoss > 0 ? round(grossWin / grossLoss, 3) : null,
+    maxDrawdownPct: round(maxDD * 100, 2),
+    finalEquity: round(equity.at(-1)?.equity ?? 1, 6),
+    exitReasons: trades.reduce((acc, t) => { for (const e of t.exits) acc[e.reason] = (acc[e.reason] || 0) + 1; return acc; }, {})
+  };
+}
+
+// ----------------- Main runner -----------------
+/**
+ * runBacktest({ symbol, candles, mainTF, ...opts })
+ * candles: { tf: [normalized candles] } — mainTF must be present, other TFs add context
+ * returns { ok, symbol, tf, summary, trades, equity }
+ */
+export async function runBacktest({ symbol, candles = {}, mainTF = "15m", ...rest } = {}) {
+  const opts = Object.assign({}, DEFAULTS, rest);
+  const base = candles[mainTF] || [];
+  const mainMs = tfToMs(mainTF);
+  if (!mainMs) return { ok:false, error:`unknown timeframe ${mainTF}`, symbol, tf: mainTF };
+  if (base.length <= opts.warmup + 1) return { ok:false, error:"not_enough_data", symbol, tf: mainTF, bars: base.length };
+
+  const tfs = Object.keys(candles).filter(tf => tfToMs(tf));
+  const cursors = Object.fromEntries(tfs.map(tf => [tf, -1]));
+  const trades = [];
+  const equity = [{ t: new Date(base[opts.warmup].t).toISOString(), equity: 1 }];
+  let eq = 1, open = null, signals = 0, lastEval = -Infinity;
+
+  for (let i = opts.warmup; i < base.length; i++) {
+    const bar = base[i];
+
+    if (open) {
+      if (stepTrade(open, bar, i, opts)) {
+        open.closeIdx = i;
+        const tr = closeTrade(open, opts);
+        trades.push(tr);
+        eq *= (1 + tr.pnlPct / 100);
+        equity.push({ t: tr.closedAt, equity: round(eq, 6) });
+        open = null;
+      }
+      continue;
+    }
+    if (i - lastEval < opts.step || i === base.length - 1) continue;
+    lastEval = i;
+
+    // everything visible at the close of bar i
+    const asOf = bar.t + mainMs;
+    const mtf = {};
+    for (const tf of tfs) {
+      cursors[tf] = lastClosedIdx(candles[tf], tfToMs(tf), asOf, cursors[tf]);
+      const end = cursors[tf] + 1;
+      mtf[tf] = { tf, data: candles[tf].slice(Math.max(0, end - opts.lookback), end) };
+    }
+
+    let sig = null;
+    try {
+      const res = await generateMergeSignal(symbol, { mainTF, mtf, price: bar.close, noNews: true, record: false });
+      sig = res?.result || null;
+    } catch (e) {
+      if (opts.verbose) console.error("backtest signal error:", e?.message || e);
+    }
+    if (!sig) continue;
+    signals++;
+    open = openTrade(sig, bar, i, opts);
+  }
+
+  return {
+    ok: true,
+    symbol,
+    tf: mainTF,
+    bars: base.length,
+    from: new Date(base[0].t).toISOString(),
+    to: new Date(base.at(-1).t).toISOString(),
+    signalsEvaluated: signals,
+    openAtEnd: !!open,
+    summary: summarize(trades, equity),
+    trades,
+    equity
+  };
+}
+
+/**
+ * backtestFiles(files, { tfs, symbol, ...opts }) — one report per file x main TF
+ */
+export async function backtestFiles(files = [], { tfs = null, symbol = null, ...opts } = {}) {
+  const reports = [];
+  for (const file of files) {
+    const data = loadCandleFile(file, tfs?.length === 1 ? tfs[0] : null);
+    const sym = (symbol || data.symbol).toUpperCase();
+    for (const tf of (tfs && tfs.length ? tfs : Object.keys(data.candles))) {
+      reports.push(await runBacktest({ symbol: sym, candles: data.candles, mainTF: tf, ...opts }));
+    }
+  }
+  return reports;
+}
+
+// ----------------- CLI -----------------
+function parseArgs(argv) {
+  const out = { files: [], tfs: null, symbol: null, out: null, opts: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i], v = argv[i + 1];
+    if (a === "--file") { out.files.push(v); i++; }
+    else if (a === "--tf") { out.tfs = String(v).split(","); i++; }
+    else if (a === "--symbol") { out.symbol = v; i++; }
+    else if (a === "--out") { out.out = v; i++; }
+    else if (a === "--verbose") out.opts.verbose = true;
+    else if (a.startsWith("--") && a.slice(2) in DEFAULTS) { out.opts[a.slice(2)] = Number(v); i++; }
+  }
+  return out;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.files.length) {
+    console.log("usage: node backtest.js --file <candles.json> [--file ...] [--symbol SYM] [--tf 15m,1h] [--out report.json]\n" +
+      "       [--warmup N] [--lookback N] [--step N] [--maxBars N] [--partial 0.5] [--feeBps 4] [--minConfidence 0]");
+    process.exit(1);
+  }
+  const reports = await backtestFiles(args.files, { tfs: args.tfs, symbol: args.symbol, ...args.opts });
+  for (const r of reports) {
+    if (!r.ok) { console.log(`${r.symbol} ${r.tf}: ${r.error}`); continue; }
+    const s = r.summary;
+    console.log(`${r.symbol} ${r.tf} | trades ${s.trades} | win ${s.winRate}% | exp ${s.expectancyPct}% (${s.expectancyR}R) | maxDD ${s.maxDrawdownPct}% | equity ${s.finalEquity}`);
+  }
+  if (args.out) fs.writeFileSync(args.out, JSON.stringify(reports, null, 2), "utf8");
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(e => { console.error(e?.message || e); process.exit(1); });
+}
+
+export default { runBacktest, backtestFiles, loadCandleFile };
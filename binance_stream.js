@@ -0,0 +1,207 @@
+// binance_stream.js — Binance WebSocket kline + bookTicker streaming
+// - Subscribes CONFIG.SYMBOLS.CRYPTO to <sym>@kline_<tf> and <sym>@bookTicker (combined stream)
+// - Keeps a rolling in-memory candle buffer per symbol/TF (seeded from the candle store)
+// - Closed klines are merged into candle_store.js so REST consumers see them too
+// - Reconnects with backoff; every (re)connect backfills the gap from REST first
+// - Events (streamEvents): "candle_closed" { symbol, tf, candle }, "candle" (forming update),
+//   "ticker" { symbol, bid, ask, price, ts }, "status" { connected, url }
+// - Exports: startStream, stopStream, onCandleClosed, getBuffer, getTicker, isStreamed, streamEvents
+
+import { EventEmitter } from "events";
+import WebSocket from "ws";
+import CONFIG from "./config.js";
+import { syncCandles, readStored, upsertCandles } from "./candle_store.js";
+
+export const streamEvents = new EventEmitter();
+streamEvents.setMaxListeners(50);
+
+const DEFAULTS = {
+  WS_URLS: ["wss://stream.binance.com:9443", "wss://data-stream.binance.vision"],
+  INTERVALS: ["1m", "5m", "15m", "30m", "1h"],
+  BUFFER_SIZE: 500,
+  RECONNECT_MS: 2_000,
+  MAX_RECONNECT_MS: 60_000,
+  STALE_MS: 60_000,
+  verbose: false
+};
+
+let _opts = null;
+let _ws = null;
+let _urlIdx = 0;
+let _attempt = 0;
+let _reconnectTimer = null;
+let _staleTimer = null;
+let _lastMsgTs = 0;
+let _symbols = [];             // CONFIG symbol keys
+const _byStreamSym = new Map(); // "btcusdt" -> "BTCUSDT" (CONFIG key)
+const _buffers = new Map();     // "SYM:tf" -> candles
+const _tickers = new Map();     // SYM -> { bid, ask, price, ts }
+
+const keyOf = (symbol, tf) => `${symbol}:${tf}`;
+
+// ---------------- buffers ----------------
+function pushCandle(symbol, tf, candle) {
+  const key = keyOf(symbol, tf);
+  const buf = _buffers.get(key) || [];
+  const last = buf.at(-1);
+  if (last && last.t === candle.t) buf[buf.length - 1] = candle;
+  else if (!last || candle.t > last.t) buf.push(candle);
+  if (buf.length > _opts.BUFFER_SIZE) buf.splice(0, buf.length - _opts.BUFFER_SIZE);
+  _buffers.set(key, buf);
+}
+
+// REST gap backfill: pull the missing tail into the store, then reseed the buffer from it
+async function backfill() {
+  if (!_opts) return;
+  for (const symbol of _symbols) {
+    for (const tf of _opts?.INTERVALS || []) { // stopStream may land mid-backfill
+      try {
+        await syncCandles(symbol, "CRYPTO", tf, { force: true });
+        _buffers.set(keyOf(symbol, tf), readStored(symbol, tf).slice(-_opts.BUFFER_SIZE));
+      } catch (e) {
+        if (_opts?.verbose) console.error("stream backfill error", symbol, tf, e?.message || e);
+      }
+    }
+  }
+}
+
+// ---------------- message handling ----------------
+function handleKline(k) {
+  const symbol = _byStreamSym.get(String(k.s).toLowerCase());
+  if (!symbol) return;
+  const candle = { t: k.t, open: Number(k.o), high: Number(k.h), low: Number(k.l), close: Number(k.c), vol: Number(k.v) };
+  pushCandle(symbol, k.i, candle);
+  if (k.x) {
+    upsertCandles(symbol, k.i, [candle]);
+    streamEvents.emit("candle_closed", { symbol, tf: k.i, candle });
+  } else {
+    streamEvents.emit("candle", { symbol, tf: k.i, candle });
+  }
+}
+
+function handleBookTicker(d) {
+  const symbol = _byStreamSym.get(String(d.s).toLowerCase());
+  if (!symbol) return;
+  const bid = Number(d.b), ask = Number(d.a);
+  const tick = { symbol, bid, ask, price: (bid + ask) / 2, ts: Date.now() };
+  _tickers.set(symbol, tick);
+  streamEvents.emit("ticker", tick);
+}
+
+function onMessage(raw) {
+  if (!_opts) return;
+  _lastMsgTs = Date.now();
+  let msg;
+  try { msg = JSON.parse(raw.toString()); } catch (e) { return; }
+  const data = msg?.data || msg;
+  if (data?.e === "kline" && data.k) handleKline(data.k);
+  else if (data && "b" in data && "a" in data && data.s) handleBookTicker(data);
+}
+
+// ---------------- connection ----------------
+function streamUrl() {
+  const base = _opts.WS_URLS[_urlIdx % _opts.WS_URLS.length];
+  const streams = [];
+  for (const [s] of _byStreamSym) {
+    for (const tf of _opts.INTERVALS) streams.push(`${s}@kline_${tf}`);
+    streams.push(`${s}@bookTicker`);
+  }
+  return `${base}/stream?streams=${streams.join("/")}`;
+}
+
+function scheduleReconnect() {
+  if (!_opts || _reconnectTimer) return;
+  _attempt++;
+  _urlIdx++; // rotate hosts between attempts
+  const delay = Math.min(_opts.MAX_RECONNECT_MS, _opts.RECONNECT_MS * 2 ** Math.min(6, _attempt - 1));
+  if (_opts.verbose) console.log(`stream reconnect in ${delay}ms (attempt ${_attempt})`);
+  _reconnectTimer = setTimeout(() => { _reconnectTimer = null; connect(); }, delay);
+}
+
+function connect() {
+  if (!_opts) return;
+  const url = streamUrl();
+  const ws = new WebSocket(url);
+  _ws = ws;
+
+  ws.on("open", async () => {
+    _attempt = 0;
+    _lastMsgTs = Date.now();
+    streamEvents.emit("status", { connected: true, url });
+    if (_opts?.verbose) console.log("stream connected", url.split("?")[0]);
+    await backfill();
+  });
+  ws.on("message", onMessage);
+  ws.on("error", (e) => { if (_opts?.verbose) console.error("stream error:", e?.message || e); });
+  ws.on("close", () => {
+    if (_ws === ws) _ws = null;
+    streamEvents.emit("status", { connected: false, url });
+    scheduleReconnect();
+  });
+}
+
+// ---------------- Public API ----------------
+/**
+ * startStream({ symbols, intervals, ...overrides })
+ * symbols default to CONFIG.SYMBOLS.CRYPTO keys, intervals to CONFIG.STREAM.INTERVALS
+ */
+export function startStream(opts = {}) {
+  stopStream();
+  _opts = Object.assign({}, DEFAULTS, CONFIG.STREAM || {}, opts);
+  if (opts.intervals) _opts.INTERVALS = opts.intervals;
+
+  const crypto = CONFIG.SYMBOLS.CRYPTO || {};
+  _symbols = (opts.symbols || Object.keys(crypto)).filter(s => crypto[s]?.binance);
+  _byStreamSym.clear();
+  for (const s of _symbols) _byStreamSym.set(crypto[s].binance.toLowerCase(), s);
+  if (!_symbols.length) return false;
+
+  // seed buffers from whatever the store already has
+  for (const s of _symbols) for (const tf of _opts.INTERVALS) _buffers.set(keyOf(s, tf), readStored(s, tf).slice(-_opts.BUFFER_SIZE));
+
+  connect();
+  _staleTimer = setInterval(() => {
+    if (_ws && Date.now() - _lastMsgTs > _opts.STALE_MS) {
+      if (_opts.verbose) console.log("stream stale, reconnecting");
+      _ws.terminate();
+    }
+  }, Math.max(5_000, Math.floor(_opts.STALE_MS / 2)));
+  return true;
+}
+
+export function stopStream() {
+  if (_reconnectTimer) { clearTimeout(_reconnectTimer); _reconnectTimer = null; }
+  if (_staleTimer) { clearInterval(_staleTimer); _staleTimer = null; }
+  const ws = _ws;
+  _opts = null;
+  _ws = null;
+  if (ws) { try { ws.removeAllListeners("close"); ws.terminate(); } catch (e) {} }
+}
+
+// subscribe to closed candles; returns an unsubscribe function
+export function onCandleClosed(handler, { symbol = null, tf = null } = {}) {
+  const fn = (ev) => {
+    if (symbol && ev.symbol !== symbol) return;
+    if (tf && ev.tf !== tf) return;
+    try { Promise.resolve(handler(ev)).catch(() => {}); } catch (e) {}
+  };
+  streamEvents.on("candle_closed", fn);
+  return () => streamEvents.off("candle_closed", fn);
+}
+
+export function getBuffer(symbol, tf) {
+  return (_buffers.get(keyOf(symbol, tf)) || []).map(c => ({ ...c }));
+}
+
+export function getTicker(symbol) {
+  return _tickers.get(String(symbol).toUpperCase()) || null;
+}
+
+// true while the socket is open and delivering (within STALE_MS) for this symbol (and TF, when given)
+export function isStreamed(symbol, tf = null) {
+  if (!_opts || !_symbols.includes(String(symbol).toUpperCase())) return false;
+  if (_ws?.readyState !== WebSocket.OPEN || Date.now() - _lastMsgTs > _opts.STALE_MS) return false;
+  return tf ? _opts.INTERVALS.includes(tf) : true;
+}
+
+export default { startStream, stopStream, onCandleClosed, getBuffer, getTicker, isStreamed, streamEvents };
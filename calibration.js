@@ -0,0 +1,159 @@
+// calibration.js — Probability calibration for the fused outputs
+// - Targets: "v15" (ml_module_v15 analyzeSymbol bull probability) and "fusion" (merge_signals buildFusion score)
+// - Platt scaling (logistic on the logit) or isotonic regression (pool-adjacent-violators, interpolated)
+// - Metrics: Brier score, log-loss, accuracy and reliability bins (mean predicted vs observed frequency)
+// - Calibrators are fitted by evaluate_calibration.js (walk-forward) and stored in CONFIG.CALIBRATION.FILE;
+//   the file is re-read when it changes on disk, so a running bot picks up a new fit
+// - Exports: fitPlatt, fitIsotonic, applyCalibrator, reliability, brierScore, logLoss, scoreProbs,
+//            getCalibrator, saveCalibrators, calibrate
+
+import fs from "fs";
+import path from "path";
+import CONFIG from "./config.js";
+
+const OPTS = Object.assign({
+  FILE: path.join(CONFIG.PATHS.CACHE_DIR, "calibration.json"),
+  BINS: 10,
+  MIN_SAMPLES: 50
+}, CONFIG.CALIBRATION || {});
+
+const EPS = 1e-6;
+const clampP = p => Math.min(1 - EPS, Math.max(EPS, p));
+const logit = p => Math.log(clampP(p) / (1 - clampP(p)));
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+const round = (v, d = 4) => (Number.isFinite(v) ? Number(v.toFixed(d)) : null);
+
+let _store = null;  // { targets: { v15: calibrator, fusion: calibrator }, fittedAt }
+let _mtime = 0;
+
+// ---------------- persistence ----------------
+function load() {
+  try {
+    const st = fs.statSync(OPTS.FILE);
+    if (_store && st.mtimeMs === _mtime) return _store;
+    _store = JSON.parse(fs.readFileSync(OPTS.FILE, "utf8")) || { targets: {} };
+    _mtime = st.mtimeMs;
+  } catch (e) {
+    if (!_store) _store = { targets: {} };
+  }
+  return _store;
+}
+
+// saveCalibrators({ v15: cal, fusion: cal }, report) — merged into the stored targets
+export function saveCalibrators(targets = {}, report = null) {
+  const store = load();
+  store.targets = { ...(store.targets || {}), ...targets };
+  store.fittedAt = new Date().toISOString();
+  if (report) store.report = report;
+  try { fs.writeFileSync(OPTS.FILE, JSON.stringify(store, null, 2), "utf8"); } catch (e) { return false; }
+  _mtime = 0;
+  return true;
+}
+
+export function getCalibrator(name) {
+  return load().targets?.[name] || null;
+}
+
+// ---------------- fitting ----------------
+/**
+ * fitPlatt(pairs) -> { type: "platt", a, b, n }   calibrated = sigmoid(a * logit(p) + b)
+ * pairs: [{ p, y }] with y in {0,1}; Newton iterations on the log-loss (small ridge for stability)
+ */
+export function fitPlatt(pairs = []) {
+  let a = 1, b = 0;
+  for (let it = 0; it < 50; it++) {
+    let ga = 0, gb = 0, haa = 1e-6, hab = 0, hbb = 1e-6;
+    for (const { p, y } of pairs) {
+      const x = logit(p);
+      const q = sigmoid(a * x + b);
+      const w = q * (1 - q);
+      ga += (q - y) * x; gb += (q - y);
+      haa += w * x * x; hab += w * x; hbb += w;
+    }
+    const det = haa * hbb - hab * hab;
+    if (Math.abs(det) < 1e-12) break;
+    const da = (hbb * ga - hab * gb) / det;
+    const db = (haa * gb - hab * ga) / det;
+    a -= da; b -= db;
+    if (Math.abs(da) + Math.abs(db) < 1e-8) break;
+  }
+  return { type: "platt", a: round(a, 6), b: round(b, 6), n: pairs.length };
+}
+
+/**
+ * fitIsotonic(pairs) -> { type: "isotonic", x: [...], y: [...], n }
+ * monotone non-decreasing step fit (PAV); x / y are block means, applied with linear interpolation
+ */
+export function fitIsotonic(pairs = []) {
+  const sorted = pairs.slice().sort((u, v) => u.p - v.p);
+  const blocks = [];
+  for (const { p, y } of sorted) {
+    blocks.push({ sp: p, sy: y, n: 1 });
+    while (blocks.length > 1) {
+      const b = blocks[blocks.length - 1], a = blocks[blocks.length - 2];
+      if (a.sy / a.n <= b.sy / b.n) break;
+      blocks.splice(-2, 2, { sp: a.sp + b.sp, sy: a.sy + b.sy, n: a.n + b.n });
+    }
+  }
+  return {
+    type: "isotonic",
+    x: blocks.map(b => round(b.sp / b.n, 6)),
+    y: blocks.map(b => round(b.sy / b.n, 6)),
+    n: pairs.length
+  };
+}
+
+export function applyCalibrator(cal, p) {
+  if (!cal || !Number.isFinite(p)) return p;
+  if (cal.type === "platt") return clampP(sigmoid(cal.a * logit(p) + cal.b));
+  if (cal.type === "isotonic" && cal.x?.length) {
+    const { x, y } = cal;
+    if (p <= x[0]) return clampP(y[0]);
+    if (p >= x[x.length - 1]) return clampP(y[y.length - 1]);
+    let i = 1;
+    while (x[i] < p) i++;
+    const t = (p - x[i - 1]) / ((x[i] - x[i - 1]) || 1);
+    return clampP(y[i - 1] + t * (y[i] - y[i - 1]));
+  }
+  return p;
+}
+
+// calibrated bull probability for a target (unchanged when no calibrator, or it saw too few samples)
+export function calibrate(name, p) {
+  const cal = getCalibrator(name);
+  if (!cal || (cal.n || 0) < OPTS.MIN_SAMPLES) return p;
+  return applyCalibrator(cal, p);
+}
+
+// ---------------- metrics ----------------
+export function brierScore(pairs = []) {
+  return pairs.length ? round(pairs.reduce((s, { p, y }) => s + (p - y) ** 2, 0) / pairs.length) : null;
+}
+
+export function logLoss(pairs = []) {
+  return pairs.length ? round(-pairs.reduce((s, { p, y }) => s + (y ? Math.log(clampP(p)) : Math.log(1 - clampP(p))), 0) / pairs.length) : null;
+}
+
+// reliability diagram data: equal-width bins of predicted probability
+export function reliability(pairs = [], bins = OPTS.BINS) {
+  const out = Array.from({ length: bins }, (_, i) => ({ lo: round(i / bins, 3), hi: round((i + 1) / bins, 3), n: 0, sp: 0, sy: 0 }));
+  for (const { p, y } of pairs) {
+    const b = out[Math.min(bins - 1, Math.max(0, Math.floor(p * bins)))];
+    b.n++; b.sp += p; b.sy += y;
+  }
+  return out.map(({ lo, hi, n, sp, sy }) => ({ lo, hi, n, meanP: n ? round(sp / n) : null, observed: n ? round(sy / n) : null }));
+}
+
+// { n, brier, logLoss, accuracy, ece } — ece: sample-weighted |meanP - observed| over the bins
+export function scoreProbs(pairs = []) {
+  const n = pairs.length;
+  if (!n) return { n: 0, brier: null, logLoss: null, accuracy: null, ece: null };
+  const correct = pairs.filter(({ p, y }) => (p >= 0.5 ? 1 : 0) === y).length;
+  const ece = reliability(pairs).reduce((s, b) => s + (b.n ? b.n / n * Math.abs(b.meanP - b.observed) : 0), 0);
+  return { n, brier: brierScore(pairs), logLoss: logLoss(pairs), accuracy: round(correct / n), ece: round(ece) };
+}
+
+export default {
+  fitPlatt, fitIsotonic, applyCalibrator, reliability, brierScore, logLoss, scoreProbs,
+  getCalibrator, saveCalibrators, calibrate
+};
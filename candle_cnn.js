@@ -0,0 +1,282 @@
+// candle_cnn.js — Small trainable candle-pattern classifier (pure JS, CPU)
+// - Input: the last WINDOW candles, 5 channels per candle, scale-free (divided by the window's mean range):
+//   body, upper wick, lower wick, close-to-close return, log volume vs window mean
+// - Model: 1D convolution (FILTERS x KERNEL) -> ReLU -> [mean-pool, last step] -> dense -> sigmoid = P(bull)
+// - Training: mini-batch Adam with L2, labels from the forward return over `horizon` bars (train_ml.js --cnn);
+//   samples whose label window reaches the validation slice are embargoed from training
+// - Serialized to CONFIG.CNN.FILE; reloaded when the file changes, so a running bot picks up a new fit
+// - Untrained: predictCNN returns a neutral 0.5 so the "cnn" fusion slot contributes nothing it didn't learn
+// - Exports: encodeWindow, buildCNNDataset, trainCNN, predictCNN, saveCNN, loadCNN, getCNNInfo
+
+import fs from "fs";
+import path from "path";
+import CONFIG from "./config.js";
+import { tfToMs } from "./utils.js";
+
+const OPTS = Object.assign({
+  FILE: path.join(CONFIG.PATHS.CACHE_DIR, "candle_cnn.json"),
+  WINDOW: 32,
+  FILTERS: 8,
+  KERNEL: 3
+}, CONFIG.CNN || {});
+
+const CHANNELS = 5;
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+const sigmoid = z => 1 / (1 + Math.exp(-clamp(z, -30, 30)));
+const round = (v, d = 4) => (Number.isFinite(v) ? Number(v.toFixed(d)) : null);
+
+let _net = null;   // { arch, W, b, v, c, ...meta }
+let _mtime = 0;
+
+// mulberry32 — deterministic init / shuffles
+function rng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ---------------- persistence ----------------
+export function loadCNN() {
+  try {
+    const st = fs.statSync(OPTS.FILE);
+    if (_net && st.mtimeMs === _mtime) return _net;
+    const raw = JSON.parse(fs.readFileSync(OPTS.FILE, "utf8"));
+    _net = Array.isArray(raw?.W) && Array.isArray(raw?.v) ? raw : null;
+    _mtime = st.mtimeMs;
+  } catch (e) {}
+  return _net;
+}
+
+export function saveCNN(net) {
+  try {
+    fs.writeFileSync(OPTS.FILE, JSON.stringify(net), "utf8");
+    _net = net;
+    _mtime = 0;
+    return true;
+  } catch (e) { return false; }
+}
+
+// ---------------- encoding ----------------
+/**
+ * encodeWindow(candles, window) -> flat Float64Array (window x CHANNELS) or null when too short
+ * uses window+1 candles (the extra one gives the first close-to-close return)
+ */
+export function encodeWindow(candles = [], window = OPTS.WINDOW) {
+  if (!Array.isArray(candles) || candles.length < window + 1) return null;
+  const w = candles.slice(-(window + 1));
+  const ranges = w.slice(1).map(c => Number(c.high) - Number(c.low));
+  const scale = ranges.reduce((a, b) => a + b, 0) / window || Number(w.at(-1).close) * 1e-3 || 1;
+  const vols = w.slice(1).map(c => Number(c.vol ?? c.volume ?? 0));
+  const meanVol = vols.reduce((a, b) => a + b, 0) / window;
+  const x = new Float64Array(window * CHANNELS);
+  for (let t = 0; t < window; t++) {
+    const c = w[t + 1], prev = w[t];
+    const o = Number(c.open), h = Number(c.high), l = Number(c.low), cl = Number(c.close);
+    const row = [
+      (cl - o) / scale,
+      (h - Math.max(o, cl)) / scale,
+      (Math.min(o, cl) - l) / scale,
+      (cl - Number(prev.close)) / scale,
+      meanVol > 0 ? Math.log((vols[t] + 1e-9) / meanVol) : 0
+    ];
+    for (let ch = 0; ch < CHANNELS; ch++) x[t * CHANNELS + ch] = Number.isFinite(row[ch]) ? clamp(row[ch], -5, 5) : 0;
+  }
+  return x;
+}
+
+/**
+ * buildCNNDataset(candles, { window, horizon, band, step }) -> [{ x, y, t }]
+ * y = 1 when the close `horizon` bars later is higher; |move| < band % is dropped
+ */
+export function buildCNNDataset(candles = [], { window = OPTS.WINDOW, horizon = 16, band = 0.25, step = 1 } = {}) {
+  const out = [];
+  for (let i = window; i + horizon < candles.length; i += step) {
+    const entry = Number(candles[i].close);
+    const ret = (Number(candles[i + horizon].close) - entry) / entry * 100;
+    if (!Number.isFinite(ret) || Math.abs(ret) < band) continue;
+    const x = encodeWindow(candles.slice(i - window, i + 1), window);
+    if (x) out.push({ x, y: ret > 0 ? 1 : 0, t: candles[i].t });
+  }
+  return out;
+}
+
+// ---------------- forward / backward ----------------
+function newNet({ window, filters, kernel, seed }) {
+  const rand = rng(seed);
+  const fan = kernel * CHANNELS;
+  const gauss = () => Math.sqrt(-2 * Math.log(rand() + 1e-12)) * Math.cos(2 * Math.PI * rand());
+  return {
+    arch: { window, filters, kernel, channels: CHANNELS },
+    W: Array.from({ length: filters * fan }, () => gauss() * Math.sqrt(2 / fan)),
+    b: new Array(filters).fill(0),
+    v: Array.from({ length: 2 * filters }, () => gauss() * 0.1),
+    c: 0
+  };
+}
+
+// returns { p, z, a, h } (z/a: P x F conv pre/post activation, h: 2F pooled features)
+function forward(net, x) {
+  const { window, filters: F, kernel: K } = net.arch;
+  const P = window - K + 1;
+  const z = new Float64Array(P * F), a = new Float64Array(P * F), h = new Float64Array(2 * F);
+  for (let t = 0; t < P; t++) {
+    for (let f = 0; f < F; f++) {
+      let s = net.b[f];
+      const wo = f * K * CHANNELS;
+      for (let k = 0; k < K; k++) {
+        const xo = (t + k) * CHANNELS, ko = wo + k * CHANNELS;
+        for (let ch = 0; ch < CHANNELS; ch++) s += net.W[ko + ch] * x[xo + ch];
+      }
+      z[t * F + f] = s;
+      a[t * F + f] = s > 0 ? s : 0;
+      h[f] += a[t * F + f] / P;
+    }
+  }
+  for (let f = 0; f < F; f++) h[F + f] = a[(P - 1) * F + f];
+  let out = net.c;
+  for (let j = 0; j < 2 * F; j++) out += net.v[j] * h[j];
+  return { p: sigmoid(out), z, a, h };
+}
+
+// accumulate gradients of the log-loss for one sample into g
+function backward(net, x, y, fw, g) {
+  const { window, filters: F, kernel: K } = net.arch;
+  const P = window - K + 1;
+  const dout = fw.p - y;
+  g.c += dout;
+  for (let j = 0; j < 2 * F; j++) g.v[j] += dout * fw.h[j];
+  for (let t = 0; t < P; t++) {
+    for (let f = 0; f < F; f++) {
+      if (fw.z[t * F + f] <= 0) continue;
+      const dz = dout * (net.v[f] / P + (t === P - 1 ? net.v[F + f] : 0));
+      g.b[f] += dz;
+      const wo = f * K * CHANNELS;
+      for (let k = 0; k < K; k++) {
+        const xo = (t + k) * CHANNELS, ko = wo + k * CHANNELS;
+        for (let ch = 0; ch < CHANNELS; ch++) g.W[ko + ch] += dz * x[xo + ch];
+      }
+    }
+  }
+}
+
+function metrics(net, data) {
+  if (!data.length) return { n: 0, logLoss: null, accuracy: null };
+  let loss = 0, correct = 0;
+  for (const s of data) {
+    const p = clamp(forward(net, s.x).p, 1e-9, 1 - 1e-9);
+    loss -= s.y ? Math.log(p) : Math.log(1 - p);
+    if ((p >= 0.5 ? 1 : 0) === s.y) correct++;
+  }
+  return { n: data.length, logLoss: round(loss / data.length), accuracy: round(correct / data.length) };
+}
+
+// ---------------- training ----------------
+// training samples kept before the validation slice (as train_ml.js): a sample's label spans `horizon` bars
+// after its `t`, so the ones reaching the first validation sample are dropped (by count without a tf)
+function embargoEnd(data, valStart, o) {
+  const barMs = tfToMs(o.tf);
+  if (!barMs || !Number.isFinite(data[valStart]?.t)) return Math.max(0, valStart - Math.ceil(o.horizon / o.step));
+  let end = valStart;
+  while (end > 0 && data[end - 1].t + o.horizon * barMs > data[valStart].t) end--;
+  return end;
+}
+
+/**
+ * trainCNN(samples, opts) -> net with metrics (chronological validation split: the last `val` fraction)
+ * opts: window, filters, kernel, epochs, batch, lr, l2, val, seed, verbose,
+ *       horizon / step / tf of the dataset (embargo between the training and validation samples)
+ */
+export function trainCNN(samples = [], opts = {}) {
+  const o = Object.assign({ window: OPTS.WINDOW, filters: OPTS.FILTERS, kernel: OPTS.KERNEL, epochs: 30, batch: 32, lr: 0.01, l2: 1e-4, val: 0.2, seed: 42, verbose: false, horizon: 16, step: 1, tf: null }, opts);
+  const data = samples.filter(s => s.x?.length === o.window * CHANNELS);
+  if (data.length < 20) throw new Error(`not enough samples (${data.length})`);
+  const nVal = Math.floor(data.length * o.val);
+  const valStart = data.length - nVal;
+  const nTrain = nVal ? embargoEnd(data, valStart, o) : valStart;
+  if (nTrain < 10) throw new Error(`not enough training samples after the embargo (${nTrain})`);
+  const train = data.slice(0, nTrain), valid = data.slice(valStart);
+
+  const net = newNet(o);
+  const rand = rng(o.seed + 1);
+  const params = ["W", "b", "v"];
+  const m = Object.fromEntries(params.map(k => [k, new Float64Array(net[k].length)]));
+  const s2 = Object.fromEntries(params.map(k => [k, new Float64Array(net[k].length)]));
+  let mc = 0, vc = 0, step = 0;
+  const B1 = 0.9, B2 = 0.999;
+  const order = train.map((_, i) => i);
+
+  for (let ep = 0; ep < o.epochs; ep++) {
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(rand() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    for (let st = 0; st < order.length; st += o.batch) {
+      const batch = order.slice(st, st + o.batch);
+      const g = { W: new Float64Array(net.W.length), b: new Float64Array(net.b.length), v: new Float64Array(net.v.length), c: 0 };
+      for (const k of batch) backward(net, train[k].x, train[k].y, forward(net, train[k].x), g);
+      step++;
+      const lrT = o.lr * Math.sqrt(1 - B2 ** step) / (1 - B1 ** step);
+      for (const k of params) {
+        for (let i = 0; i < net[k].length; i++) {
+          const grad = g[k][i] / batch.length + (k === "b" ? 0 : o.l2 * net[k][i]);
+          m[k][i] = B1 * m[k][i] + (1 - B1) * grad;
+          s2[k][i] = B2 * s2[k][i] + (1 - B2) * grad * grad;
+          net[k][i] -= lrT * m[k][i] / (Math.sqrt(s2[k][i]) + 1e-8);
+        }
+      }
+      const gc = g.c / batch.length;
+      mc = B1 * mc + (1 - B1) * gc;
+      vc = B2 * vc + (1 - B2) * gc * gc;
+      net.c -= lrT * mc / (Math.sqrt(vc) + 1e-8);
+    }
+    if (o.verbose) console.log(`cnn epoch ${ep + 1}/${o.epochs} train logLoss ${metrics(net, train).logLoss}`);
+  }
+
+  const trainedAt = new Date().toISOString();
+  return {
+    ...net,
+    W: net.W.map(v => round(v, 8)),
+    b: net.b.map(v => round(v, 8)),
+    v: net.v.map(v => round(v, 8)),
+    c: round(net.c, 8),
+    version: trainedAt.replace(/[-:]/g, "").replace(/\..*$/, ""),
+    trainedAt,
+    samples: train.length,
+    embargoed: valStart - nTrain,
+    metrics: { train: metrics(net, train), validation: metrics(net, valid) },
+    params: { epochs: o.epochs, batch: o.batch, lr: o.lr, l2: o.l2, val: o.val, seed: o.seed, horizon: o.horizon, step: o.step, tf: o.tf }
+  };
+}
+
+// ---------------- inference ----------------
+/**
+ * predictCNN(candles) -> { score, label, probs: { bull, bear, neutral }, trained, version }
+ */
+export function predictCNN(candles = []) {
+  const net = loadCNN();
+  const neutral = { score: 0.5, label: "Neutral", probs: { bull: 50, bear: 50, neutral: 0 }, trained: false, version: null };
+  if (!net) return neutral;
+  const x = encodeWindow(candles, net.arch.window);
+  if (!x) return { ...neutral, trained: true, version: net.version || null };
+  const p = forward(net, x).p;
+  const bull = Math.round(p * 10000) / 100;
+  return {
+    score: p,
+    label: p > 0.55 ? "Bullish" : p < 0.45 ? "Bearish" : "Neutral",
+    probs: { bull, bear: Math.round((100 - bull) * 100) / 100, neutral: 0 },
+    trained: true,
+    version: net.version || null
+  };
+}
+
+export function getCNNInfo() {
+  const net = loadCNN();
+  return net ? { trained: true, version: net.version, trainedAt: net.trainedAt, arch: net.arch, samples: net.samples, metrics: net.metrics } : { trained: false };
+}
+
+export default { encodeWindow, buildCNNDataset, trainCNN, predictCNN, saveCNN, loadCNN, getCNNInfo };
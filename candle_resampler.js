@@ -0,0 +1,80 @@
+// candle_resampler.js — Higher-timeframe candle aggregation
+// - Rolls finer candles (1h by default) up into 2h / 4h / 1d / 1w
+// - OHLCV rollup: first open, max high, min low, last close, summed volume
+// - Alignment: UTC buckets (weeks start Monday) unless the market has a session in
+//   CONFIG.SESSIONS — NSE buckets are anchored at the 09:15 IST open, so 4h bars are
+//   09:15–13:15 / 13:15–15:30 and daily bars are one trading session
+// - The last bucket may still be forming (same convention as exchange klines)
+// - Exports: resampleCandles, bucketStart, canResample
+
+import CONFIG from "./config.js";
+import { tfToMs } from "./data_providers.js";
+
+const DAY = 86_400_000;
+const WEEK = 7 * DAY;
+const MONDAY_OFFSET = 4 * DAY; // 1970-01-01 was a Thursday; 1970-01-05 a Monday
+
+function parseHHMM(s = "00:00") {
+  const [h, m] = String(s).split(":").map(Number);
+  return ((h || 0) * 60 + (m || 0)) * 60_000;
+}
+
+function sessionFor(market) {
+  const s = CONFIG.SESSIONS?.[market];
+  if (!s) return null;
+  return { tz: (s.TZ_OFFSET_MIN || 0) * 60_000, open: parseHHMM(s.OPEN) };
+}
+
+/**
+ * bucketStart(t, tf, market) -> UTC ms of the bucket that holds candle time t
+ */
+export function bucketStart(t, tf, market = null) {
+  const ms = tfToMs(tf);
+  if (!ms) return t;
+  const sess = sessionFor(market);
+  const tz = sess?.tz || 0;
+  const open = sess?.open || 0;
+
+  // work in exchange-local time, shifted so the session open sits at 00:00
+  const local = t + tz - open;
+  let start;
+  if (ms >= WEEK) start = Math.floor((local - MONDAY_OFFSET) / WEEK) * WEEK + MONDAY_OFFSET;
+  else if (ms >= DAY || !sess) start = Math.floor(local / ms) * ms;
+  else {
+    // intraday session buckets restart at each open (no bucket spans two sessions)
+    const day = Math.floor(local / DAY) * DAY;
+    start = day + Math.floor((local - day) / ms) * ms;
+  }
+  return start - tz + open;
+}
+
+export function canResample(tf) {
+  return (CONFIG.RESAMPLE?.TFS || []).includes(tf) && tfToMs(tf) > tfToMs(CONFIG.RESAMPLE?.BASE_TF || "1h");
+}
+
+/**
+ * resampleCandles(candles, tf, { market }) — candles must be sorted { t, open, high, low, close, vol }
+ */
+export function resampleCandles(candles = [], tf = "4h", { market = null } = {}) {
+  if (!Array.isArray(candles) || !candles.length || !tfToMs(tf)) return [];
+  const out = [];
+  let cur = null;
+  for (const c of candles) {
+    const close = Number(c.close);
+    if (!Number.isFinite(close)) continue;
+    const t = bucketStart(Number(c.t), tf, market);
+    if (!cur || cur.t !== t) {
+      if (cur) out.push(cur);
+      cur = { t, open: Number(c.open), high: Number(c.high), low: Number(c.low), close, vol: Number(c.vol ?? c.volume ?? 0) };
+      continue;
+    }
+    cur.high = Math.max(cur.high, Number(c.high));
+    cur.low = Math.min(cur.low, Number(c.low));
+    cur.close = close;
+    cur.vol += Number(c.vol ?? c.volume ?? 0);
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+export default { resampleCandles, bucketStart, canResample };
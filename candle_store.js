@@ -0,0 +1,145 @@
+// candle_store.js — Local candle store with incremental sync
+// - One JSON file per symbol/timeframe under CONFIG.CANDLE_STORE.DIR (cache/candles)
+// - First sync pulls HISTORY_LIMIT bars, later syncs only fetch the missing tail; a gap longer than
+//   HISTORY_LIMIT (downtime) replaces the stored series so no silent hole is merged in
+// - Merged by timestamp (newest row wins, so the forming candle gets refreshed)
+// - Concurrent callers for the same symbol/TF share one in-flight request
+// - Exports: getCandles, syncCandles, upsertCandles, readStored, clearStore
+
+import fs from "fs";
+import path from "path";
+import CONFIG from "./config.js";
+import { fetchCandles, resolveMarket, tfToMs } from "./data_providers.js";
+
+const OPTS = Object.assign({
+  DIR: path.join(CONFIG.PATHS.CACHE_DIR, "candles"),
+  HISTORY_LIMIT: 1000,
+  MAX_BARS: 5000,
+  MIN_REFRESH_MS: 15_000
+}, CONFIG.CANDLE_STORE || {});
+if (!fs.existsSync(OPTS.DIR)) fs.mkdirSync(OPTS.DIR, { recursive: true });
+
+const _mem = new Map();      // "SYM:tf" -> { symbol, tf, lastSync, candles }
+const _inflight = new Map(); // "SYM:tf" -> Promise
+
+const keyOf = (symbol, tf) => `${String(symbol).toUpperCase()}:${tf}`;
+const fileOf = (symbol, tf) => path.join(OPTS.DIR, `${String(symbol).toUpperCase().replace(/[^A-Z0-9_-]/g, "_")}_${tf}.json`);
+
+// ---------------- persistence ----------------
+function load(symbol, tf) {
+  const key = keyOf(symbol, tf);
+  if (_mem.has(key)) return _mem.get(key);
+  let entry = { symbol: String(symbol).toUpperCase(), tf, lastSync: 0, candles: [] };
+  try {
+    const f = fileOf(symbol, tf);
+    if (fs.existsSync(f)) entry = Object.assign(entry, JSON.parse(fs.readFileSync(f, "utf8")));
+  } catch (e) {}
+  _mem.set(key, entry);
+  return entry;
+}
+
+function save(entry) {
+  try { fs.writeFileSync(fileOf(entry.symbol, entry.tf), JSON.stringify(entry), "utf8"); return true; } catch (e) { return false; }
+}
+
+// ---------------- merge ----------------
+function toRow(c) {
+  const row = { t: Number(c.t), open: Number(c.open), high: Number(c.high), low: Number(c.low), close: Number(c.close), vol: Number(c.vol ?? c.volume ?? 0) };
+  return Number.isFinite(row.t) && Number.isFinite(row.close) ? row : null;
+}
+
+function mergeRows(existing = [], incoming = []) {
+  const byT = new Map();
+  for (const c of existing) byT.set(c.t, c);
+  for (const raw of incoming) {
+    const c = toRow(raw);
+    if (c) byT.set(c.t, c);
+  }
+  const out = [...byT.values()].sort((a, b) => a.t - b.t);
+  return out.length > OPTS.MAX_BARS ? out.slice(-OPTS.MAX_BARS) : out;
+}
+
+/**
+ * upsertCandles(symbol, tf, rows) — merge externally received candles (e.g. websocket klines)
+ */
+export function upsertCandles(symbol, tf, rows = [], { persist = true } = {}) {
+  const entry = load(symbol, tf);
+  entry.candles = mergeRows(entry.candles, rows);
+  if (persist) save(entry);
+  return entry.candles.length;
+}
+
+// ---------------- sync ----------------
+// bars needed to cover the gap since the last stored candle (+2 to refresh the forming one);
+// reset: the gap is longer than one fetch can cover, so the tail would not connect to the stored rows
+function missingBars(entry, tf) {
+  const last = entry.candles.at(-1);
+  if (!last) return { limit: OPTS.HISTORY_LIMIT, reset: true };
+  const gap = Math.ceil((Date.now() - last.t) / Math.max(1, tfToMs(tf))) + 2;
+  if (gap > OPTS.HISTORY_LIMIT) return { limit: OPTS.HISTORY_LIMIT, reset: true };
+  return { limit: Math.max(2, gap), reset: false };
+}
+
+/**
+ * syncCandles(symbol, market, tf, { force }) — fetch only the missing tail and persist
+ * returns the stored candle array
+ */
+export async function syncCandles(symbol, market = resolveMarket(symbol), tf = "15m", { force = false } = {}) {
+  const key = keyOf(symbol, tf);
+  if (_inflight.has(key)) return _inflight.get(key);
+
+  const entry = load(symbol, tf);
+  const minAge = Math.min(OPTS.MIN_REFRESH_MS, tfToMs(tf) || OPTS.MIN_REFRESH_MS);
+  if (!force && entry.candles.length && Date.now() - entry.lastSync < minAge) return entry.candles;
+
+  const job = (async () => {
+    try {
+      const { limit, reset } = missingBars(entry, tf);
+      const rows = await fetchCandles(symbol, market, tf, limit);
+      if (rows.length) {
+        entry.candles = mergeRows(reset ? [] : entry.candles, rows);
+        entry.lastSync = Date.now();
+        save(entry);
+      }
+    } catch (e) {}
+    return entry.candles;
+  })();
+
+  _inflight.set(key, job);
+  try { return await job; } finally { _inflight.delete(key); }
+}
+
+// callers get copies: some modules decorate candles in place (e.g. _prev links)
+const copyRows = rows => rows.map(c => ({ ...c }));
+
+/**
+ * getCandles(symbol, tf, { market, limit }) — synced candles, newest `limit` bars
+ */
+export async function getCandles(symbol, tf, { market = null, limit = CONFIG.DEFAULT_LIMIT } = {}) {
+  const rows = await syncCandles(symbol, market || resolveMarket(symbol), tf);
+  return copyRows(limit ? rows.slice(-limit) : rows);
+}
+
+// stored candles without touching the network (backtests / training)
+export function readStored(symbol, tf) {
+  return copyRows(load(symbol, tf).candles);
+}
+
+export function clearStore(symbol = null, tf = null) {
+  for (const key of [..._mem.keys()]) {
+    const [s, t] = key.split(":");
+    if ((!symbol || s === String(symbol).toUpperCase()) && (!tf || t === tf)) _mem.delete(key);
+  }
+  try {
+    for (const f of fs.readdirSync(OPTS.DIR)) {
+      const m = /^(.+)_(\d+[mhdw])\.json$/.exec(f);
+      if (!m) continue;
+      if (symbol && m[1] !== String(symbol).toUpperCase()) continue;
+      if (tf && m[2] !== tf) continue;
+      fs.unlinkSync(path.join(OPTS.DIR, f));
+    }
+  } catch (e) {}
+  return true;
+}
+
+export default { getCandles, syncCandles, upsertCandles, readStored, clearStore };
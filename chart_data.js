@@ -0,0 +1,98 @@
+// chart_data.js — Candles + Elliott / SMC overlays + signal levels as one chart-ready object
+// - buildChartData(symbol, tf, { limit, signal }) -> {
+//     ok, symbol, tf, candles,
+//     overlays: { pivots, waves, channels, orderBlocks, fvgs, sfps, structure, fib, targets },
+//     levels: { price, bias, tp1, tp2, hedge, sl } | null,   (from a generateMergeSignal result)
+//     elliott: { trend, sentiment, confidence, impulse }
+//   }
+// - Every overlay is anchored by candle time (t), never by analyzer index, so clients can draw it directly
+// - analyzeElliott runs on exactly the returned candles (no multi-TF switch)
+// - Used by the web dashboard (api_server.js GET /chart/:symbol, dashboard.html)
+// - Exports: buildChartData, chartOverlays
+
+import CONFIG from "./config.js";
+import { fetchMultiTF } from "./utils.js";
+import { analyzeElliott, normalizeCandles } from "./elliott_module.js";
+
+const OPTS = Object.assign({
+  CANDLES: 200,       // candles per chart
+  MAX_ZONES: 6,       // most recent order blocks / FVGs drawn
+  MAX_PIVOTS: 40
+}, CONFIG.CHART || {});
+
+const num = v => (Number.isFinite(+v) ? +v : null);
+
+// ---------------- overlays ----------------
+/**
+ * chartOverlays(candles, ell) -> overlays object (see header); candles must be the normalized input of `ell`
+ */
+export function chartOverlays(candles = [], ell = null) {
+  const empty = { pivots: [], waves: [], channels: [], orderBlocks: [], fvgs: [], sfps: [], structure: [], fib: null, targets: [] };
+  if (!ell?.ok || !candles.length) return empty;
+  const tAt = idx => candles[Math.max(0, Math.min(candles.length - 1, idx))]?.t ?? null;
+  const lastT = candles.at(-1).t;
+
+  const pivots = (ell.pivots || []).slice(-OPTS.MAX_PIVOTS).map(p => ({ t: p.t ?? tAt(p.idx), price: num(p.price), type: p.type }));
+
+  // wave labels: impulse 1..4 (its first pivot is the origin), then A / B / C of the correction
+  const waves = [];
+  const imp = ell.impulse;
+  if (imp?.pivots?.length) {
+    imp.pivots.forEach((p, i) => waves.push({ t: p.t ?? tAt(p.idx), price: num(p.price), label: i === 0 ? "0" : String(i), type: p.type, degree: "impulse" }));
+  }
+  if (ell.abc) {
+    for (const k of ["A", "B", "C"]) {
+      const p = ell.abc[k];
+      if (p) waves.push({ t: p.t ?? tAt(p.idx), price: num(p.price), label: k, type: p.type, degree: "correction" });
+    }
+  }
+
+  // channel fits are price = slope * t + intercept over the last pivots
+  const fromT = (ell.pivots || []).slice(-60)[0]?.t ?? candles[0].t;
+  const line = fit => ({ t1: fromT, p1: fit.slope * fromT + fit.intercept, t2: lastT, p2: fit.slope * lastT + fit.intercept });
+  const channels = (ell.channels || []).map(c => ({ side: c.side, confidence: c.confidence, upper: line(c.highFit), lower: line(c.lowFit) }));
+
+  // zones run from their candle to the right edge
+  const orderBlocks = (ell.orderBlocks || []).slice(-OPTS.MAX_ZONES)
+    .map(o => ({ t1: tAt(o.idx), t2: lastT, top: num(o.levelHigh), bottom: num(o.levelLow), side: o.side, confidence: o.confidence }));
+  const fvgs = (ell.fvgs || []).slice(-OPTS.MAX_ZONES)
+    .map(f => ({ t1: tAt(f.idx), t2: lastT, top: num(f.top), bottom: num(f.bottom), side: f.type === "FVG_Bullish" ? "Bullish" : "Bearish" }));
+  const sfps = (ell.sfps || []).map(s => ({ t: tAt(s.idx), price: num(s.pivotPrice), side: s.type === "BullishSFP" ? "Bullish" : "Bearish", confidence: s.confidence }));
+  const structure = (ell.marketStructure || []).map(m => ({ type: m.type, side: m.side, level: num(m.level), confidence: m.confidence }));
+
+  const fib = ell.fib ? { lo: num(ell.fib.lo), hi: num(ell.fib.hi), retrace: ell.fib.retrace, ext: ell.fib.ext } : null;
+  const targets = (ell.targets || []).map(t => ({ source: t.source, side: t.side, price: num(t.tp ?? t.target), confidence: t.confidence }))
+    .filter(t => t.price != null);
+
+  return { pivots, waves, channels, orderBlocks, fvgs, sfps, structure, fib, targets };
+}
+
+// TP / SL / hedge from a generateMergeSignal result
+function signalLevels(signal) {
+  if (!signal?.tps) return null;
+  const { tp1, tp2, hedge, sl } = signal.tps;
+  return { price: num(signal.price), bias: signal.fusion?.bias || null, tp1: num(tp1), tp2: num(tp2), hedge: num(hedge), sl: num(sl), generatedAt: signal.generatedAt || null };
+}
+
+// ---------------- Public API ----------------
+export async function buildChartData(symbol, tf, { limit = OPTS.CANDLES, signal = null } = {}) {
+  const sym = String(symbol || "").toUpperCase();
+  const mtf = await fetchMultiTF(sym, [tf], { limit });
+  const candles = normalizeCandles(mtf[tf]?.data || []).slice(-limit);
+  if (!candles.length) return { ok: false, error: `no candles for ${sym} ${tf}` };
+
+  const ell = await analyzeElliott(candles, { debug: false });
+  return {
+    ok: true,
+    symbol: sym,
+    tf,
+    candles,
+    overlays: chartOverlays(candles, ell),
+    levels: signalLevels(signal),
+    elliott: ell?.ok
+      ? { trend: ell.trend, sentiment: ell.sentiment, confidence: ell.confidence, impulse: ell.impulse ? { direction: ell.impulse.direction, quality: ell.impulse.quality } : null }
+      : { error: ell?.error || "elliott analysis failed" }
+  };
+}
+
+export default { buildChartData, chartOverlays };
@@ -0,0 +1,341 @@
+// chart_renderer.js — Server-side chart images (pure JS, no browser / canvas package)
+// - renderChart({ symbol, tf, candles, levels, title }) -> PNG Buffer
+//     panes: candles + fib retracements + TP1 / TP2 / SL / hedge lines, volume, RSI(14), MACD(12,26,9)
+//     RSI / MACD per bar come from core_indicators (the numbers the text report shows)
+// - renderSignalChart(result, tf): candles for a generateMergeSignal result, its TP/SL levels
+// - renderReversalChart(detailedJSON): 15m candles for a reversal_watcher alert, TP / hedge / SL
+// - Rasterizer: RGBA buffer, alpha-blended rects / lines, 5x7 bitmap font; PNG via zlib deflate
+// - Sent with sendPhoto alongside /signal reports and reversal alerts (tg_commands.js, aiTraderBot.js)
+// - Exports: renderChart, renderSignalChart, renderReversalChart, encodePNG
+
+import zlib from "zlib";
+import CONFIG from "./config.js";
+import { fetchMultiTF } from "./utils.js";
+import { normalizeCandles, computeRSI, computeMACD, computeFibLevelsFromCandles } from "./core_indicators.js";
+
+const OPTS = Object.assign({
+  ENABLED: true,
+  WIDTH: 960,
+  HEIGHT: 720,
+  CANDLES: 120,     // bars drawn
+  WARMUP: 60        // extra bars fetched so RSI / MACD are settled at the left edge
+}, CONFIG.CHART_IMAGES || {});
+
+const COLORS = {
+  bg: [15, 19, 26], grid: [35, 43, 56], text: [201, 209, 217], muted: [125, 133, 144],
+  bull: [38, 166, 154], bear: [239, 83, 80], fib: [163, 113, 247], tp: [63, 185, 80], sl: [248, 81, 73],
+  hedge: [210, 153, 34], price: [230, 237, 243], rsi: [88, 166, 255], macd: [88, 166, 255], signal: [240, 180, 41]
+};
+
+// ---------------- PNG ----------------
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+/**
+ * encodePNG(width, height, rgba) -> Buffer (8-bit RGBA, filter 0 per row)
+ */
+export function encodePNG(width, height, rgba) {
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) Buffer.from(rgba.buffer, rgba.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; ihdr[9] = 6; ihdr[10] = 0; ihdr[11] = 0; ihdr[12] = 0;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", ihdr),
+    pngChunk("IDAT", zlib.deflateSync(raw, { level: 6 })),
+    pngChunk("IEND", Buffer.alloc(0))
+  ]);
+}
+
+// ---------------- raster ----------------
+// 5x7 font, 7 rows of 5 bits as hex pairs; lowercase draws as uppercase, unknown chars as "?"
+const FONT = {
+  "0": "0E11131519110E", "1": "040C040404040E", "2": "0E11010204081F", "3": "1F02040201110E",
+  "4": "02060A121F0202", "5": "1F101E0101110E", "6": "0608101E11110E", "7": "1F010204080808",
+  "8": "0E11110E11110E", "9": "0E11110F01020C",
+  A: "0E1111111F1111", B: "1E11111E11111E", C: "0E11101010110E", D: "1C12111111121C", E: "1F10101E10101F",
+  F: "1F10101E101010", G: "0E11101711110F", H: "1111111F111111", I: "0E04040404040E", J: "0702020202120C",
+  K: "11121418141211", L: "1010101010101F", M: "111B1515111111", N: "11111915131111", O: "0E11111111110E",
+  P: "1E11111E101010", Q: "0E11111115120D", R: "1E11111E141211", S: "0F10100E01011E", T: "1F040404040404",
+  U: "1111111111110E", V: "11111111110A04", W: "1111111515150A", X: "11110A040A1111", Y: "1111110A040404",
+  Z: "1F01020408101F",
+  " ": "00000000000000", ".": "00000000000C0C", ",": "000000000C0408", ":": "000C0C000C0C00", "-": "0000001F000000",
+  "+": "0004041F040400", "%": "18190204081303", "/": "00010204081000", "(": "02040808080402", ")": "08040202020408",
+  "|": "04040404040404", "=": "00001F001F0000", "?": "0E110102040004"
+};
+const GLYPH_ALIAS = { "·": ".", "—": "-", "–": "-", "_": "-" };
+
+function glyph(ch) {
+  const c = GLYPH_ALIAS[ch] || ch.toUpperCase();
+  const hex = FONT[c] || FONT["?"];
+  return Array.from({ length: 7 }, (_, i) => parseInt(hex.slice(i * 2, i * 2 + 2), 16));
+}
+
+function createRaster(w, h, bg = COLORS.bg) {
+  const px = new Uint8Array(w * h * 4);
+  for (let i = 0; i < px.length; i += 4) { px[i] = bg[0]; px[i + 1] = bg[1]; px[i + 2] = bg[2]; px[i + 3] = 255; }
+  return { w, h, px };
+}
+
+function plot(r, x, y, color, alpha = 1) {
+  x = Math.round(x); y = Math.round(y);
+  if (x < 0 || y < 0 || x >= r.w || y >= r.h) return;
+  const i = (y * r.w + x) * 4;
+  r.px[i] = r.px[i] * (1 - alpha) + color[0] * alpha;
+  r.px[i + 1] = r.px[i + 1] * (1 - alpha) + color[1] * alpha;
+  r.px[i + 2] = r.px[i + 2] * (1 - alpha) + color[2] * alpha;
+}
+
+function fillRect(r, x, y, w, h, color, alpha = 1) {
+  const x0 = Math.max(0, Math.round(x)), y0 = Math.max(0, Math.round(y));
+  const x1 = Math.min(r.w, Math.round(x + w)), y1 = Math.min(r.h, Math.round(y + h));
+  for (let yy = y0; yy < y1; yy++) for (let xx = x0; xx < x1; xx++) plot(r, xx, yy, color, alpha);
+}
+
+// Bresenham; dash > 0 draws dash-length on / off segments
+function line(r, x0, y0, x1, y1, color, { dash = 0, alpha = 1 } = {}) {
+  x0 = Math.round(x0); y0 = Math.round(y0); x1 = Math.round(x1); y1 = Math.round(y1);
+  const dx = Math.abs(x1 - x0), dy = -Math.abs(y1 - y0);
+  const sx = x0 < x1 ? 1 : -1, sy = y0 < y1 ? 1 : -1;
+  let err = dx + dy, step = 0;
+  for (let guard = 0; guard < 20000; guard++) {
+    if (!dash || Math.floor(step / dash) % 2 === 0) plot(r, x0, y0, color, alpha);
+    if (x0 === x1 && y0 === y1) break;
+    const e2 = 2 * err;
+    if (e2 >= dy) { err += dy; x0 += sx; }
+    if (e2 <= dx) { err += dx; y0 += sy; }
+    step++;
+  }
+}
+
+function text(r, x, y, str, color, scale = 1) {
+  let cx = Math.round(x);
+  for (const ch of String(str)) {
+    const rows = glyph(ch);
+    for (let row = 0; row < 7; row++) {
+      for (let col = 0; col < 5; col++) {
+        if (rows[row] & (0x10 >> col)) fillRect(r, cx + col * scale, y + row * scale, scale, scale, color);
+      }
+    }
+    cx += 6 * scale;
+  }
+  return cx;
+}
+
+const textWidth = (str, scale = 1) => String(str).length * 6 * scale;
+
+// ---------------- chart ----------------
+const fmtPrice = v => (!Number.isFinite(v) ? "-" : Math.abs(v) >= 100 ? v.toFixed(2) : Math.abs(v) >= 1 ? v.toFixed(4) : v.toPrecision(4));
+
+// per-bar RSI / MACD over the whole input (warm-up bars included), same functions as the report
+function indicatorSeries(candles) {
+  const rsi = [], macd = [];
+  for (let i = 0; i < candles.length; i++) {
+    const upto = candles.slice(0, i + 1);
+    rsi.push(i >= 15 ? computeRSI(upto) : null);
+    macd.push(i >= 34 ? computeMACD(upto) : null);
+  }
+  return { rsi, macd };
+}
+
+/**
+ * renderChart({ symbol, tf, candles, levels: { tp1, tp2, sl, hedge, price, bias }, title, width, height, bars }) -> PNG Buffer
+ * candles may include warm-up history; the last `bars` are drawn
+ */
+export function renderChart({ symbol = "", tf = "", candles = [], levels = {}, title = "", width = OPTS.WIDTH, height = OPTS.HEIGHT, bars = OPTS.CANDLES } = {}) {
+  const all = normalizeCandles(candles);
+  const r = createRaster(width, height);
+  if (all.length < 2) {
+    text(r, 20, 20, `${symbol} ${tf} - no data`, COLORS.text, 2);
+    return encodePNG(width, height, r.px);
+  }
+  const series = indicatorSeries(all);
+  const from = Math.max(0, all.length - bars);
+  const cs = all.slice(from), rsi = series.rsi.slice(from), macd = series.macd.slice(from);
+
+  // layout: title, price (58%), volume (12%), RSI (15%), MACD (15%), time axis
+  const pad = { l: 8, r: 84, t: 34, b: 18 };
+  const plotW = width - pad.l - pad.r, plotH = height - pad.t - pad.b;
+  const panes = {};
+  let y = pad.t;
+  for (const [name, share] of [["price", 0.58], ["volume", 0.12], ["rsi", 0.15], ["macd", 0.15]]) {
+    panes[name] = { top: y, h: Math.round(plotH * share) - 6 };
+    y += Math.round(plotH * share);
+  }
+  const cw = plotW / cs.length;
+  const xOf = i => pad.l + (i + 0.5) * cw;
+  const bodyW = Math.max(1, Math.floor(cw * 0.7));
+  const right = pad.l + plotW;
+  const paneFrame = p => {
+    line(r, pad.l, p.top + p.h, right, p.top + p.h, COLORS.grid);
+    line(r, right, p.top, right, p.top + p.h, COLORS.grid);
+  };
+  // horizontal line with a value tag in the right axis
+  const tagLine = (pane, yOf, v, color, label, dash = 0) => {
+    if (!Number.isFinite(v)) return;
+    const yy = yOf(v);
+    if (yy < pane.top || yy > pane.top + pane.h) return;
+    line(r, pad.l, yy, right, yy, color, { dash });
+    const tag = `${label}${label ? " " : ""}${fmtPrice(v)}`;
+    fillRect(r, right + 1, yy - 5, pad.r - 2, 11, color);
+    text(r, right + 4, yy - 3, tag.slice(0, Math.floor((pad.r - 6) / 6)), COLORS.bg);
+  };
+
+  // title
+  const last = cs.at(-1);
+  const bias = levels?.bias || "";
+  const head = title || `${symbol} ${tf}`;
+  let tx = text(r, pad.l, 8, head, COLORS.text, 2);
+  if (bias) tx = text(r, tx + 12, 8, bias, bias === "Bullish" ? COLORS.bull : bias === "Bearish" ? COLORS.bear : COLORS.muted, 2);
+  text(r, tx + 12, 12, `PRICE ${fmtPrice(levels?.price ?? last.close)}`, COLORS.muted);
+
+  // price pane: range covers candles plus levels that are not far outside them
+  const pp = panes.price;
+  let lo = Math.min(...cs.map(c => c.low)), hi = Math.max(...cs.map(c => c.high));
+  const span = hi - lo || Math.abs(hi) * 0.01 || 1;
+  for (const v of [levels?.tp1, levels?.tp2, levels?.sl, levels?.hedge]) {
+    if (Number.isFinite(v) && v > lo - span && v < hi + span) { lo = Math.min(lo, v); hi = Math.max(hi, v); }
+  }
+  const m = (hi - lo) * 0.04; lo -= m; hi += m;
+  const yP = p => pp.top + (hi - p) / (hi - lo) * pp.h;
+  for (let i = 0; i <= 5; i++) {
+    const p = lo + (hi - lo) * i / 5, yy = yP(p);
+    line(r, pad.l, yy, right, yy, COLORS.grid);
+    text(r, right + 4, yy - 3, fmtPrice(p), COLORS.muted);
+  }
+  const fib = computeFibLevelsFromCandles(cs);
+  for (const [k, v] of Object.entries(fib?.retrace || {})) {
+    const yy = yP(v);
+    line(r, pad.l, yy, right, yy, COLORS.fib, { dash: 3, alpha: 0.7 });
+    text(r, pad.l + 2, yy - 9, `FIB ${k}`, COLORS.fib);
+  }
+  cs.forEach((c, i) => {
+    const color = c.close >= c.open ? COLORS.bull : COLORS.bear;
+    const x = xOf(i);
+    line(r, x, yP(c.high), x, yP(c.low), color);
+    const y1 = yP(Math.max(c.open, c.close)), y2 = yP(Math.min(c.open, c.close));
+    fillRect(r, x - bodyW / 2, y1, bodyW, Math.max(1, y2 - y1), color);
+  });
+  tagLine(pp, yP, levels?.hedge, COLORS.hedge, "H", 4);
+  tagLine(pp, yP, levels?.sl, COLORS.sl, "SL");
+  tagLine(pp, yP, levels?.tp2, COLORS.tp, "TP2");
+  tagLine(pp, yP, levels?.tp1, COLORS.tp, "TP1");
+  tagLine(pp, yP, last.close, COLORS.price, "", 2);
+  paneFrame(pp);
+
+  // volume
+  const vp = panes.volume;
+  const vMax = Math.max(...cs.map(c => c.vol || 0)) || 1;
+  cs.forEach((c, i) => {
+    const h = (c.vol || 0) / vMax * vp.h;
+    fillRect(r, xOf(i) - bodyW / 2, vp.top + vp.h - h, bodyW, h, c.close >= c.open ? COLORS.bull : COLORS.bear, 0.6);
+  });
+  text(r, pad.l + 2, vp.top + 2, "VOL", COLORS.muted);
+  paneFrame(vp);
+
+  // RSI
+  const rp = panes.rsi;
+  const yR = v => rp.top + (100 - v) / 100 * rp.h;
+  for (const g of [30, 70]) { line(r, pad.l, yR(g), right, yR(g), COLORS.muted, { dash: 3, alpha: 0.6 }); text(r, right + 4, yR(g) - 3, String(g), COLORS.muted); }
+  rsi.forEach((v, i) => { if (i && v != null && rsi[i - 1] != null) line(r, xOf(i - 1), yR(rsi[i - 1]), xOf(i), yR(v), COLORS.rsi); });
+  text(r, pad.l + 2, rp.top + 2, `RSI 14 ${rsi.at(-1) != null ? rsi.at(-1).toFixed(1) : "-"}`, COLORS.rsi);
+  paneFrame(rp);
+
+  // MACD
+  const mp = panes.macd;
+  const mVals = macd.filter(Boolean).flatMap(v => [v.line, v.signal, v.hist]);
+  const mAbs = Math.max(1e-12, ...mVals.map(Math.abs));
+  const yM = v => mp.top + mp.h / 2 - v / mAbs * (mp.h / 2 - 2);
+  line(r, pad.l, yM(0), right, yM(0), COLORS.grid);
+  macd.forEach((v, i) => {
+    if (!v) return;
+    const y0 = yM(0), y1 = yM(v.hist);
+    fillRect(r, xOf(i) - bodyW / 2, Math.min(y0, y1), bodyW, Math.max(1, Math.abs(y1 - y0)), v.hist >= 0 ? COLORS.bull : COLORS.bear, 0.6);
+    const p = macd[i - 1];
+    if (p) {
+      line(r, xOf(i - 1), yM(p.line), xOf(i), yM(v.line), COLORS.macd);
+      line(r, xOf(i - 1), yM(p.signal), xOf(i), yM(v.signal), COLORS.signal);
+    }
+  });
+  const lm = macd.at(-1);
+  text(r, pad.l + 2, mp.top + 2, `MACD ${lm ? `${fmtPrice(lm.line)} SIG ${fmtPrice(lm.signal)} HIST ${fmtPrice(lm.hist)}` : "-"}`, COLORS.macd);
+  paneFrame(mp);
+
+  // time axis (UTC)
+  const every = Math.max(1, Math.round(cs.length / 6));
+  for (let i = 0; i < cs.length; i += every) {
+    const label = new Date(cs[i].t).toISOString().slice(5, 16).replace("T", " ");
+    text(r, Math.min(right - textWidth(label), Math.max(pad.l, xOf(i) - textWidth(label) / 2)), height - pad.b + 6, label, COLORS.muted);
+  }
+
+  return encodePNG(width, height, r.px);
+}
+
+// ---------------- sources ----------------
+async function fetchChartCandles(symbol, tf) {
+  const mtf = await fetchMultiTF(symbol, [tf], { limit: OPTS.CANDLES + OPTS.WARMUP });
+  return mtf[tf]?.data || [];
+}
+
+/**
+ * renderSignalChart(result, tf) -> PNG Buffer | null (generateMergeSignal result)
+ */
+export async function renderSignalChart(result, tf) {
+  if (!OPTS.ENABLED || !result?.symbol) return null;
+  try {
+    const candles = await fetchChartCandles(result.symbol, tf);
+    if (candles.length < 2) return null;
+    const t = result.tps || {};
+    return renderChart({
+      symbol: result.symbol, tf, candles,
+      levels: { price: Number(result.price), bias: result.fusion?.bias, tp1: Number(t.tp1), tp2: Number(t.tp2), sl: Number(t.sl), hedge: Number(t.hedge) }
+    });
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * renderReversalChart(alert) -> PNG Buffer | null (reversal_watcher detailed alert payload, 15m)
+ */
+export async function renderReversalChart(alert, tf = "15m") {
+  if (!OPTS.ENABLED || !alert?.symbol) return null;
+  try {
+    const candles = await fetchChartCandles(alert.symbol, tf);
+    if (candles.length < 2) return null;
+    return renderChart({
+      symbol: alert.symbol, tf, candles,
+      title: `${alert.symbol} ${tf} REVERSAL`,
+      levels: { price: Number(alert.price), bias: alert.side, tp1: Number(alert.tps?.primary), hedge: Number(alert.tps?.hedge), sl: Number(alert.sl) }
+    });
+  } catch (e) {
+    return null;
+  }
+}
+
+export default { renderChart, renderSignalChart, renderReversalChart, encodePNG };
@@ -0,0 +1,88 @@
+// chat_sessions.js — Per-chat Telegram session state
+// - One record per chat: market, symbol, tf, auto (on/off), autoEveryMin
+//   (the auto-report itself runs as a scheduler.js schedule tagged "auto")
+// - Persisted to CONFIG.CHAT_SESSIONS.FILE (cache/chat_sessions.json) so restarts keep it
+// - New chats start from CONFIG.ACTIVE_MARKET / ACTIVE_SYMBOL (read-only defaults now)
+// - Exports: getSession, updateSession, setMarket, listSessions, deleteSession
+
+import fs from "fs";
+import path from "path";
+import CONFIG from "./config.js";
+
+const OPTS = Object.assign({
+  FILE: path.join(CONFIG.PATHS.CACHE_DIR, "chat_sessions.json"),
+  DEFAULT_TF: "15m",
+  AUTO_EVERY_MIN: 5
+}, CONFIG.CHAT_SESSIONS || {});
+
+let _sessions = null; // chatId -> session
+
+// ---------------- persistence ----------------
+function load() {
+  if (_sessions) return _sessions;
+  _sessions = {};
+  try {
+    if (fs.existsSync(OPTS.FILE)) _sessions = JSON.parse(fs.readFileSync(OPTS.FILE, "utf8")) || {};
+  } catch (e) {
+    _sessions = {};
+  }
+  return _sessions;
+}
+
+function save() {
+  try { fs.writeFileSync(OPTS.FILE, JSON.stringify(_sessions, null, 2), "utf8"); return true; } catch (e) { return false; }
+}
+
+function defaults() {
+  const market = CONFIG.ACTIVE_MARKET || "CRYPTO";
+  return {
+    market,
+    symbol: CONFIG.ACTIVE_SYMBOL || CONFIG.DEFAULT_BY_MARKET?.[market],
+    tf: OPTS.DEFAULT_TF,
+    auto: false,
+    autoEveryMin: OPTS.AUTO_EVERY_MIN
+  };
+}
+
+// ---------------- Public API ----------------
+/**
+ * getSession(chatId) -> copy of the chat's session (defaults for unknown chats, not persisted)
+ */
+export function getSession(chatId) {
+  const s = load()[String(chatId)];
+  return { chatId: String(chatId), ...defaults(), ...(s || {}) };
+}
+
+/**
+ * updateSession(chatId, patch) -> merged session, written to disk
+ */
+export function updateSession(chatId, patch = {}) {
+  const all = load();
+  const key = String(chatId);
+  const { chatId: _ignored, ...rest } = patch;
+  all[key] = { ...defaults(), ...(all[key] || {}), ...rest, updatedAt: Date.now() };
+  save();
+  return { chatId: key, ...all[key] };
+}
+
+// switch market and reset the symbol to that market's default
+export function setMarket(chatId, market) {
+  const m = String(market || "").toUpperCase();
+  if (!CONFIG.SYMBOLS[m]) return null;
+  return updateSession(chatId, { market: m, symbol: CONFIG.DEFAULT_BY_MARKET?.[m] || Object.keys(CONFIG.SYMBOLS[m])[0] });
+}
+
+// all persisted sessions, optionally filtered: listSessions(s => s.auto)
+export function listSessions(filter = null) {
+  const out = Object.entries(load()).map(([chatId, s]) => ({ chatId, ...defaults(), ...s }));
+  return typeof filter === "function" ? out.filter(filter) : out;
+}
+
+export function deleteSession(chatId) {
+  const all = load();
+  if (!all[String(chatId)]) return false;
+  delete all[String(chatId)];
+  return save();
+}
+
+export default { getSession, updateSession, setMarket, listSessions, deleteSession };
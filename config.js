@@ -10,6 +10,7 @@ if (!fs.existsSync(CACHE_DIR)) fs.mkdirSync(CACHE_DIR, { recursive: true });
 const CONFIG = {
   MODE: process.env.NODE_ENV || "production",
 
+  // defaults for new Telegram chats (per-chat state lives in chat_sessions.js)
   ACTIVE_MARKET: "CRYPTO",
   ACTIVE_SYMBOL: "BTCUSDT",
 
@@ -54,6 +55,20 @@ const CONFIG = {
   INTERVALS: ["1m", "5m", "15m", "30m", "1h"],
   DEFAULT_LIMIT: 500,
 
+  // higher TFs built from BASE_TF when no provider serves them (candle_resampler.js)
+  RESAMPLE: {
+    BASE_TF: "1h",
+    TFS: ["2h", "4h", "1d", "1w"]
+  },
+
+  // exchange sessions: bucket alignment (candle_resampler.js) and market hours
+  // (scheduler.js isMarketOpen; DAYS are local weekdays, 0 = Sunday). Unlisted markets trade 24/7
+  SESSIONS: {
+    INDIA: { TZ_OFFSET_MIN: 330, OPEN: "09:15", CLOSE: "15:30", DAYS: [1, 2, 3, 4, 5] },
+    FOREX: { TZ_OFFSET_MIN: 0, DAYS: [1, 2, 3, 4, 5] },
+    COMMODITIES: { TZ_OFFSET_MIN: 0, DAYS: [1, 2, 3, 4, 5] }
+  },
+
   API: {
     BINANCE: [
       "https://api.binance.com",
@@ -70,6 +85,231 @@ const CONFIG = {
 
   PATHS: { CACHE_DIR },
 
+  // per-chat Telegram sessions (chat_sessions.js)
+  CHAT_SESSIONS: {
+    FILE: path.join(CACHE_DIR, "chat_sessions.json"),
+    DEFAULT_TF: "15m",
+    AUTO_EVERY_MIN: 5   // auto-report cadence for new chats (/auto <min> changes it)
+  },
+
+  // cron-style report schedules (scheduler.js); cron times are read at TZ_OFFSET_MIN (IST)
+  SCHEDULER: {
+    FILE: path.join(CACHE_DIR, "schedules.json"),
+    TZ_OFFSET_MIN: 330,
+    TICK_MS: 20_000,
+    MAX_PER_CHAT: 20
+  },
+
+  // Binance websocket streaming (binance_stream.js); STREAM=off disables it
+  STREAM: {
+    ENABLED: process.env.STREAM !== "off",
+    WS_URLS: ["wss://stream.binance.com:9443", "wss://data-stream.binance.vision"],
+    INTERVALS: ["1m", "5m", "15m", "30m", "1h"],
+    BUFFER_SIZE: 500,
+    RECONNECT_MS: 2_000,
+    MAX_RECONNECT_MS: 60_000,
+    STALE_MS: 60_000
+  },
+
+  // market data providers (data_providers.js), tried in this order per market
+  PROVIDERS: {
+    PRIORITY: {
+      CRYPTO: ["binance", "yahoo"],
+      INDIA: ["yahoo"],
+      FOREX: ["yahoo"],
+      COMMODITIES: ["yahoo"]
+    },
+    // DATA_PROVIDERS=file forces one chain for every market (offline replay / tests)
+    OVERRIDE: process.env.DATA_PROVIDERS ? process.env.DATA_PROVIDERS.split(",").map(s => s.trim()).filter(Boolean) : null,
+    FILE_DIR: process.env.CANDLE_FILE_DIR || path.join(ROOT, "data")
+  },
+
+  // local candle store (candle_store.js)
+  CANDLE_STORE: {
+    DIR: path.join(CACHE_DIR, "candles"),
+    HISTORY_LIMIT: 1000,    // bars pulled on first sync
+    MAX_BARS: 5000,         // kept per symbol/TF
+    MIN_REFRESH_MS: 15_000  // re-sync at most this often (or once per bar on shorter TFs)
+  },
+
+  // price / indicator alerts (price_alerts.js)
+  ALERTS: {
+    FILE: path.join(CACHE_DIR, "price_alerts.json"),
+    CHECK_MS: 30_000,
+    COOLDOWN_MIN: 15,   // minimum gap between repeats of one alert
+    MAX_PER_CHAT: 30
+  },
+
+  // paper-trading ledger (paper_trading.js)
+  PAPER: {
+    FILE: path.join(CACHE_DIR, "paper_trading.json"),
+    START_BALANCE: 10_000,
+    RISK_PCT: 1,              // balance risked between entry and SL
+    MAX_NOTIONAL_PCT: 100,
+    PARTIAL: 0.5,             // fraction closed at TP1, runner stop moves to breakeven
+    FEE_BPS: 4,               // per side
+    MAX_HOLD_MIN: 24 * 60,    // timeout exit
+    CHECK_MS: 30_000,
+    AUTO_MIN_CONFIDENCE: 20   // fusion confidence needed for auto-opened trades
+  },
+
+  // automatic outcome labelling of recorded predictions (outcome_resolver.js)
+  OUTCOMES: {
+    STATE_FILE: path.join(CACHE_DIR, "outcome_resolver.json"),
+    HORIZON_BARS: 16,         // bars after the prediction before the direction check
+    NEUTRAL_BAND_PCT: 0.25,   // |move| below this counts as Neutral
+    MAX_AGE_DAYS: 7,
+    CHECK_MS: 5 * 60_000
+  },
+
+  // trainable candle-pattern classifier behind the "cnn" fusion layer (candle_cnn.js; train_ml.js --cnn)
+  CNN: {
+    FILE: path.join(CACHE_DIR, "candle_cnn.json"),
+    WINDOW: 32,               // candles per input
+    FILTERS: 8,
+    KERNEL: 3
+  },
+
+  // fitted probability calibration (calibration.js; fitted by evaluate_calibration.js --save)
+  CALIBRATION: {
+    FILE: path.join(CACHE_DIR, "calibration.json"),
+    BINS: 10,                 // reliability diagram bins
+    MIN_SAMPLES: 50           // calibrators fitted on fewer samples are ignored
+  },
+
+  // model snapshots / promote / rollback / shadow A-B (model_registry.js, /model)
+  MODEL_REGISTRY: {
+    DIR: path.join(CACHE_DIR, "model_registry"),
+    KEEP: 50,                 // snapshots kept (active, shadow and rollback targets never pruned)
+    ADMIN_CHAT_IDS: (process.env.ADMIN_CHAT_IDS || "").split(",").map(s => s.trim()).filter(Boolean)
+  },
+
+  // adaptive fusion weights per market / symbol (fusion_scopes.js; ml_module_v15 + ml_module_v8_6)
+  FUSION_SCOPES: {
+    MIN_SYMBOL_SAMPLES: 30,   // outcomes before a symbol uses its own weights instead of its market's
+    SYMBOLS: true,            // false: per-market weights only
+    MARKET_DEFAULTS: {}       // starting overrides per market, e.g. { INDIA: { w_news: 0.05 } }
+  },
+
+  // market regime detection + per-regime parameters (regime.js)
+  REGIMES: {
+    LOOKBACK: 200,            // bars ranked for the volatility percentile
+    ADX_TREND: 25,
+    ADX_RANGE: 20,
+    VOL_HIGH: 0.8,            // ATR% percentile at/above: volatile
+    VOL_LOW: 0.2,             // ATR% percentile at/below: calm
+    // each regime overrides DEFAULT entry by entry
+    // fusion: buildFusion weights (tf / ml / elliott / news); layers: multipliers on the v15 fusion weights
+    // tp: ATR multiples in buildTPs; reversal: offsets added to the reversal watcher's scoreGate / mlMinConfidence
+    PROFILES: {
+      DEFAULT: {
+        fusion: { tf: 0.35, ml: 0.35, elliott: 0.15, news: 0.15 },
+        layers: { w_ind: 1, w_pattern: 1, w_elliott: 1, w_of: 1, w_cnn: 1, w_news: 1 },
+        tp: { conservative: 3.0, aggressive: 5.0, sl: 1.9, hedge: 1.5 },
+        reversal: { scoreGate: 0, mlMinConfidence: 0 }
+      },
+      trending: {
+        fusion: { tf: 0.42, ml: 0.33, elliott: 0.15, news: 0.10 },
+        layers: { w_ind: 1.2, w_elliott: 1.2, w_pattern: 0.9, w_of: 0.9 },
+        tp: { conservative: 3.5, aggressive: 6.5, sl: 2.2 },
+        reversal: { scoreGate: 0.6, mlMinConfidence: 5 }      // counter-trend reversals need more
+      },
+      volatile: {
+        fusion: { tf: 0.30, ml: 0.35, elliott: 0.10, news: 0.25 },
+        layers: { w_of: 1.3, w_news: 1.3, w_pattern: 0.8 },
+        tp: { conservative: 2.5, aggressive: 4.0, sl: 2.5, hedge: 2.0 },
+        reversal: { scoreGate: 0.4, mlMinConfidence: 5 }
+      },
+      ranging: {
+        fusion: { tf: 0.25, ml: 0.40, elliott: 0.20, news: 0.15 },
+        layers: { w_ind: 0.8, w_pattern: 1.3, w_cnn: 1.2 },
+        tp: { conservative: 2.0, aggressive: 3.5, sl: 1.6 },
+        reversal: { scoreGate: -0.2, mlMinConfidence: -3 }    // fades at range edges work best here
+      },
+      calm: {
+        tp: { conservative: 2.5, aggressive: 4.5, sl: 1.7, hedge: 1.2 }
+      },
+      choppy: {
+        fusion: { tf: 0.30, ml: 0.40, elliott: 0.15, news: 0.15 },
+        tp: { conservative: 2.5, aggressive: 4.0, sl: 2.0 },
+        reversal: { scoreGate: 0.3, mlMinConfidence: 2 }
+      }
+    }
+  },
+
+  // per-signal explanations (explain.js, /why)
+  EXPLAIN: {
+    FILE: path.join(CACHE_DIR, "explanations.json"),   // last explanation per chat
+    TOP: 8,                   // model features listed by /why
+    COMPACT_TOP: 3            // features / layers in the report block
+  },
+
+  // HTTP API (api_server.js); API_SERVER=off disables it
+  API_SERVER: {
+    ENABLED: process.env.API_SERVER !== "off",
+    PORT: Number(process.env.PORT) || 3000,
+    TIMEFRAMES: ["1m", "5m", "15m", "30m", "1h", "4h"],
+    KEYS: (process.env.API_KEYS || "").split(",").map(s => s.trim()).filter(Boolean),   // empty: open, limited per IP
+    RATE_LIMIT: { WINDOW_MS: 60_000, MAX: 60 },   // requests per key per window
+    SIGNAL_TTL_MS: 30_000,    // /signal reuses an analysis this long
+    RECORD_SIGNALS: false,    // true: /signal analyses are recorded as predictions (outcome labelling, training)
+    DASHBOARD: process.env.DASHBOARD !== "off",  // GET /dashboard
+    // reverse proxies in front of the server (express "trust proxy"): hop count, "off", or trusted addresses;
+    // more hops than really exist let clients pick their rate-limit IP via X-Forwarded-For
+    TRUST_PROXY: process.env.TRUST_PROXY === "off" ? false
+      : /^\d+$/.test(process.env.TRUST_PROXY || "") ? Number(process.env.TRUST_PROXY)
+      : process.env.TRUST_PROXY || 1
+  },
+
+  // chart data for the dashboard (chart_data.js)
+  CHART: {
+    CANDLES: 200,
+    MAX_ZONES: 6,       // most recent order blocks / FVGs drawn
+    MAX_PIVOTS: 40
+  },
+
+  // PNG charts sent with /signal reports and reversal alerts (chart_renderer.js); CHART_IMAGES=off disables them
+  CHART_IMAGES: {
+    ENABLED: process.env.CHART_IMAGES !== "off",
+    WIDTH: 960,
+    HEIGHT: 720,
+    CANDLES: 120,     // bars drawn
+    WARMUP: 60        // extra bars so RSI / MACD are settled at the left edge
+  },
+
+  // reversal watcher (reversal_watcher.js): runs for the WebSocket alert topic whenever WS_SERVER is on;
+  // REVERSAL_WATCHER=on + REVERSAL_CHAT_IDS also send its alerts to Telegram, REVERSAL_WATCHER=off stops it
+  REVERSAL_WATCHER: {
+    ENABLED: process.env.REVERSAL_WATCHER === "on",
+    DISABLED: process.env.REVERSAL_WATCHER === "off",
+    SYMBOL: process.env.REVERSAL_SYMBOL || "BTCUSDT",
+    CHAT_IDS: (process.env.REVERSAL_CHAT_IDS || "").split(",").map(s => s.trim()).filter(Boolean)
+  },
+
+  // watchlist scanner (scanner.js; /scan, GET /scan)
+  SCANNER: {
+    CONCURRENCY: 3,           // symbols analyzed in parallel
+    TF: "15m",
+    TOP: 5,                   // candidates per side
+    V8_WEIGHT: 0.3,           // share of ml_module_v8_6 in the combined P(bull)
+    WEIGHTS: { confidence: 0.5, volatility: 0.2, reversal: 0.3 },
+    REVERSAL_SCALE: 3,        // reversal score counted as a full 1.0
+    CACHE_MS: 60_000
+  },
+
+  // WebSocket push channel (ws_server.js; on the API server's port at PATH); WS_SERVER=off disables it
+  WS_SERVER: {
+    ENABLED: process.env.WS_SERVER !== "off",
+    PATH: "/ws",
+    PORT: Number(process.env.WS_PORT) || 3001,   // only when the API server is off
+    MAX_TOPICS: 50,           // subscriptions per client
+    PING_MS: 30_000,
+    SIGNAL_CHECK_MS: 15_000,  // subscribed signal topics refresh once per new TF bar
+    PRICE_MS: 5_000,          // price poll for symbols without a stream ticker
+    PRICE_THROTTLE_MS: 1_000,
+    ALERT_SNAPSHOT: 10        // recent reversal alerts sent on subscribe
+  },
+
   FALLBACK: {
     MAX_RETRIES: 3,
     RETRY_DELAY_MS: 400
@@ -0,0 +1,241 @@
+// data_providers.js — Pluggable market data providers
+// A provider declares what it serves and implements two calls:
+//   {
+//     name: "binance",
+//     markets: ["CRYPTO"],                       // markets served ("*" = any)
+//     supports(symbol, market) -> bool,          // optional finer symbol filter
+//     intervals: ["1m", "1h", ...],              // optional; TFs it serves natively (omit = any)
+//     getCandles(symbol, tf, limit) -> [{ t, open, high, low, close, vol }],
+//     getPrice(symbol) -> number | null
+//   }
+// fetchCandles (used by candle_store.js) and utils.fetchPrice walk providers in the
+// order given by CONFIG.PROVIDERS.PRIORITY[market]; the first non-empty answer wins.
+// Built-ins: binance, yahoo, file (offline JSON candles under CONFIG.PROVIDERS.FILE_DIR)
+
+import fs from "fs";
+import path from "path";
+import axios from "axios";
+import CONFIG from "./config.js";
+
+const _providers = new Map(); // name -> provider (registration order kept)
+
+// ---------------- HTTP helper ----------------
+export async function safeGet(url, retry = 3) {
+  try {
+    return await axios.get(url, { timeout: 8000, proxy: false });
+  } catch (err) {
+    if (retry > 0) return safeGet(url, retry - 1);
+    return null;
+  }
+}
+
+// ---------------- Timeframes ----------------
+const TF_UNITS = { m: 60_000, h: 3_600_000, d: 86_400_000, w: 604_800_000 };
+
+// "15m" -> 900000, "4h" -> 14400000 (0 when unknown)
+export function tfToMs(tf) {
+  const m = /^(\d+)([mhdw])$/.exec(String(tf || ""));
+  return m ? Number(m[1]) * TF_UNITS[m[2]] : 0;
+}
+
+// ---------------- Symbol lookup ----------------
+// market that lists `symbol` in CONFIG.SYMBOLS (null when unknown)
+export function resolveMarket(symbol) {
+  const s = String(symbol || "").toUpperCase();
+  for (const m of Object.keys(CONFIG.SYMBOLS)) {
+    if (CONFIG.SYMBOLS[m][s]) return m;
+  }
+  return null;
+}
+
+function symbolMap(symbol, market = resolveMarket(symbol)) {
+  return (market && CONFIG.SYMBOLS[market]?.[String(symbol).toUpperCase()]) || null;
+}
+
+// ---------------- Registry ----------------
+export function registerProvider(provider) {
+  if (!provider || !provider.name) throw new Error("provider needs a name");
+  if (typeof provider.getCandles !== "function" || typeof provider.getPrice !== "function") {
+    throw new Error(`provider ${provider.name} must implement getCandles and getPrice`);
+  }
+  _providers.set(provider.name, { markets: ["*"], ...provider });
+  return provider.name;
+}
+
+export function unregisterProvider(name) {
+  return _providers.delete(name);
+}
+
+function serves(p, symbol, market) {
+  const marketOk = p.markets.includes("*") || p.markets.includes(market);
+  if (!marketOk) return false;
+  try { return typeof p.supports === "function" ? !!p.supports(symbol, market) : true; } catch { return false; }
+}
+
+/**
+ * Providers for a symbol, in priority order:
+ * CONFIG.PROVIDERS.OVERRIDE (env DATA_PROVIDERS) > CONFIG.PROVIDERS.PRIORITY[market] > remaining registrations.
+ */
+export function getProviders(symbol, market = resolveMarket(symbol)) {
+  const cfg = CONFIG.PROVIDERS || {};
+  const order = cfg.OVERRIDE || cfg.PRIORITY?.[market] || [];
+  const listed = order.map(n => _providers.get(n)).filter(Boolean);
+  const rest = cfg.OVERRIDE ? [] : [..._providers.values()].filter(p => !order.includes(p.name));
+  return [...listed, ...rest].filter(p => serves(p, symbol, market));
+}
+
+const hasInterval = (p, tf) => !Array.isArray(p.intervals) || p.intervals.includes(tf);
+
+// first non-empty candle answer along the provider chain (providers that do not list `tf` are skipped)
+export async function fetchCandles(symbol, market, tf, limit = 200) {
+  for (const p of getProviders(symbol, market)) {
+    if (!hasInterval(p, tf)) continue;
+    try {
+      const rows = await p.getCandles(symbol, tf, limit);
+      if (Array.isArray(rows) && rows.length) return rows;
+    } catch {}
+  }
+  return [];
+}
+
+// does any provider in the chain serve `tf` natively?
+export function servesInterval(symbol, market, tf) {
+  return getProviders(symbol, market).some(p => hasInterval(p, tf));
+}
+
+export function listProviders() {
+  return [..._providers.values()].map(p => ({ name: p.name, markets: p.markets }));
+}
+
+// ===========================================
+// BUILT-IN: BINANCE (crypto spot)
+// ===========================================
+registerProvider({
+  name: "binance",
+  markets: ["CRYPTO"],
+  intervals: ["1m", "3m", "5m", "15m", "30m", "1h", "2h", "4h", "6h", "8h", "12h", "1d", "3d", "1w"],
+  supports: (symbol, market) => !!symbolMap(symbol, market)?.binance,
+
+  async getCandles(symbol, tf, limit = 200) {
+    const map = symbolMap(symbol);
+    for (const host of CONFIG.API.BINANCE) {
+      const r = await safeGet(`${host}/api/v3/klines?symbol=${map.binance}&interval=${tf}&limit=${Math.min(1000, limit)}`);
+      if (!Array.isArray(r?.data)) continue;
+      return r.data.map(k => ({
+        t: k[0],
+        open: Number(k[1]),
+        high: Number(k[2]),
+        low: Number(k[3]),
+        close: Number(k[4]),
+        vol: Number(k[5])
+      }));
+    }
+    return [];
+  },
+
+  async getPrice(symbol) {
+    const map = symbolMap(symbol);
+    for (const host of CONFIG.API.BINANCE) {
+      const r = await safeGet(`${host}/api/v3/ticker/price?symbol=${map.binance}`);
+      if (r?.data?.price) return parseFloat(r.data.price);
+    }
+    return null;
+  }
+});
+
+// ===========================================
+// BUILT-IN: YAHOO (NSE, forex, commodities, crypto fallback)
+// ===========================================
+const YAHOO_RANGES = [["1d", 1], ["5d", 5], ["1mo", 30], ["3mo", 90], ["6mo", 180], ["1y", 365], ["2y", 730], ["5y", 1825], ["max", Infinity]];
+// Yahoo caps intraday history: 1m -> 7 days, < 1h -> 60 days, 1h -> 730 days
+const YAHOO_MAX_DAYS = { "1m": 7, "2m": 60, "5m": 60, "15m": 60, "30m": 60, "1h": 730 };
+
+// smallest range holding `limit` bars (x4 covers sessions that trade ~6h a day), never past the
+// interval's cap — Yahoo rejects e.g. "3mo" for 15m, so a capped request gets the largest range within it
+function yahooRange(tf, limit) {
+  const cap = YAHOO_MAX_DAYS[tf] ?? Infinity;
+  const days = Math.ceil(limit * tfToMs(tf) / 86_400_000 * 4);
+  const allowed = YAHOO_RANGES.filter(([, d]) => d <= cap);
+  return (allowed.find(([, d]) => d >= days) || allowed.at(-1) || YAHOO_RANGES[0])[0];
+}
+
+registerProvider({
+  name: "yahoo",
+  markets: ["*"],
+  intervals: ["1m", "2m", "5m", "15m", "30m", "1h", "1d"],
+  supports: (symbol, market) => !!symbolMap(symbol, market)?.yahoo,
+
+  async getCandles(symbol, tf, limit = 200) {
+    const map = symbolMap(symbol);
+    for (const y of CONFIG.API.YAHOO) {
+      const r = await safeGet(`${y}/${map.yahoo}?interval=${tf}&range=${yahooRange(tf, limit)}`);
+      const res = r?.data?.chart?.result?.[0];
+      if (!res) continue;
+
+      const ts = res.timestamp || [];
+      const q = res.indicators?.quote?.[0] || {};
+
+      return ts.map((t, i) => ({
+        t: t * 1000,
+        open: Number(q.open?.[i]),
+        high: Number(q.high?.[i]),
+        low: Number(q.low?.[i]),
+        close: Number(q.close?.[i]),
+        vol: Number(q.volume?.[i] ?? 0)
+      })).filter(c => Number.isFinite(c.close)).slice(-limit);
+    }
+    return [];
+  },
+
+  async getPrice(symbol) {
+    const map = symbolMap(symbol);
+    for (const y of CONFIG.API.YAHOO) {
+      const r = await safeGet(`${y}/${map.yahoo}?interval=1m&range=1d`);
+      const p = r?.data?.chart?.result?.[0]?.meta?.regularMarketPrice;
+      if (p) return Number(p);
+    }
+    return null;
+  }
+});
+
+// ===========================================
+// BUILT-IN: FILE (offline replay / tests)
+// <FILE_DIR>/<SYMBOL>_<tf>.json  -> [candles]
+// <FILE_DIR>/<SYMBOL>.json       -> { "15m": [...] } or { candles: { "15m": [...] } }
+// ===========================================
+function readFileCandles(symbol, tf) {
+  const dir = CONFIG.PROVIDERS?.FILE_DIR;
+  if (!dir) return [];
+  const s = String(symbol).toUpperCase();
+  try {
+    const single = path.join(dir, `${s}_${tf}.json`);
+    if (fs.existsSync(single)) return JSON.parse(fs.readFileSync(single, "utf8")) || [];
+    const multi = path.join(dir, `${s}.json`);
+    if (fs.existsSync(multi)) {
+      const raw = JSON.parse(fs.readFileSync(multi, "utf8")) || {};
+      return (raw.candles || raw)[tf] || [];
+    }
+  } catch {}
+  return [];
+}
+
+registerProvider({
+  name: "file",
+  markets: ["*"],
+  intervals: CONFIG.INTERVALS,   // higher TFs are resampled from BASE_TF like the live chains
+
+  async getCandles(symbol, tf, limit = 200) {
+    const rows = readFileCandles(symbol, tf);
+    return Array.isArray(rows) ? rows.slice(-limit) : [];
+  },
+
+  async getPrice(symbol) {
+    for (const tf of CONFIG.INTERVALS) {
+      const last = readFileCandles(symbol, tf).at(-1);
+      if (last && Number.isFinite(Number(last.close))) return Number(last.close);
+    }
+    return null;
+  }
+});
+
+export default { registerProvider, unregisterProvider, getProviders, servesInterval, listProviders, fetchCandles, resolveMarket, tfToMs, safeGet };
@@ -515,15 +515,32 @@ function avgVolume(candles, startIdx, endIdx) {
   return cnt? sum/cnt : 0;
 }
 
+/* -------------------------
+   ML Feature schema
+   Named, versioned feature keys. Bump FEATURE_SCHEMA.version whenever keys are added,
+   removed or reordered and keep the old list in FEATURE_SCHEMAS: ml_module_v15 maps
+   learned weights across versions by key name instead of resetting the model.
+   ------------------------- */
+export const FEATURE_SCHEMAS = {
+  1: [
+    "meanRet", "stdRet", "atr", "atr_over_price",
+    "pattern_count", "orderblock_count", "fvg_count", "sfp_count", "channel_count",
+    "impulse_quality_norm", "sentiment", "confidence_norm",
+    "ret_-10", "ret_-9", "ret_-8", "ret_-7", "ret_-6", "ret_-5", "ret_-4", "ret_-3", "ret_-2", "ret_-1",
+    "fib_mid_norm", "fib_618_norm"
+  ]
+};
+export const FEATURE_SCHEMA = { version: 1, keys: FEATURE_SCHEMAS[1] };
+
 /* -------------------------
    ML Feature extractor (fixed-length vector)
-   Returns object { vector: [...], keys: [...] } where vector is numbers normalized-ish
-   Features include: RSI-like stats, ATR, last returns, vol ratios, impulse quality, pattern counts, fib proximity, structure flags
+   Returns object { vector: [...], keys: [...], schema } ordered by FEATURE_SCHEMA.keys
+   Values are raw (ATR in price units, counts, returns); ml_module_v15 standardizes them
+   Features include: return stats, ATR, last returns, impulse quality, pattern counts, fib proximity
    ------------------------- */
 export function extractFeatures(candles, analysis = {}) {
   // candles normalized expected
-  const outVec = [];
-  const keys = [];
+  const f = {};
 
   const len = candles.length;
   const price = safeNum(last(candles)?.close || 0);
@@ -536,47 +553,33 @@ export function extractFeatures(candles, analysis = {}) {
   const meanRet = avg(returns);
   const stdRet = Math.sqrt(avg(returns.map(r=>r*r)) - meanRet*meanRet || 0);
   const atr = computeATR(candles, Math.min(20, Math.max(5, Math.floor(len/10))));
+
+  f.meanRet = meanRet;
+  f.stdRet = stdRet;
+  f.atr = atr;
+  f.atr_over_price = atr / (price || 1);
   // pattern counts
-  const pattCount = (analysis.patterns || []).length;
-  const obCount = (analysis.orderBlocks || []).length;
-  const fvgCount = (analysis.fvgs || []).length;
-  const sfpCount = (analysis.sfps || []).length;
-  const channelCount = (analysis.channels || []).length;
-  const impulseQuality = safeNum(analysis.impulse?.quality ?? 0);
-  const sentiment = safeNum(analysis.sentiment ?? 0);
-  const confidence = safeNum(analysis.confidence ?? 0);
-
-  // Feature vector creation (normalize by price or atr where appropriate)
-  outVec.push(meanRet); keys.push("meanRet");
-  outVec.push(stdRet); keys.push("stdRet");
-  outVec.push(atr); keys.push("atr");
-  outVec.push(atr / (price || 1)); keys.push("atr_over_price");
-  outVec.push(pattCount); keys.push("pattern_count");
-  outVec.push(obCount); keys.push("orderblock_count");
-  outVec.push(fvgCount); keys.push("fvg_count");
-  outVec.push(sfpCount); keys.push("sfp_count");
-  outVec.push(channelCount); keys.push("channel_count");
-  outVec.push(impulseQuality/100); keys.push("impulse_quality_norm");
-  outVec.push(sentiment); keys.push("sentiment");
-  outVec.push(confidence/100); keys.push("confidence_norm");
+  f.pattern_count = (analysis.patterns || []).length;
+  f.orderblock_count = (analysis.orderBlocks || []).length;
+  f.fvg_count = (analysis.fvgs || []).length;
+  f.sfp_count = (analysis.sfps || []).length;
+  f.channel_count = (analysis.channels || []).length;
+  f.impulse_quality_norm = safeNum(analysis.impulse?.quality ?? 0) / 100;
+  f.sentiment = safeNum(analysis.sentiment ?? 0);
+  f.confidence_norm = safeNum(analysis.confidence ?? 0) / 100;
 
   // recent returns (pad to length 10)
   const rab = returns.slice(-10);
   while (rab.length < 10) rab.unshift(0);
-  for (let i=0;i<10;i++){ outVec.push(rab[i]); keys.push(`ret_${i-10}`); }
+  for (let i=0;i<10;i++) f[`ret_${i-10}`] = rab[i];
 
   // fib proximity features
   const fib = analysis.fib || null;
-  if (fib) {
-    const mid = fib.retrace["0.5"]; const r618 = fib.retrace["0.618"];
-    outVec.push((price - mid)/(fib.diff||1)); keys.push("fib_mid_norm");
-    outVec.push((price - r618)/(fib.diff||1)); keys.push("fib_618_norm");
-  } else {
-    outVec.push(0); keys.push("fib_mid_norm");
-    outVec.push(0); keys.push("fib_618_norm");
-  }
+  f.fib_mid_norm = fib ? (price - fib.retrace["0.5"])/(fib.diff||1) : 0;
+  f.fib_618_norm = fib ? (price - fib.retrace["0.618"])/(fib.diff||1) : 0;
 
-  return { vector: outVec.map(v=> Number.isFinite(+v)? +v : 0), keys };
+  const keys = FEATURE_SCHEMA.keys;
+  return { vector: keys.map(k => Number.isFinite(+f[k]) ? +f[k] : 0), keys, schema: FEATURE_SCHEMA.version };
 }
 
 /* -------------------------
@@ -680,4 +683,4 @@ export async function analyzeElliott(candles = [], opts = {}) {
 /* -------------------------
    Exports (for CommonJS compatibility if needed)
    ------------------------- */
-export default { analyzeElliott, extractFeatures, normalizeCandles, VERSION };
\ No newline at end of file
+export default { analyzeElliott, extractFeatures, normalizeCandles, FEATURE_SCHEMA, FEATURE_SCHEMAS, VERSION };
\ No newline at end of file
@@ -0,0 +1,198 @@
+// evaluate_calibration.js
+// Walk-forward evaluation + calibration fit for the fused probabilities
+// - Replays historical candles point-in-time (as backtest.js) through generateMergeSignal with calibrate:false
+// - Per evaluated bar records the raw v15 bull probability (analyzeSymbol blendedProb) and the raw
+//   buildFusion score, the v15 regime, and the label: forward return over `horizon` bars > 0
+//   (moves inside the neutral band are dropped)
+// - Reports Brier / log-loss / accuracy / ECE, reliability bins and per-regime accuracy per target
+// - Walk-forward: the samples are cut into `folds` time blocks; Platt and isotonic are fitted on all blocks
+//   before each test block, so the calibrated scores are out-of-sample. The method with the lowest
+//   walk-forward Brier wins (none, if neither beats raw); the final mapping is refitted on everything
+// - --save stores the mappings in CONFIG.CALIBRATION.FILE, used by analyzeSymbol and buildFusion
+// - CLI: node evaluate_calibration.js --file data/BTCUSDT.json [--tf 15m] [--save] [--out report.json]
+
+import fs from "fs";
+import { pathToFileURL } from "url";
+import CONFIG from "./config.js";
+import { tfToMs } from "./utils.js";
+import { generateMergeSignal } from "./merge_signals.js";
+import { loadCandleFile, lastClosedIdx } from "./backtest.js";
+import { fitPlatt, fitIsotonic, applyCalibrator, reliability, scoreProbs, saveCalibrators } from "./calibration.js";
+
+const DEFAULTS = {
+  warmup: 120,        // bars of main TF before the first evaluation
+  lookback: 300,      // max bars per TF handed to the pipeline each step
+  step: 4,            // evaluate every N bars
+  horizon: CONFIG.OUTCOMES?.HORIZON_BARS || 16,
+  band: CONFIG.OUTCOMES?.NEUTRAL_BAND_PCT ?? 0.25,
+  folds: 5,
+  verbose: false
+};
+const TARGETS = ["v15", "fusion"];
+
+// ----------------- Sample collection -----------------
+/**
+ * collectSamples({ symbol, candles, mainTF, ...opts }) -> [{ t, v15, fusion, regime, y, retPct }]
+ */
+export async function collectSamples({ symbol, candles = {}, mainTF = "15m", ...rest } = {}) {
+  const opts = Object.assign({}, DEFAULTS, rest);
+  const base = candles[mainTF] || [];
+  const mainMs = tfToMs(mainTF);
+  if (!mainMs) throw new Error(`unknown timeframe ${mainTF}`);
+  const tfs = Object.keys(candles).filter(tf => tfToMs(tf));
+  const cursors = Object.fromEntries(tfs.map(tf => [tf, -1]));
+  const out = [];
+
+  for (let i = opts.warmup; i + opts.horizon < base.length; i += opts.step) {
+    const bar = base[i];
+    const retPct = (base[i + opts.horizon].close - bar.close) / bar.close * 100;
+    if (!Number.isFinite(retPct) || Math.abs(retPct) < opts.band) continue;
+
+    const asOf = bar.t + mainMs;
+    const mtf = {};
+    for (const tf of tfs) {
+      cursors[tf] = lastClosedIdx(candles[tf], tfToMs(tf), asOf, cursors[tf]);
+      const end = cursors[tf] + 1;
+      mtf[tf] = { tf, data: candles[tf].slice(Math.max(0, end - opts.lookback), end) };
+    }
+
+    try {
+      const res = await generateMergeSignal(symbol, { mainTF, mtf, price: bar.close, noNews: true, record: false, calibrate: false });
+      const r = res?.result;
+      if (!r) continue;
+      const ml = r.mlResult;
+      out.push({
+        t: bar.t,
+        v15: Number.isFinite(ml?.blendedProb) ? ml.blendedProb / 100 : null,
+        fusion: r.fusion?.fusionScoreRaw ?? r.fusion?.fusionScore ?? null,
+        regime: ml?.layers?.regime?.regime || "unknown",
+        y: retPct > 0 ? 1 : 0,
+        retPct: Number(retPct.toFixed(4))
+      });
+    } catch (e) {
+      if (opts.verbose) console.error("calibration sample error:", e?.message || e);
+    }
+  }
+  return out;
+}
+
+// ----------------- Evaluation -----------------
+const FITTERS = { platt: fitPlatt, isotonic: fitIsotonic };
+
+/**
+ * evaluateTarget(pairs, { folds, method }) — pairs: [{ p, y, regime }] in time order
+ */
+export function evaluateTarget(pairs = [], { folds = DEFAULTS.folds, method = "auto" } = {}) {
+  const perRegime = {};
+  for (const r of new Set(pairs.map(p => p.regime))) perRegime[r] = scoreProbs(pairs.filter(p => p.regime === r));
+
+  // walk-forward: fit on every block before the test block
+  const size = Math.ceil(pairs.length / folds);
+  const oos = { raw: [], platt: [], isotonic: [] };
+  for (let k = 1; k < folds; k++) {
+    const train = pairs.slice(0, k * size), test = pairs.slice(k * size, (k + 1) * size);
+    if (train.length < 10 || !test.length) continue;
+    for (const [name, fit] of Object.entries(FITTERS)) {
+      const cal = fit(train);
+      for (const q of test) oos[name].push({ p: applyCalibrator(cal, q.p), y: q.y });
+    }
+    oos.raw.push(...test);
+  }
+  const walkForward = Object.fromEntries(Object.entries(oos).map(([k, v]) => [k, scoreProbs(v)]));
+
+  let chosen = method;
+  if (method === "auto") {
+    const best = ["platt", "isotonic"].filter(m => walkForward[m].n)
+      .sort((a, b) => walkForward[a].brier - walkForward[b].brier)[0];
+    chosen = best && walkForward[best].brier < walkForward.raw.brier ? best : "none";
+  }
+  const calibrator = FITTERS[chosen] ? FITTERS[chosen](pairs) : null;
+  const calibrated = calibrator ? pairs.map(q => ({ p: applyCalibrator(calibrator, q.p), y: q.y })) : null;
+
+  return {
+    raw: scoreProbs(pairs),
+    reliability: reliability(pairs),
+    reliabilityCalibrated: calibrated ? reliability(calibrated) : null,
+    perRegime,
+    walkForward,
+    chosen,
+    calibrator
+  };
+}
+
+export function evaluateSamples(samples = [], opts = {}) {
+  const sorted = samples.slice().sort((a, b) => a.t - b.t);
+  const report = { samples: sorted.length, targets: {} };
+  for (const key of TARGETS) {
+    const pairs = sorted.filter(s => Number.isFinite(s[key])).map(s => ({ p: s[key], y: s.y, regime: s.regime }));
+    report.targets[key] = evaluateTarget(pairs, opts);
+  }
+  return report;
+}
+
+// ----------------- CLI -----------------
+function parseArgs(argv) {
+  const out = { files: [], tf: "15m", symbol: null, out: null, save: false, method: "auto", opts: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i], v = argv[i + 1];
+    if (a === "--file") { out.files.push(v); i++; }
+    else if (a === "--tf") { out.tf = v; i++; }
+    else if (a === "--symbol") { out.symbol = v; i++; }
+    else if (a === "--out") { out.out = v; i++; }
+    else if (a === "--method") { out.method = v; i++; }
+    else if (a === "--save") out.save = true;
+    else if (a === "--verbose") out.opts.verbose = true;
+    else if (a.startsWith("--") && a.slice(2) in DEFAULTS) { out.opts[a.slice(2)] = Number(v); i++; }
+  }
+  return out;
+}
+
+const pct = v => (v == null ? "  -  " : `${(v * 100).toFixed(1)}%`.padStart(6));
+
+function printTarget(name, t) {
+  const wf = t.walkForward;
+  console.log(`\n== ${name} ==`);
+  console.log(`raw        n=${t.raw.n} brier ${t.raw.brier} logLoss ${t.raw.logLoss} acc ${t.raw.accuracy} ece ${t.raw.ece}`);
+  console.log(`walk-fwd   raw ${wf.raw.brier} | platt ${wf.platt.brier} | isotonic ${wf.isotonic.brier}  (brier, n=${wf.raw.n}) -> ${t.chosen}`);
+  console.log("reliability  bin         n   predicted  observed");
+  for (const b of t.reliability) {
+    if (b.n) console.log(`             ${b.lo.toFixed(1)}-${b.hi.toFixed(1)}  ${String(b.n).padStart(5)}   ${pct(b.meanP)}    ${pct(b.observed)}`);
+  }
+  console.log("per regime");
+  for (const [r, s] of Object.entries(t.perRegime)) console.log(`             ${r.padEnd(10)} n=${s.n} acc ${s.accuracy} brier ${s.brier}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.files.length || !["auto", "platt", "isotonic", "none"].includes(args.method)) {
+    console.log("usage: node evaluate_calibration.js --file <candles.json> [--file ...] [--symbol SYM] [--tf 15m] [--save] [--out report.json]\n" +
+      "       [--method auto|platt|isotonic|none] [--warmup 120] [--lookback 300] [--step 4] [--horizon 16] [--band 0.25] [--folds 5]");
+    process.exit(1);
+  }
+
+  const samples = [];
+  for (const file of args.files) {
+    const data = loadCandleFile(file, args.tf);
+    const symbol = (args.symbol || data.symbol).toUpperCase();
+    const s = await collectSamples({ symbol, candles: data.candles, mainTF: args.tf, ...args.opts });
+    console.log(`${symbol} ${args.tf}: ${s.length} samples`);
+    samples.push(...s);
+  }
+
+  const report = evaluateSamples(samples, { folds: args.opts.folds ?? DEFAULTS.folds, method: args.method });
+  for (const [name, t] of Object.entries(report.targets)) printTarget(name, t);
+
+  if (args.save) {
+    const targets = Object.fromEntries(Object.entries(report.targets).map(([k, t]) => [k, t.calibrator]));
+    const summary = Object.fromEntries(Object.entries(report.targets).map(([k, t]) => [k, { chosen: t.chosen, raw: t.raw, walkForward: t.walkForward }]));
+    console.log(saveCalibrators(targets, { files: args.files, tf: args.tf, samples: report.samples, ...summary })
+      ? "\ncalibration saved" : "\ncould not write calibration file");
+  }
+  if (args.out) fs.writeFileSync(args.out, JSON.stringify({ ...report, generatedAt: new Date().toISOString() }, null, 2), "utf8");
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(e => { console.error(e?.message || e); process.exit(1); });
+}
+
+export default { collectSamples, evaluateTarget, evaluateSamples };
@@ -0,0 +1,135 @@
+// explain.js — "What drove this signal"
+// - explainSignal(result): built from a generateMergeSignal result
+//     features:   top logistic-model features by |weight × standardized value| (ml_module_v15 explainVector)
+//     layers:     v15 rule-fusion layers, normalized weight × (score - 0.5)
+//     components: buildFusion inputs (TF agreement / ML / Elliott / News), weight × (input - 0.5)
+//   plus bias, fusion score, regime and the fusion weight scope (fusion_scopes.js)
+// - formatExplanation(expl, { compact }): compact block for the report, full text for /why
+// - The last explanation per chat is kept for /why (CONFIG.EXPLAIN.FILE)
+// - Exports: explainSignal, formatExplanation, rememberExplanation, lastExplanation
+
+import fs from "fs";
+import path from "path";
+import CONFIG from "./config.js";
+
+const OPTS = Object.assign({
+  FILE: path.join(CONFIG.PATHS.CACHE_DIR, "explanations.json"),
+  TOP: 8,             // features listed by /why
+  COMPACT_TOP: 3      // features / layers in the report block
+}, CONFIG.EXPLAIN || {});
+
+const round = (v, d = 4) => (Number.isFinite(v) ? Number(v.toFixed(d)) : null);
+const signed = (v, d = 3) => (Number.isFinite(v) ? `${v >= 0 ? "+" : ""}${v.toFixed(d)}` : "N/A");
+
+let _last = null; // { [chatId]: explanation }
+
+// ---------------- persistence ----------------
+function load() {
+  if (_last) return _last;
+  _last = {};
+  try {
+    if (fs.existsSync(OPTS.FILE)) _last = JSON.parse(fs.readFileSync(OPTS.FILE, "utf8")) || {};
+  } catch (e) {}
+  return _last;
+}
+
+function save() {
+  try { fs.writeFileSync(OPTS.FILE, JSON.stringify(_last, null, 2), "utf8"); return true; } catch (e) { return false; }
+}
+
+export function rememberExplanation(chatId, expl) {
+  if (chatId == null || !expl) return;
+  load()[String(chatId)] = expl;
+  save();
+}
+
+export function lastExplanation(chatId) {
+  return load()[String(chatId)] || null;
+}
+
+// ---------------- building ----------------
+/**
+ * explainSignal(result, { top }) -> {
+ *   symbol, tf, generatedAt, bias, fusionScore, confidence, regime, weightScope,
+ *   model: { prob, logit, bias } | null, features: [{ key, value, z, weight, contribution }],
+ *   layers: [{ layer, score, weight, contribution }], components: [{ name, input, weight, contribution }]
+ * }
+ */
+export function explainSignal(result, { top = OPTS.TOP } = {}) {
+  if (!result) return null;
+  const ml = result.mlResult || {};
+  const ex = ml.explanation || {};
+  const fusion = result.fusion || {};
+
+  const features = (ex.model?.features || [])
+    .filter(f => f.contribution)
+    .slice(0, top)
+    .map(f => ({ key: f.key, value: round(f.value), z: round(f.z, 2), weight: round(f.weight), contribution: round(f.contribution) }));
+
+  const layers = (ex.layers || []).map(l => ({ layer: l.layer, score: round(l.score, 3), weight: round(l.weight, 3), contribution: round(l.contribution) }));
+
+  // buildFusion: weighted sum of inputs in 0..1 (TF agreement mapped from -1..1)
+  const b = fusion.breakdown || {};
+  const w = fusion.weights || {};
+  const wSum = (w.tf + w.ml + w.elliott + w.news) || 1;
+  const inputs = { tf: Number.isFinite(b.tfAgreement) ? (b.tfAgreement + 1) / 2 : null, ml: b.mlProb, elliott: b.ellSent, news: b.newsSent };
+  const components = Object.entries(inputs)
+    .filter(([k, v]) => Number.isFinite(v) && Number.isFinite(w[k]))
+    .map(([name, input]) => ({ name, input: round(input, 3), weight: round(w[name] / wSum, 3), contribution: round(w[name] / wSum * (input - 0.5)) }))
+    .sort((a, c) => Math.abs(c.contribution) - Math.abs(a.contribution));
+
+  return {
+    symbol: result.symbol,
+    tf: ml.tf || null,
+    generatedAt: result.generatedAt,
+    bias: fusion.bias,
+    fusionScore: fusion.fusionScore,
+    confidence: fusion.confidence,
+    regime: result.regime?.regime || null,
+    weightScope: fusion.layerWeights?.scope || null,
+    model: ex.model ? { prob: ml.mlModelProb ?? null, logit: round(ex.model.logit), bias: round(ex.model.bias) } : null,
+    features,
+    layers,
+    components
+  };
+}
+
+// ---------------- formatting ----------------
+const featureLine = f => `${f.key} ${signed(f.contribution)} (z ${signed(f.z, 2)})`;
+const layerLine = l => `${l.layer} ${signed(l.contribution)}`;
+const componentLine = c => `${c.name} ${signed(c.contribution)}`;
+
+/**
+ * formatExplanation(expl, { compact }) -> plain text (Telegram)
+ */
+export function formatExplanation(expl, { compact = false } = {}) {
+  if (!expl) return "";
+  if (compact) {
+    const lines = ["🔍 WHAT DROVE IT"];
+    if (expl.components.length) lines.push(`• Fusion: ${expl.components.map(componentLine).join(" | ")}`);
+    if (expl.layers.length) lines.push(`• Layers: ${expl.layers.slice(0, OPTS.COMPACT_TOP).map(layerLine).join(", ")}`);
+    if (expl.features.length) lines.push(`• Model features: ${expl.features.slice(0, OPTS.COMPACT_TOP).map(featureLine).join(", ")}`);
+    return `${lines.join("\n")}\n━━━━━━━━━━━━━━━━━━\n`;
+  }
+
+  const lines = [
+    `🔍 Why ${expl.symbol}${expl.tf ? ` (${expl.tf})` : ""} — ${expl.bias} · score ${expl.fusionScore} · confidence ${expl.confidence}`,
+    `Generated: ${expl.generatedAt}`,
+    `Regime: ${expl.regime || "unknown"}${expl.weightScope ? ` · layer weights: ${expl.weightScope}` : ""}`,
+    "",
+    "Fusion inputs (weight × (input − 0.5)):",
+    ...expl.components.map(c => `  ${c.name.padEnd(8)} ${signed(c.contribution)}  input ${c.input} · w ${c.weight}`),
+    "",
+    "Rule layers (weight × (score − 0.5)):",
+    ...expl.layers.map(l => `  ${l.layer.padEnd(10)} ${signed(l.contribution)}  score ${l.score} · w ${l.weight}`)
+  ];
+  if (expl.model) {
+    lines.push("", `Logistic model: p(bull) ${expl.model.prob}% · logit ${signed(expl.model.logit)} (bias ${signed(expl.model.bias)})`);
+    lines.push(...(expl.features.length
+      ? expl.features.map(f => `  ${f.key.padEnd(16)} ${signed(f.contribution)}  value ${f.value} · z ${signed(f.z, 2)} · w ${signed(f.weight)}`)
+      : ["  (no contributions yet — untrained weights or no scaler statistics)"]));
+  }
+  return lines.join("\n");
+}
+
+export default { explainSignal, formatExplanation, rememberExplanation, lastExplanation };
@@ -0,0 +1,74 @@
+// fusion_scopes.js — Per-market / per-symbol adaptive fusion weights
+// - A weight set (ml_module_v15 _fusion, ml_module_v8_6 adaptiveWeights) keeps its flat w_* keys as the
+//   global defaults and gains two maps: markets { CRYPTO: {w_*, n} } and symbols { BTCUSDT: {w_*, n} }
+// - Outcomes train the entry of the symbol's market and of the symbol itself (never the global defaults),
+//   so BTCUSDT labels no longer move the weights NIFTY50 or GOLD are scored with
+// - Lookup: symbol entry once it has MIN_SYMBOL_SAMPLES outcomes, else the market entry, else the
+//   market defaults (global weights + CONFIG.FUSION_SCOPES.MARKET_DEFAULTS[market])
+// - Exports: scopedWeights, trainScoped, scopeSummary
+
+import CONFIG from "./config.js";
+import { resolveMarket } from "./data_providers.js";
+
+const OPTS = Object.assign({
+  MIN_SYMBOL_SAMPLES: 30,
+  SYMBOLS: true,            // false: markets only
+  MARKET_DEFAULTS: {}
+}, CONFIG.FUSION_SCOPES || {});
+
+const weightKeys = set => Object.keys(set || {}).filter(k => k.startsWith("w_") && Number.isFinite(set[k]));
+const pick = (set, keys) => Object.fromEntries(keys.map(k => [k, set[k]]));
+const marketOf = symbol => resolveMarket(symbol) || "OTHER";
+
+// global weights with the market's configured overrides (only keys the set already has)
+function marketDefaults(set, market) {
+  const keys = weightKeys(set);
+  const out = pick(set, keys);
+  for (const [k, v] of Object.entries(OPTS.MARKET_DEFAULTS[market] || {})) if (keys.includes(k) && Number.isFinite(v)) out[k] = v;
+  return out;
+}
+
+/**
+ * scopedWeights(set, symbol) -> { weights, scope, market, n }
+ * weights: flat w_* object (plus lr) ready for the module's fuse function; scope: "symbol:X" | "market:X" | "default:X"
+ */
+export function scopedWeights(set = {}, symbol = "") {
+  const sym = String(symbol || "").toUpperCase();
+  const market = marketOf(sym);
+  const keys = weightKeys(set);
+  const s = OPTS.SYMBOLS ? set.symbols?.[sym] : null;
+  if (s && (s.n || 0) >= OPTS.MIN_SYMBOL_SAMPLES) return { weights: { ...pick(s, keys), lr: set.lr }, scope: `symbol:${sym}`, market, n: s.n };
+  const m = set.markets?.[market];
+  if (m) return { weights: { ...pick(m, keys), lr: set.lr }, scope: `market:${market}`, market, n: m.n || 0 };
+  return { weights: { ...marketDefaults(set, market), lr: set.lr }, scope: `default:${market}`, market, n: 0 };
+}
+
+/**
+ * trainScoped(set, symbol, update) — update(w) adjusts one flat weight object in place; it is applied to
+ * the market entry and the symbol entry (created from the market defaults / market entry when missing)
+ */
+export function trainScoped(set, symbol = "", update) {
+  const sym = String(symbol || "").toUpperCase();
+  const market = marketOf(sym);
+  const keys = weightKeys(set);
+  set.markets = set.markets || {};
+  set.symbols = set.symbols || {};
+
+  const m = set.markets[market] || (set.markets[market] = { ...marketDefaults(set, market), n: 0 });
+  const targets = [m];
+  if (OPTS.SYMBOLS && sym) targets.push(set.symbols[sym] || (set.symbols[sym] = { ...pick(m, keys), n: 0 }));
+  for (const t of targets) {
+    const w = { ...pick(t, keys), lr: set.lr };
+    update(w);
+    Object.assign(t, pick(w, keys));
+    t.n = (t.n || 0) + 1;
+  }
+}
+
+// { markets: { CRYPTO: n }, symbols: { BTCUSDT: n } } — sample counts for reports
+export function scopeSummary(set = {}) {
+  const counts = obj => Object.fromEntries(Object.entries(obj || {}).map(([k, v]) => [k, v.n || 0]));
+  return { markets: counts(set.markets), symbols: counts(set.symbols), minSymbolSamples: OPTS.MIN_SYMBOL_SAMPLES };
+}
+
+export default { scopedWeights, trainScoped, scopeSummary };
@@ -2,7 +2,9 @@
 // Merge Signal v15 — Multi-market, Multi-TF signal generator
 // Uses: config.js, core_indicators.js, utils.js, ml_module_v15.js, elliott_module.js, news_social.js
 // Produces: structured analysis object + Telegram-friendly UI string
+// Live results are also published on signalEvents / latestSignal (ws_server.js)
 
+import { EventEmitter } from "events";
 import CONFIG from "./config.js";
 
 import {
@@ -13,9 +15,14 @@ import {
 } from "./core_indicators.js";
 
 import { fetchMultiTF, fetchPrice } from "./utils.js";
+import { calibrate } from "./calibration.js";
+import { detectRegime, regimeProfile } from "./regime.js";
+import { explainSignal, formatExplanation } from "./explain.js";
 
 // <-- using the ml_module_v15 filename you specified earlier
 import ML from "./ml_module_v15.js";
+// prediction log (outcomes filled in by outcome_resolver.js)
+import { recordPrediction } from "./ml_module_v8_6.js";
 
 // <-- using the elliott_module filename you provided
 import Elliott from "./elliott_module.js";
@@ -25,6 +32,16 @@ const { analyzeElliott, extractFeatures, VERSION: ELLIOTT_VERSION } = Elliott ||
 import News from "./news_social.js";
 const { fetchNewsBundle } = News || {};
 
+// live (non-replay) results are announced as signalEvents "signal" { symbol, tf, result } (ws_server.js);
+// the latest one per symbol/TF stays available through latestSignal()
+export const signalEvents = new EventEmitter();
+signalEvents.setMaxListeners(50);
+const _latest = new Map();
+
+export function latestSignal(symbol, tf) {
+  return _latest.get(`${String(symbol).toUpperCase()}:${tf}`) || null;
+}
+
 // ---------- helpers ----------
 const TF_ORDER = ["1m", "5m", "15m", "30m", "1h", "4h"];
 const UI_TFS = ["1m", "5m", "15m", "30m", "1h"]; // UI requested
@@ -48,20 +65,21 @@ function chooseAtrPriority(mtfIndicators) {
 function mean(arr) { return (Array.isArray(arr) && arr.length) ? arr.reduce((a,b)=>a+b,0)/arr.length : 0; }
 
 // defensive ML prediction wrapper (supports several possible ML APIs)
-async function runMLPredictFromMLModule(symbol, mainTF = "15m", mtf = {}) {
+async function runMLPredictFromMLModule(symbol, mainTF = "15m", mtf = {}, opts = {}) {
   try {
     if (!ML) return null;
 
     if (typeof ML.runMLPrediction === "function") {
-      return await ML.runMLPrediction(symbol, mainTF, { multiTF: mtf });
+      return await ML.runMLPrediction(symbol, mainTF, { multiTF: mtf, record: opts.record });
+    }
+    // analyzeSymbol gets the already-fetched candles so replays (backtest.js) stay point-in-time
+    if (typeof ML.analyzeSymbol === "function") {
+      return await ML.analyzeSymbol(symbol, mainTF, { mtfData: mtf, noNews: !!opts.noNews, record: opts.record, calibrate: opts.calibrate });
     }
     if (typeof ML.predictProbFromAnalysis === "function") {
       const analysis = { symbol, tf: mainTF, mtf };
       return await ML.predictProbFromAnalysis(analysis);
     }
-    if (typeof ML.analyzeSymbol === "function") {
-      return await ML.analyzeSymbol(symbol, { tf: mainTF, multiTF: mtf });
-    }
     if (typeof ML.predictProbVector === "function") {
       return await ML.predictProbVector(symbol, mtf);
     }
@@ -76,27 +94,31 @@ async function runMLPredictFromMLModule(symbol, mainTF = "15m", mtf = {}) {
 }
 
 // build TP using Elliott when strong else ATR-based using multi-TF ATR
-function buildTPs({ price, direction, mtfIndicators, ellTargets = [], fusedProb = 0.5 }) {
+// ATR multiples come from the regime profile (CONFIG.REGIMES.PROFILES.*.tp)
+function buildTPs({ price, direction, mtfIndicators, ellTargets = [], fusedProb = 0.5, regime = null }) {
   const atr = chooseAtrPriority(mtfIndicators) || Math.max(1, Math.abs(price) * 0.002);
-  const conservativeMult = 3.0;
-  const aggressiveMult = 5.0;
+  const tpProfile = regimeProfile(regime).tp || {};
+  const conservativeMult = tpProfile.conservative ?? 3.0;
+  const aggressiveMult = tpProfile.aggressive ?? 5.0;
+  const hedgeMult = tpProfile.hedge ?? 1.5;
+  const slMult = tpProfile.sl ?? 1.9;
 
   const ellGood = Array.isArray(ellTargets) ? ellTargets.filter(t => (t.confidence || 0) >= 65) : [];
   let tp1, tp2, hedge;
   if (ellGood.length >= 2) {
     tp1 = Number(ellGood[0].tp || ellGood[0].target);
     tp2 = Number(ellGood[1].tp || ellGood[1].target);
-    hedge = direction === "Bullish" ? Number(price - atr * 1.5) : Number(price + atr * 1.5);
+    hedge = direction === "Bullish" ? Number(price - atr * hedgeMult) : Number(price + atr * hedgeMult);
   } else if (ellGood.length === 1) {
     const e = ellGood[0];
     tp1 = Number(e.tp || e.target);
     tp2 = direction === "Bullish" ? Number(price + atr * aggressiveMult) : Number(price - atr * aggressiveMult);
-    hedge = direction === "Bullish" ? Number(price - atr * 1.5) : Number(price + atr * 1.5);
+    hedge = direction === "Bullish" ? Number(price - atr * hedgeMult) : Number(price + atr * hedgeMult);
   } else {
     const dirSign = direction === "Bullish" ? 1 : direction === "Bearish" ? -1 : (fusedProb >= 0.52 ? 1 : fusedProb <= 0.48 ? -1 : 1);
     tp1 = Number((price + dirSign * atr * conservativeMult).toFixed(8));
     tp2 = Number((price + dirSign * atr * aggressiveMult).toFixed(8));
-    hedge = Number((price - dirSign * atr * 1.5).toFixed(8));
+    hedge = Number((price - dirSign * atr * hedgeMult).toFixed(8));
   }
 
   // ensure tp1 is nearer than tp2
@@ -104,13 +126,15 @@ function buildTPs({ price, direction, mtfIndicators, ellTargets = [], fusedProb
     const tmp = tp1; tp1 = tp2; tp2 = tmp;
   }
 
-  const sl = direction === "Bullish" ? Number((price - atr * 1.9).toFixed(8)) : Number((price + atr * 1.9).toFixed(8));
+  const sl = direction === "Bullish" ? Number((price - atr * slMult).toFixed(8)) : Number((price + atr * slMult).toFixed(8));
 
-  return { tp1, tp2, hedge, sl, atr: fmt(atr, 4) };
+  return { tp1, tp2, hedge, sl, atr: fmt(atr, 4), mults: { conservative: conservativeMult, aggressive: aggressiveMult, hedge: hedgeMult, sl: slMult } };
 }
 
 // build fusion score combining indicator signals, ML, Elliott sentiment, news
-function buildFusion({ perTFSignals, mlResult, ellResult, newsResult, mtfIndicators }) {
+// fusionScore is calibrated (calibration.js "fusion"); fusionScoreRaw keeps the weighted sum
+// weights per regime (CONFIG.REGIMES.PROFILES.*.fusion)
+function buildFusion({ perTFSignals, mlResult, ellResult, newsResult, mtfIndicators, regime = null, calibrated = true }) {
   let buyCount = 0, sellCount = 0;
   const tfKeys = Object.keys(perTFSignals || {});
   for (const tf of tfKeys) {
@@ -120,21 +144,28 @@ function buildFusion({ perTFSignals, mlResult, ellResult, newsResult, mtfIndicat
   }
   const tfAgreement = tfKeys.length ? (buyCount - sellCount) / tfKeys.length : 0;
 
-  const mlProb = mlResult?.probs?.bull ? (mlResult.probs.bull/100) : (mlResult?.probBull ? mlResult.probBull/100 : (mlResult?.fusedProb ?? 0.5));
+  // uncalibrated ML probability: the fusion calibrator is fitted on scores built from it
+  const mlBull = mlResult?.blendedProb ?? mlResult?.probs?.bull;
+  const mlProb = mlBull ? (mlBull/100) : (mlResult?.probBull ? mlResult.probBull/100 : (mlResult?.fusedProb ?? 0.5));
   const ellSent = Array.isArray(ellResult?.targets) ? (ellResult.targets.length ? 0.6 : 0.5) : (ellResult?.sentiment ?? 0.5);
   const newsSent = (newsResult?.sentiment ?? 0.5);
 
-  // weights: TF 0.35, ML 0.35, Elliott 0.15, News 0.15
-  const fused = ( (tfAgreement + 1) / 2 * 0.35 ) + (mlProb * 0.35) + (ellSent * 0.15) + (newsSent * 0.15);
-  const fusionScore = Math.max(0, Math.min(1, fused));
+  // weights (default profile): TF 0.35, ML 0.35, Elliott 0.15, News 0.15
+  const w = Object.assign({ tf: 0.35, ml: 0.35, elliott: 0.15, news: 0.15 }, regimeProfile(regime).fusion || {});
+  const wSum = (w.tf + w.ml + w.elliott + w.news) || 1;
+  const fused = ( (tfAgreement + 1) / 2 * w.tf + mlProb * w.ml + ellSent * w.elliott + newsSent * w.news ) / wSum;
+  const rawScore = Math.max(0, Math.min(1, fused));
+  const fusionScore = calibrated ? calibrate("fusion", rawScore) : rawScore;
   const bias = fusionScore > 0.55 ? "Bullish" : fusionScore < 0.45 ? "Bearish" : "Neutral";
   const confidence = Math.round(Math.min(99, Math.max(10, Math.abs(fusionScore - 0.5) * 200)));
 
-  return { fusionScore: Number(fusionScore.toFixed(5)), bias, confidence, breakdown: { tfAgreement: Number(tfAgreement.toFixed(3)), mlProb: Number(mlProb.toFixed(3)), ellSent: Number(ellSent.toFixed(3)), newsSent: Number(newsSent.toFixed(3)) } };
+  return { fusionScore: Number(fusionScore.toFixed(5)), fusionScoreRaw: Number(rawScore.toFixed(5)), bias, confidence, breakdown: { tfAgreement: Number(tfAgreement.toFixed(3)), mlProb: Number(mlProb.toFixed(3)), ellSent: Number(ellSent.toFixed(3)), newsSent: Number(newsSent.toFixed(3)) }, regime: regime?.regime || null, weights: w,
+    // ML layer weight set (fusion_scopes.js): symbol / market / default scope and its sample count
+    layerWeights: mlResult?.fusionWeights ? { scope: mlResult.fusionWeights.scope, n: mlResult.fusionWeights.n } : null };
 }
 
 // format UI text (Telegram friendly)
-function formatTelegramUI({ symbol, price, tfSummaries, fib1h, fusion, tps, mlSummary, newsSummary, volatility, accuracy }) {
+function formatTelegramUI({ symbol, price, tfSummaries, fib1h, fusion, tps, mlSummary, newsSummary, volatility, accuracy, explanation }) {
   const t = new Date().toLocaleString("en-IN", { timeZone: "Asia/Kolkata" });
   const header = `🔥 ${symbol} — AI Market Intelligence Suite (UDP-X)\nTime: ${t} IST\nPrice: ${fmt(price,2)}\n━━━━━━━━━━━━━━━━━━\n`;
 
@@ -144,19 +175,22 @@ function formatTelegramUI({ symbol, price, tfSummaries, fib1h, fusion, tps, mlSu
 
   const fibLines = fib1h ? `\n📈 FIBONACCI MATRIX (1h Context)\n• 0.236: ${fmt(fib1h.retrace["0.236"],2)}\n• 0.382: ${fmt(fib1h.retrace["0.382"],2)}\n• 0.500: ${fmt(fib1h.retrace["0.5"],2)}\n• 0.618: ${fmt(fib1h.retrace["0.618"],2)}\n• 0.786: ${fmt(fib1h.retrace["0.786"],2)}\n━━━━━━━━━━━━━━━━━━\n` : "";
 
-  const fusionLines = `🧭 AI FUSION TREND\n• Bias: ${fusion.bias}\n• Fusion Score: ${fusion.fusionScore}\n• Confidence: ${fusion.confidence}\n• Breakdown: TF:${fusion.breakdown.tfAgreement} ML:${fusion.breakdown.mlProb} E:${fusion.breakdown.ellSent} N:${fusion.breakdown.newsSent}\n━━━━━━━━━━━━━━━━━━\n`;
+  const fusionLines = `🧭 AI FUSION TREND\n• Bias: ${fusion.bias}\n• Fusion Score: ${fusion.fusionScore}\n• Confidence: ${fusion.confidence}\n• Breakdown: TF:${fusion.breakdown.tfAgreement} ML:${fusion.breakdown.mlProb} E:${fusion.breakdown.ellSent} N:${fusion.breakdown.newsSent}\n${fusion.layerWeights ? `• Layer Weights: ${fusion.layerWeights.scope} (n=${fusion.layerWeights.n})\n` : ""}━━━━━━━━━━━━━━━━━━\n`;
 
   const tpLines = `🎯 AI TARGET SUITE (Market Structure × ML Fused)\n\nPRIMARY TARGET (TP1)\n• ${fmt(tps.tp1,2)}\n• Confidence: ${tps.tp1Conf ?? "N/A"}\n• Backed by: ${tps.tp1Src || "ML/ATR" }\n\nSECONDARY TARGET (TP2)\n• ${fmt(tps.tp2,2)}\n• Confidence: ${tps.tp2Conf ?? "N/A"}\n• Backed by: ${tps.tp2Src || "ML/Structure" }\n\nHEDGE TARGET\n• ${fmt(tps.hedge,2)}\n• Logic: ${tps.hedgeSrc || "ATR-based volatility hedge"}\n\nSTOP LOSS\n• ${fmt(tps.sl,2)} (Dynamic ATR-Adaptive)\n━━━━━━━━━━━━━━━━━━\n`;
 
-  const volLines = `📊 VOLATILITY REPORT\n• Regime: ${volatility.regime}\n• Expansion Probability: ${fmt(volatility.expansionProb*100,0)}%\n• ATR Cluster Zone (Short-term): ${volatility.atrCluster.join("–")}\n━━━━━━━━━━━━━━━━━━\n`;
+  const volLines = `📊 VOLATILITY REPORT\n• Regime: ${volatility.regime} (ADX ${volatility.adx ?? "N/A"} | ATR pct ${volatility.volPercentile != null ? fmt(volatility.volPercentile*100,0) + "%" : "N/A"} | Hurst ${volatility.hurst ?? "N/A"})\n• Expansion Probability: ${fmt(volatility.expansionProb*100,0)}%\n• ATR Cluster Zone (Short-term): ${volatility.atrCluster.join("–")}\n━━━━━━━━━━━━━━━━━━\n`;
 
   const newsLines = `📰 FUNDAMENTAL / NEWS IMPACT\n• Sentiment: ${fmt(newsSummary.sentiment*100,1)}% (${newsSummary.impact})\n• Latest Headline:\n  “${newsSummary.headline || "—"}”\n━━━━━━━━━━━━━━━━━━\n`;
 
-  const mlLines = `🧠 ML QUICK SNAPSHOT\n• Direction: ${mlSummary.direction}\n• Model Confidence: ${fmt(mlSummary.confidence,1)}%\n• Features:\n  - slope: ${mlSummary.features?.slope}\n  - mom3: ${mlSummary.features?.mom3}\n  - rsi: ${mlSummary.features?.rsi}\n━━━━━━━━━━━━━━━━━━\n`;
+  const mlLines = `🧠 ML QUICK SNAPSHOT\n• Direction: ${mlSummary.direction}\n• Model Confidence: ${fmt(mlSummary.confidence,1)}%\n━━━━━━━━━━━━━━━━━━\n`;
+
+  // top drivers (explain.js); /why shows the full breakdown
+  const whyLines = explanation ? formatExplanation(explanation, { compact: true }) : "";
 
   const accLines = accuracy ? `📊 ACCURACY\n• Recent Accuracy: ${fmt(accuracy.accuracy,2)}% (total ${accuracy.total})\n━━━━━━━━━━━━━━━━━━\n` : "";
 
-  return `${header}${tfLines}${fibLines}${fusionLines}${tpLines}${volLines}${newsLines}${mlLines}${accLines}`;
+  return `${header}${tfLines}${fibLines}${fusionLines}${tpLines}${volLines}${newsLines}${mlLines}${whyLines}${accLines}`;
 }
 
 // ---------- main exported function ----------
@@ -166,6 +200,11 @@ function formatTelegramUI({ symbol, price, tfSummaries, fib1h, fusion, tps, mlSu
  *   - mainTF (default "15m")
  *   - tfs (array) optional
  *   - forceNews / forceElliott
+ *   - mtf: pre-fetched { tf: { data } } candles (skips fetching; used by backtest.js)
+ *   - price: price to use instead of fetchPrice (defaults to last mainTF close when mtf given)
+ *   - noNews: skip the news fetch (neutral sentiment)
+ *   - record: false to skip ML prediction bookkeeping
+ *   - calibrate: false for raw (uncalibrated) ML / fusion probabilities (evaluate_calibration.js)
  */
 
 export async function generateMergeSignal(symbol = CONFIG.ACTIVE_SYMBOL, opts = {})
@@ -175,8 +214,8 @@ export async function generateMergeSignal(symbol = CONFIG.ACTIVE_SYMBOL, opts =
   const mainTF = opts.mainTF || "15m";
   const tfs = opts.tfs || TF_ORDER;
 
-  // fetch multi-TF candles
-  const mtf = await fetchMultiTF(symbol, tfs);
+  // fetch multi-TF candles (or replay the ones handed in)
+  const mtf = opts.mtf || await fetchMultiTF(symbol, tfs);
 
   // compute per-TF indicators
   const mtfIndicators = {};
@@ -231,13 +270,13 @@ export async function generateMergeSignal(symbol = CONFIG.ACTIVE_SYMBOL, opts =
   // run ML prediction (defensive)
   let mlResult = null;
   try {
-    mlResult = await runMLPredictFromMLModule(symbol, mainTF, mtf);
+    mlResult = await runMLPredictFromMLModule(symbol, mainTF, mtf, opts);
   } catch (e) { mlResult = null; }
 
   // fetch news
   let newsResult = null;
   try {
-    if (typeof fetchNewsBundle === "function") {
+    if (typeof fetchNewsBundle === "function" && !opts.noNews) {
       newsResult = await fetchNewsBundle(symbol, { limit: 6, cacheTTL: 60 * 1000, forceRefresh: !!opts.forceNews });
     }
   } catch (e) { newsResult = null; }
@@ -245,14 +284,16 @@ export async function generateMergeSignal(symbol = CONFIG.ACTIVE_SYMBOL, opts =
   // fusion & bias
   const perTFSignals = {};
   for (const s of tfSummaries) perTFSignals[s.tf] = s.signal;
-  const fusion = buildFusion({ perTFSignals, mlResult, ellResult, newsResult, mtfIndicators });
+  // market regime of the main TF (the ML layer's detection when available; same detector)
+  const regime = mlResult?.layers?.regime?.regime ? mlResult.layers.regime : detectRegime(mtf[mainTF]?.data || []);
+  const fusion = buildFusion({ perTFSignals, mlResult, ellResult, newsResult, mtfIndicators, regime, calibrated: opts.calibrate !== false });
 
   const direction = fusion.bias;
 
   // build TP suite
   const ellTargets = ellResult?.targets || [];
-  const price = safe(mtf[mainTF]?.price) || (await fetchPrice(symbol)) || (mtf[mainTF]?.data?.at(-1)?.close ?? 0);
-  const tps = buildTPs({ price, direction, mtfIndicators, ellTargets, fusedProb: fusion.fusionScore });
+  const price = safe(opts.price) || safe(mtf[mainTF]?.price) || (opts.mtf ? 0 : await fetchPrice(symbol)) || (mtf[mainTF]?.data?.at(-1)?.close ?? 0);
+  const tps = buildTPs({ price, direction, mtfIndicators, ellTargets, fusedProb: fusion.fusionScore, regime });
 
   // attach sources / confidences for TP (heuristic)
   tps.tp1Src = (ellTargets && ellTargets[0]) ? (ellTargets[0].source || "Elliott") : "ML/ATR";
@@ -264,9 +305,13 @@ export async function generateMergeSignal(symbol = CONFIG.ACTIVE_SYMBOL, opts =
   // volatility quick
   const atrVals = TF_ORDER.map(tf => safe(mtfIndicators[tf]?.ATR)).filter(v => v > 0);
   const atrCluster = atrVals.length ? [ fmt(Math.min(...atrVals),2), fmt(Math.max(...atrVals),2) ] : ["N/A","N/A"];
+  // low ATR percentile -> volatility tends to expand next
   const volatility = {
-    regime: atrVals.length ? (mean(atrVals) > Math.max(...atrVals) * 0.6 ? "High" : "Medium") : "Unknown",
-    expansionProb: Math.min(0.95, Math.max(0.05, (fusion.fusionScore || 0.5))),
+    regime: regime.regime,
+    volPercentile: regime.volPercentile,
+    adx: regime.adx,
+    hurst: regime.hurst,
+    expansionProb: Math.min(0.95, Math.max(0.05, 1 - (regime.volPercentile ?? 0.5))),
     atrCluster
   };
 
@@ -307,25 +352,33 @@ export async function generateMergeSignal(symbol = CONFIG.ACTIVE_SYMBOL, opts =
     modelVersion: `merge_signal_v15 (elliott:${ELLIOTT_VERSION || "?"})`,
     symbol,
     price: fmt(price,2),
+    rawPrice: safe(price),   // unrounded: entries / levels for low-priced symbols (FOREX)
     perTF: tfSummaries,
     ellResult,
     mlResult,
     newsResult,
     fusion,
     tps,
+    regime,
     volatility,
     mlSummary,
     newsSummary,
     accuracy
   };
+  result.explanation = explainSignal(result);
 
-  // record prediction if ML module supports it
+  // record prediction (slim: the resolver only needs side / entry / TP / SL; meta.scores are the v15 layer
+  // scores in ml_module_v8_6's layer keys, so labelled outcomes also train its adaptive weights)
   try {
+    const ls = mlResult?.layerScores;
+    const scores = ls ? { ind: safe(ls.indicator ?? 0.5), cnn: safe(ls.cnn ?? 0.5), of: safe(ls.orderflow ?? 0.5), news: safe(ls.news ?? 0.5) } : null;
     const rec = {
       id: `${symbol}_${mainTF}_${Date.now()}`,
-      symbol, tf: mainTF, result, meta: { fusion, mlResult }
+      symbol, tf: mainTF, source: "merge_signal",
+      side: fusion.bias, price: safe(price), tp1: tps.tp1, tp2: tps.tp2, sl: tps.sl,
+      meta: { fusion, mlProb: mlResult?.blendedProb ?? mlResult?.fusedProb ?? null, analysisId: mlResult?.analysisId ?? null, scores }
     };
-    if (ML && typeof ML.recordPrediction === "function") ML.recordPrediction(rec);
+    if (opts.record !== false) recordPrediction(rec);
   } catch (e) {}
 
   // make Telegram UI text
@@ -339,11 +392,18 @@ export async function generateMergeSignal(symbol = CONFIG.ACTIVE_SYMBOL, opts =
     mlSummary,
     newsSummary,
     volatility,
-    accuracy
+    accuracy,
+    explanation: result.explanation
   });
 
+  if (!opts.mtf) {
+    const ev = { symbol, tf: mainTF, result };
+    _latest.set(`${symbol}:${mainTF}`, ev);
+    try { signalEvents.emit("signal", ev); } catch (e) {}
+  }
+
   return { ok: true, result, uiText };
 }
 
 // default export
-export default { generateMergeSignal };
\ No newline at end of file
+export default { generateMergeSignal, latestSignal, signalEvents };
\ No newline at end of file
@@ -4,12 +4,21 @@
 // - Hybrid fusion: rule-based layers + logistic regression trained online (SGD)
 // - Multi-TF aware (uses fetchMultiTF from utils.js)
 // - Persistence: model weights + adaptive fusion weights + stats saved to disk
-// - Exports: analyzeSymbol, analyzeMulti, predictProb, trainModelBatch, trainAdaptive, markOutcome, getModel, saveModel, resetModel, getStats
+// - Features follow elliott_module's versioned FEATURE_SCHEMA; inputs are standardized with running
+//   per-feature mean/variance stored in the model, and weights migrate by key when the schema changes;
+//   a model loaded from train_ml.js keeps its training scaler frozen (its weights were fitted against it)
+// - Fusion weights are learned per market and per symbol (fusion_scopes.js); analyses report the scope used
+// - Regime (regime.js) is reported in layers.regime and its profile scales the fusion layer weights
+// - Exports: analyzeSymbol, analyzeMulti, predictProb, trainModelBatch, trainAdaptive, markOutcome, getModel, saveModel, resetModel, getHistory,
+//            findAnalysis, loadDataset, getStats, writeModelFile, loadModelFile, explainVector,
+//            exportModelState, applyModelState, setShadowModel (model_registry.js)
+// - Dataset: analyses.jsonl (features + layer scores per analysis) and labels.jsonl (outcomes), append-only;
+//   each rotates to *.1.jsonl past DATASET_MAX_BYTES (two generations kept), analyses looked up by byte offset
 
 import fs from "fs";
 import path from "path";
-import { fetchMultiTF } from "./utils.js";
-import elliottModule, { analyzeElliott, extractFeatures, normalizeCandles } from "./elliott_module.js";
+import { fetchMultiTF, mapLimit } from "./utils.js";
+import elliottModule, { analyzeElliott, extractFeatures, normalizeCandles, FEATURE_SCHEMA, FEATURE_SCHEMAS } from "./elliott_module.js";
 import {
   computeRSI,
   computeATR,
@@ -21,6 +30,10 @@ import {
   deriveSignal
 } from "./core_indicators.js";
 import News from "./news_social.js";
+import { calibrate } from "./calibration.js";
+import { predictCNN } from "./candle_cnn.js";
+import { detectRegime, regimeProfile } from "./regime.js";
+import { scopedWeights, trainScoped } from "./fusion_scopes.js";
 
 // ----------------- Config & persistence -----------------
 const DIR = process.env.ML_V15_DIR || path.join(process.cwd(), ".ml_v15");
@@ -30,6 +43,15 @@ const MODEL_FILE = path.join(DIR, "model.json");
 const STATS_FILE = path.join(DIR, "stats.json");
 const FUSION_FILE = path.join(DIR, "fusion.json");
 const HISTORY_FILE = path.join(DIR, "history.json");
+// append-only training data: one JSON line per analysis / per outcome label
+const DATASET_FILE = path.join(DIR, "analyses.jsonl");
+const LABELS_FILE = path.join(DIR, "labels.jsonl");
+const rotatedOf = file => file.replace(/\.jsonl$/, ".1.jsonl");
+const DATASET_MAX_BYTES = Number(process.env.ML_V15_DATASET_MAX_BYTES) || 32 * 1024 * 1024;
+// versioned offline models written by train_ml.js
+const MODELS_DIR = path.join(DIR, "models");
+// running standardizer stats are written with the model every NORM_SAVE_EVERY live observations
+const NORM_SAVE_EVERY = 50;
 
 const EPS = 1e-12;
 const isFiniteNum = n => typeof n === "number" && Number.isFinite(n);
@@ -45,23 +67,30 @@ const fetchNewsBundle = (News && (News.fetchNewsBundle || (News.default && News.
 
 // ----------------- Stats, Fusion weights, Model -----------------
 let _stats = { analyses:0, trainedSamples:0, lastUpdated: nowISO(), accuracyCache: null };
-let _fusion = { w_ind:0.35, w_pattern:0.18, w_elliott:0.15, w_of:0.12, w_cnn:0.08, w_news:0.08, lr: 0.02 };
+const defaultFusion = () => ({ w_ind:0.35, w_pattern:0.18, w_elliott:0.15, w_of:0.12, w_cnn:0.08, w_news:0.08, lr: 0.02 });
+let _fusion = defaultFusion();
 let _history = []; // small event history
+let _unsavedObs = 0; // live observations in _model.norm not yet written to model.json
 
 // Simple logistic regression model (online): weights vector + bias
-// Model will operate on features returned by extractFeatures.vector
+// Model will operate on features returned by extractFeatures.vector (standardized, in `keys` order)
 let _model = {
   dim: 0,
+  keys: [],       // feature names, one per weight
+  schema: null,   // FEATURE_SCHEMA version the keys came from
   weights: [],    // length dim
   bias: 0,
   lr: 0.01,       // learning rate for SGD
-  trained: 0
+  trained: 0,
+  norm: { n: [], mean: [], m2: [] }, // running (Welford) stats per feature
+  normFrozen: false // true: norm is a fixed training scaler, live vectors don't move it
 };
 
 // load persisted if exists
 try { if (fs.existsSync(STATS_FILE)) _stats = Object.assign(_stats, JSON.parse(fs.readFileSync(STATS_FILE, "utf8"))); } catch(e){}
 try { if (fs.existsSync(FUSION_FILE)) _fusion = Object.assign(_fusion, JSON.parse(fs.readFileSync(FUSION_FILE, "utf8"))); } catch(e){}
-try { if (fs.existsSync(HISTORY_FILE)) _history = JSON.parse(fs.readFileSync(HISTORY_FILE, "utf8")); } catch(e){}
+// history holds analyses only (outcome labels live in labels.jsonl; older files mixed them in)
+try { if (fs.existsSync(HISTORY_FILE)) _history = JSON.parse(fs.readFileSync(HISTORY_FILE, "utf8")).filter(h => h && h.dir); } catch(e){}
 try {
   if (fs.existsSync(MODEL_FILE)) {
     const raw = JSON.parse(fs.readFileSync(MODEL_FILE, "utf8"));
@@ -70,9 +99,11 @@ try {
     }
   }
 } catch(e){}
+adoptSchema();
 
 // persistence helpers
 function saveModel() {
+  _unsavedObs = 0;
   try { fs.writeFileSync(MODEL_FILE, JSON.stringify(_model, null, 2), "utf8"); return true; } catch(e){ return false; }
 }
 function saveFusion() {
@@ -85,16 +116,187 @@ function saveHistory() {
   try { fs.writeFileSync(HISTORY_FILE, JSON.stringify(_history.slice(-2000), null, 2), "utf8"); return true; } catch(e){ return false; }
 }
 
+// ----------------- Analysis dataset -----------------
+const _recent = new Map(); // analysisId -> record (recent analyses, avoids reading the file)
+const RECENT_MAX = 2000;
+let _offsets = null;       // analysisId -> { file, offset, length } over both dataset generations
+let _datasetCache = null;  // { sig, labelled, all } — loadDataset parse, reused while the files are unchanged
+
+const fileSize = file => { try { return fs.statSync(file).size; } catch(e) { return 0; } };
+
+// current file past DATASET_MAX_BYTES -> becomes *.1.jsonl (the previous generation is dropped)
+function rotateIfFull(file) {
+  if (fileSize(file) < DATASET_MAX_BYTES) return;
+  try { fs.renameSync(file, rotatedOf(file)); } catch(e) { return; }
+  if (file === DATASET_FILE && _offsets) {
+    for (const [id, o] of _offsets) {
+      if (o.file === file) o.file = rotatedOf(file); else _offsets.delete(id);
+    }
+  }
+}
+
+// appends one line; returns { offset, length } of it (null on failure)
+function appendLine(file, obj) {
+  try {
+    rotateIfFull(file);
+    const line = JSON.stringify(obj) + "\n";
+    const offset = fileSize(file);
+    fs.appendFileSync(file, line, "utf8");
+    return { offset, length: Buffer.byteLength(line) };
+  } catch(e){ return null; }
+}
+
+function readLines(file) {
+  try {
+    if (!fs.existsSync(file)) return [];
+    const out = [];
+    for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+      if (!line) continue;
+      try { out.push(JSON.parse(line)); } catch(e) {}
+    }
+    return out;
+  } catch(e) { return []; }
+}
+
+// one pass over both dataset generations on first lookup, then kept up to date by storeAnalysis
+function offsetIndex() {
+  if (_offsets) return _offsets;
+  _offsets = new Map();
+  for (const file of [rotatedOf(DATASET_FILE), DATASET_FILE]) {
+    let buf;
+    try { buf = fs.readFileSync(file); } catch(e) { continue; }
+    let start = 0;
+    while (start < buf.length) {
+      let end = buf.indexOf(10, start);
+      if (end < 0) end = buf.length;
+      const m = /"id":"([^"]*)"/.exec(buf.toString("utf8", start, Math.min(end, start + 200)));
+      if (m) _offsets.set(m[1], { file, offset: start, length: end - start });
+      start = end + 1;
+    }
+  }
+  return _offsets;
+}
+
+function storeAnalysis(rec) {
+  const pos = appendLine(DATASET_FILE, rec);
+  if (pos && _offsets) _offsets.set(rec.id, { file: DATASET_FILE, ...pos });
+  _recent.set(rec.id, rec);
+  if (_recent.size > RECENT_MAX) _recent.delete(_recent.keys().next().value);
+}
+
+// stored analysis record by id: { id, ts, symbol, tf, dir, fused, ml, blended, layerScores, vec, schema, model, shadow }
+export function findAnalysis(id) {
+  if (!id) return null;
+  if (_recent.has(id)) return _recent.get(id);
+  const o = offsetIndex().get(id);
+  if (!o) return null;
+  let fd = null;
+  try {
+    fd = fs.openSync(o.file, "r");
+    const buf = Buffer.alloc(o.length);
+    fs.readSync(fd, buf, 0, o.length, o.offset);
+    const rec = JSON.parse(buf.toString("utf8"));
+    return rec?.id === id ? rec : null;
+  } catch(e) {
+    return null;
+  } finally {
+    if (fd != null) try { fs.closeSync(fd); } catch(e) {}
+  }
+}
+
+/**
+ * loadDataset({ labelledOnly }) — analyses joined with their latest outcome label (both file generations)
+ * -> [{ ...analysisRecord, trueLabel, success, labelledAt }]
+ */
+export function loadDataset({ labelledOnly = true } = {}) {
+  const files = [rotatedOf(LABELS_FILE), LABELS_FILE, rotatedOf(DATASET_FILE), DATASET_FILE];
+  const sig = files.map(fileSize).join(",");
+  if (_datasetCache?.sig !== sig) {
+    const labels = new Map();
+    for (const l of [...readLines(files[0]), ...readLines(files[1])]) labels.set(l.id, l);
+    const all = [];
+    for (const r of [...readLines(files[2]), ...readLines(files[3])]) {
+      const l = labels.get(r.id);
+      all.push(l ? { ...r, trueLabel: l.trueLabel, success: l.success, labelledAt: l.ts } : r);
+    }
+    _datasetCache = { sig, all, labelled: all.filter(r => r.trueLabel) };
+  }
+  return (labelledOnly ? _datasetCache.labelled : _datasetCache.all).slice();
+}
+
 // ----------------- Utility helpers -----------------
 function sigmoid(x) { return 1 / (1 + Math.exp(-x)); }
 function dot(w, x) { if (!Array.isArray(w) || !Array.isArray(x)) return 0; let s = 0; for (let i=0;i<Math.min(w.length,x.length);i++) s += w[i]*x[i]; return s; }
-function ensureModelDim(dim) {
-  if (_model.dim === dim && _model.weights.length === dim) return;
-  _model.dim = dim;
-  _model.weights = new Array(dim).fill(0).map((v,i)=> (i===0? 0.001 : 0)); // small init
-  _model.bias = 0;
-  _model.trained = 0;
-  saveModel();
+function sameKeys(a, b) { return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((k, i) => k === b[i]); }
+
+// ----------------- Feature schema & standardizer -----------------
+// names for a vector: explicit keys, else its schema version, else the current schema when the length matches
+function keysFor(vec, keys = null, schema = null) {
+  if (Array.isArray(keys) && keys.length === vec.length) return keys;
+  const byVersion = schema != null ? FEATURE_SCHEMAS[schema] : null;
+  if (byVersion && byVersion.length === vec.length) return byVersion;
+  return FEATURE_SCHEMA.keys.length === vec.length ? FEATURE_SCHEMA.keys : null;
+}
+
+/**
+ * adoptSchema() — move the model onto the current FEATURE_SCHEMA
+ * - fresh model: zero weights for every key
+ * - model without keys (pre-schema model.json) of the same length: keys assigned in place
+ * - different keys: weights + running stats carried over by key name, new features start at 0
+ *   (a model with no key in common, or an unnamed one of another length, starts over)
+ */
+function adoptSchema(m = _model) {
+  const keys = FEATURE_SCHEMA.keys;
+  if (sameKeys(m.keys, keys) && m.weights.length === keys.length) return;
+  let old = Array.isArray(m.keys) && m.keys.length === m.weights.length ? m.keys : null;
+  if (!old && m.weights.length === keys.length) old = keys;
+  const idx = keys.map(k => (old ? old.indexOf(k) : -1));
+  const kept = idx.filter(i => i >= 0).length;
+  const pick = (arr, fill) => idx.map(i => (i >= 0 && isFiniteNum(arr?.[i]) ? arr[i] : fill));
+  const norm = m.norm || {};
+
+  if (m.weights.length) {
+    m.migrations = [...(m.migrations || []), { ts: nowISO(), from: m.schema ?? null, to: FEATURE_SCHEMA.version, kept, added: keys.length - kept }].slice(-10);
+  }
+  m.weights = pick(m.weights, 0);
+  m.norm = { n: pick(norm.n, 0), mean: pick(norm.mean, 0), m2: pick(norm.m2, 0) };
+  if (!kept) { m.bias = 0; m.trained = 0; }
+  m.keys = keys.slice();
+  m.dim = keys.length;
+  m.schema = FEATURE_SCHEMA.version;
+  if (m === _model) saveModel();
+}
+
+// vector in model key order (features the vector lacks are NaN -> standardized to 0); null = unknown layout
+function alignVec(vec, keys = null, schema = null, m = _model) {
+  const k = keysFor(vec, keys, schema);
+  if (!k) return null;
+  if (sameKeys(k, m.keys)) return vec.map(Number);
+  return m.keys.map(key => { const i = k.indexOf(key); return i >= 0 ? Number(vec[i]) : NaN; });
+}
+
+// update the running mean/variance with one aligned vector (persisted in batches of NORM_SAVE_EVERY)
+function observeVec(x) {
+  if (_model.normFrozen) return;
+  const nm = _model.norm;
+  for (let i = 0; i < _model.dim; i++) {
+    if (!isFiniteNum(x[i])) continue;
+    nm.n[i] += 1;
+    const d = x[i] - nm.mean[i];
+    nm.mean[i] += d / nm.n[i];
+    nm.m2[i] += d * (x[i] - nm.mean[i]);
+  }
+  if (++_unsavedObs >= NORM_SAVE_EVERY) saveModel();
+}
+
+// z-score per feature, clipped so one outlier can't dominate the dot product
+function standardize(x, m = _model) {
+  const nm = m.norm;
+  return x.map((v, i) => {
+    if (!isFiniteNum(v) || !nm.n[i]) return 0;
+    const sd = nm.n[i] > 1 ? Math.sqrt(nm.m2[i] / (nm.n[i] - 1)) : 0;
+    return sd > EPS ? clamp((v - nm.mean[i]) / sd, -5, 5) : 0;
+  });
 }
 
 // ----------------- Rule-based layers (scorers) -----------------
@@ -157,36 +359,11 @@ function runElliottLayer(ell) {
   return { score: clamp(base + boost, 0, 1), details: { confidence: ell.confidence, impulseQ } };
 }
 
+// trained candle-pattern classifier (candle_cnn.js); neutral 0.5 until a model has been fitted
 function runCNNLayer(candles) {
-  // deterministic heuristic fallback (candleVisionHeuristic)
   if (!Array.isArray(candles) || !candles.length) return { score:0.5, details:{} };
-  const last = candles.slice(-6);
-  const bodies = last.map(c => Math.abs((c.close||0)-(c.open||0)));
-  const ranges = last.map(c => (c.high||0)-(c.low||0));
-  const avgRange = mean(ranges) || 1;
-  const lastC = last[last.length-1];
-  const body = Math.abs((lastC.close||0)-(lastC.open||0)) || 1;
-  const lowerWick = Math.min(lastC.close,lastC.open)-lastC.low;
-  const upperWick = lastC.high - Math.max(lastC.close,lastC.open);
-  let bullScore = 0, bearScore = 0;
-  const momentum = (last[last.length-1].close - last[0].close) / Math.max(EPS, last[0].close);
-  bullScore += clamp(momentum*8, -10, 10);
-  if (lowerWick > body*1.8 && upperWick < body*0.6) bullScore += 2.5;
-  if (upperWick > body*1.8 && lowerWick < body*0.6) bearScore += 2.5;
-  if (lastC.close > lastC.open && body > avgRange*0.6) bullScore += 1.5;
-  if (lastC.open > lastC.close && body > avgRange*0.6) bearScore += 1.5;
-  const vols = last.map(c=> c.volume || c.vol || 0);
-  const avgVol = mean(vols.slice(0,-1)) || 1;
-  const lastVol = vols[vols.length-1] || 0;
-  if (avgVol > 0 && lastVol > avgVol * 1.3) bullScore += 0.8;
-  let pb = clamp(50 + bullScore * 4, 0, 100);
-  let pr = clamp(50 + bearScore * 4, 0, 100);
-  let pn = clamp(100 - (pb + pr), 0, 100);
-  if (pn < 0) {
-    const s = pb + pr || 1; pb = (pb / s) * 100; pr = (pr / s)*100; pn = 0;
-  }
-  pb = Math.round(pb*100)/100; pr = Math.round(pr*100)/100; pn = Math.round(pn*100)/100;
-  return { score: pb/100, details: { probs:{bull:pb,bear:pr,neutral:pn} } };
+  const r = predictCNN(candles);
+  return { score: r.score, details: { probs: r.probs, label: r.label, trained: r.trained, version: r.version } };
 }
 
 async function runNewsLayer(symbol) {
@@ -228,51 +405,85 @@ function fuseLayerScores(layerScores, fusionWeights = _fusion) {
   return { fused: clamp(fused, 0, 1), breakdown };
 }
 
+// learned fusion weights scaled by the regime profile's layer multipliers (the stored weights stay unscaled)
+function regimeWeights(fusionWeights, regime) {
+  const mult = regime ? regimeProfile(regime).layers || {} : {};
+  const out = { ...fusionWeights };
+  for (const [k, m] of Object.entries(mult)) if (isFiniteNum(out[k]) && isFiniteNum(m)) out[k] *= m;
+  return out;
+}
+
 // ----------------- ML Model functions -----------------
-// predict probability from feature vector
-export function predictProbVector(vec) {
+// predict probability from feature vector (keys / schema name its layout; default: current schema)
+export function predictProbVector(vec, keys = null, schema = null) {
   if (!Array.isArray(vec)) return 0.5;
-  ensureModelDim(vec.length);
-  const z = dot(_model.weights, vec) + (_model.bias || 0);
+  const x = alignVec(vec, keys, schema);
+  if (!x) return 0.5;
+  const z = dot(_model.weights, standardize(x)) + (_model.bias || 0);
   const p = sigmoid(z);
   return clamp(p, 0.0001, 0.9999);
 }
 
+/**
+ * explainVector(vec, keys, schema) -> { bias, logit, features: [{ key, value, z, weight, contribution }] }
+ * contribution = weight × standardized value (its share of the logit), sorted by |contribution|
+ */
+export function explainVector(vec, keys = null, schema = null, m = _model) {
+  if (!Array.isArray(vec)) return null;
+  const x = alignVec(vec, keys, schema, m);
+  if (!x) return null;
+  const z = standardize(x, m);
+  const features = m.keys.map((key, i) => ({ key, value: isFiniteNum(x[i]) ? x[i] : null, z: z[i], weight: m.weights[i] || 0, contribution: (m.weights[i] || 0) * z[i] }));
+  const bias = m.bias || 0;
+  return { bias, logit: features.reduce((a, f) => a + f.contribution, bias), features: features.sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution)) };
+}
+
+// layer share of the fused rule prob relative to neutral: normalized weight × (score - 0.5)
+function layerContributions(breakdown) {
+  const w = breakdown.weights || {};
+  const pairs = { indicator: w.wi, pattern: w.wp, elliott: w.we, orderflow: w.wo, cnn: w.wc, news: w.wn };
+  return Object.entries(pairs).map(([layer, weight]) => ({ layer, score: breakdown[layer], weight, contribution: (weight || 0) * ((breakdown[layer] ?? 0.5) - 0.5) }))
+    .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+}
+
 // expose a convenience predict that accepts ell analysis (uses extractFeatures)
 export function predictProbFromAnalysis(mlAnalysis) {
   if (!mlAnalysis || !mlAnalysis.mtfSummary) return 0.5;
   // we prefer mlFeatures if provided
   const featObj = mlAnalysis.mlFeatures || (mlAnalysis.layers && mlAnalysis.layers.elliott ? extractFeatures(normalizeCandles(mlAnalysis.layers.elliott?.price ? [] : [])) : null);
   if (!featObj || !featObj.vector) return 0.5;
-  return predictProbVector(featObj.vector);
+  return predictProbVector(featObj.vector, featObj.keys, featObj.schema);
 }
 
 // online SGD step: x vector, label y in {0,1}
-function sgdUpdate(x, y, lr = _model.lr) {
-  ensureModelDim(x.length);
-  const p = predictProbVector(x);
+function sgdUpdate(x, y, lr = _model.lr, keys = null, schema = null) {
+  const aligned = alignVec(x, keys, schema);
+  if (!aligned) return false;
+  const xs = standardize(aligned);
+  const p = clamp(sigmoid(dot(_model.weights, xs) + (_model.bias || 0)), 0.0001, 0.9999);
   const err = (y - p);
   // gradient of logistic loss wrt weights = -err * x (since loss L = -y ln p - (1-y) ln(1-p), dL/dw = (p - y)*x)
   // We'll use simple update: w += lr * err * x
   for (let i=0;i<_model.dim;i++) {
-    _model.weights[i] += lr * err * (x[i] || 0);
+    _model.weights[i] += lr * err * (xs[i] || 0);
   }
   _model.bias += lr * err;
   _model.trained += 1;
   _stats.trainedSamples = (_stats.trainedSamples || 0) + 1;
   saveModel(); saveStats();
+  return true;
 }
 
 // batch training wrapper
 export async function trainModelBatch(samples = [], opts = {}) {
-  // samples: [{ vector: [...], label: "Bullish"/"Bearish" or labelNumeric 0/1 }]
+  // samples: [{ vector: [...] | extractFeatures result, keys?, label: "Bullish"/"Bearish" or labelNumeric 0/1 }]
   try {
     if (!Array.isArray(samples) || !samples.length) return { ok:false, message:"no samples" };
     for (const s of samples) {
       const vec = Array.isArray(s.vector) ? s.vector : (s.vector && Array.isArray(s.vector.vector) ? s.vector.vector : null);
       if (!vec) continue;
       const label = (typeof s.labelNumeric === "number") ? (s.labelNumeric) : (s.label === "Bullish" ? 1 : s.label === "Bearish" ? 0 : (s.labelProb ?? 0.5));
-      sgdUpdate(vec, label, opts.lr || _model.lr);
+      sgdUpdate(vec, label, opts.lr || _model.lr, s.keys || s.vector?.keys, s.schema ?? s.vector?.schema);
     }
     return { ok:true, trained:_model.trained };
   } catch (e) {
@@ -283,6 +494,8 @@ export async function trainModelBatch(samples = [], opts = {}) {
 // ----------------- High-level analyzeSymbol (final product, no TP/SL) -----------------
 /**
  * analyzeSymbol(symbol, tfc, opts)
+ * opts: multiTF (TF list), mtfData (pre-fetched { tf: { data } }, skips fetching), noNews, noElliott (train_ml.js speed-up),
+ *       record (false = no bookkeeping), calibrate (false = raw blended probability in probs)
  * returns an analysis object with:
  * - direction, probs, fusedScore
  * - layers: indicator, pattern aggregation, elliott, orderflow, cnn, news, harmonics, regime
@@ -294,7 +507,7 @@ export async function analyzeSymbol(symbol = "BTCUSDT", tfc = "15m", opts = {})
     // decide TF list to fetch: primary + contextual HTFs
     const micro = ["1m","5m"];
     const needed = Array.from(new Set([tfc, ...opts.multiTF || ["15m","30m","1h","4h"], ...micro]));
-    const mtfRaw = await fetchMultiTF(symbol, needed);
+    const mtfRaw = opts.mtfData || await fetchMultiTF(symbol, needed);
 
     // build mtfSummary
     const mtfSummary = {};
@@ -317,7 +530,9 @@ export async function analyzeSymbol(symbol = "BTCUSDT", tfc = "15m", opts = {})
     const multiTFObj = {};
     for (const tf of Object.keys(mtfRaw||{})) multiTFObj[tf] = (mtfRaw[tf] && Array.isArray(mtfRaw[tf].data)) ? mtfRaw[tf].data : [];
     let ell = null;
-    try { ell = await analyzeElliott(candles, { multiTF: multiTFObj, debug: !!opts.debug }); } catch(e){ ell = null; }
+    if (!opts.noElliott) {
+      try { ell = await analyzeElliott(candles, { multiTF: multiTFObj, debug: !!opts.debug }); } catch(e){ ell = null; }
+    }
 
     // run layers
     const indicator = runIndicatorLayer(candles);
@@ -334,25 +549,10 @@ export async function analyzeSymbol(symbol = "BTCUSDT", tfc = "15m", opts = {})
     const patternLayer = runPatternLayer(ell || { patterns: [] });
     const ellLayer = runElliottLayer(ell);
     const cnn = runCNNLayer(candles);
-    const news = await runNewsLayer(symbol);
+    const news = opts.noNews ? { score: 0.5, details: null } : await runNewsLayer(symbol);
     const harmonics = detectHarmonics(candles);
-    const regime = (function(){ // reuse simple regime detect (from earlier)
-      if (!Array.isArray(candles) || candles.length < 30) return { regime:"unknown", volatility:0, trendFactor:0 };
-      const slice = candles.slice(-60);
-      const closes = slice.map(c=>c.close).filter(isFiniteNum);
-      if (!closes.length) return { regime:"unknown", volatility:0, trendFactor:0 };
-      const last20 = closes.slice(-20);
-      const m20 = mean(last20);
-      const vol = Math.sqrt(mean(last20.map(x => Math.pow(x - m20, 2))));
-      const slope = (last20[last20.length-1] - last20[0]) / Math.max(EPS, last20[0]);
-      const volRatio = vol / Math.max(EPS, m20);
-      let regime = "neutral";
-      if (Math.abs(slope) > 0.002 && volRatio < 0.015) regime = "trending";
-      else if (volRatio < 0.007) regime = "calm";
-      else if (volRatio > 0.03) regime = "volatile";
-      else regime = Math.abs(slope) < 0.001 ? "ranging" : "choppy";
-      return { regime, volatility: volRatio, trendFactor: slope };
-    })();
+    // shared detector (regime.js); its profile scales the fusion layer weights below
+    const regime = detectRegime(candles);
 
     // layer scores
     const layerScores = {
@@ -366,7 +566,8 @@ export async function analyzeSymbol(symbol = "BTCUSDT", tfc = "15m", opts = {})
     };
 
     // fuse rule-based
-    const fused = fuseLayerScores(layerScores, _fusion);
+    const fusionW = scopedWeights(_fusion, symbol);
+    const fused = fuseLayerScores(layerScores, regimeWeights(fusionW.weights, regime));
     const fusedBull = fused.fused;
     const fusedBear = clamp(1 - fusedBull, 0, 1);
 
@@ -376,20 +577,31 @@ export async function analyzeSymbol(symbol = "BTCUSDT", tfc = "15m", opts = {})
       mlFeatures = extractFeatures ? extractFeatures(candles, { patterns: patternAgg.patterns, orderBlocks: ell?.orderBlocks || [], fvgs: ell?.fvgs || [], sfps: ell?.sfps || [], channels: ell?.channels || [], impulse: ell?.impulse || null, fib: ell?.fib || null, sentiment: ell?.sentiment ?? fusedBull, confidence: ell?.confidence ?? 0, price }) : null;
     } catch(e) { mlFeatures = null; }
 
-    const mlModelProb = (mlFeatures && mlFeatures.vector) ? predictProbVector(mlFeatures.vector) : 0.5;
+    // live vectors feed the running standardizer (replays with record:false leave it untouched)
+    if (mlFeatures?.vector && opts.record !== false) {
+      const aligned = alignVec(mlFeatures.vector, mlFeatures.keys, mlFeatures.schema);
+      if (aligned) observeVec(aligned);
+    }
+    const mlModelProb = (mlFeatures && mlFeatures.vector) ? predictProbVector(mlFeatures.vector, mlFeatures.keys, mlFeatures.schema) : 0.5;
 
     // final hybrid prob: combine fused rule-based + ML model (weighted)
     // blending weights configurable: give more weight to ML after it's trained more
     const mlWeightFactor = Math.min(0.6, 0.2 + Math.log10(1 + (_model.trained || 0)) * 0.03); // increases with training count
     const blendedBull = clamp(fusedBull * (1 - mlWeightFactor) + mlModelProb * mlWeightFactor, 0, 1);
-    const pb = Math.round(blendedBull * 10000)/100;
-    const pr = Math.round((1 - blendedBull) * 10000)/100;
+    // shadow model (model_registry.js): same inputs, scored only for comparison
+    const shadowBull = _shadow ? scoreWithState(_shadow, mlFeatures, layerScores, regime, symbol) : null;
+    // reported probabilities go through the fitted calibration (calibration.js); opts.calibrate:false = raw
+    const calBull = opts.calibrate === false ? blendedBull : calibrate("v15", blendedBull);
+    const pb = Math.round(calBull * 10000)/100;
+    const pr = Math.round((1 - calBull) * 10000)/100;
     const pn = Math.round(clamp(100 - (pb + pr), 0, 10000))/100;
     const direction = (pb > pr && pb > pn) ? "Bullish" : (pr > pb && pr > pn) ? "Bearish" : "Neutral";
 
+    const analysisId = `${symbol}_${tfc}_${Date.now()}`;
     const analysis = {
       ok: true,
       version: "ml_v15",
+      analysisId,
       symbol,
       tf: tfc,
       generatedAt: nowISO(),
@@ -399,8 +611,15 @@ export async function analyzeSymbol(symbol = "BTCUSDT", tfc = "15m", opts = {})
       fusedRuleProb: Math.round(fusedBull * 10000)/100,
       mlModelProb: Math.round(mlModelProb * 10000)/100,
       blendedProb: Math.round(blendedBull * 10000)/100,
+      calibrated: calBull !== blendedBull,
       mlWeightFactor,
+      fusionWeights: { scope: fusionW.scope, n: fusionW.n, weights: fused.breakdown.weights },
       layerScores,
+      // what drove it (explain.js): logistic feature contributions + fusion layer contributions
+      explanation: {
+        model: mlFeatures?.vector ? explainVector(mlFeatures.vector, mlFeatures.keys, mlFeatures.schema) : null,
+        layers: layerContributions(fused.breakdown)
+      },
       layers: {
         indicator,
         patternAggregation: patternAgg,
@@ -416,10 +635,23 @@ export async function analyzeSymbol(symbol = "BTCUSDT", tfc = "15m", opts = {})
     };
 
     // bookkeeping
-    _stats.analyses = (_stats.analyses || 0) + 1;
-    _history.push({ ts: nowISO(), symbol, tf: tfc, dir: direction, fused: fusedBull, ml: mlModelProb });
-    if (_history.length > 5000) _history.shift();
-    saveStats(); saveHistory();
+    if (opts.record !== false) {
+      _stats.analyses = (_stats.analyses || 0) + 1;
+      _history.push({ id: analysisId, ts: nowISO(), symbol, tf: tfc, dir: direction, price: isFiniteNum(price) ? price : null, fused: fusedBull, ml: mlModelProb });
+      if (_history.length > 5000) _history.shift();
+      saveStats(); saveHistory();
+      storeAnalysis({
+        id: analysisId, ts: nowISO(), symbol, tf: tfc, dir: direction,
+        fused: Number(fusedBull.toFixed(6)), ml: Number(mlModelProb.toFixed(6)), blended: Number(blendedBull.toFixed(6)),
+        layerScores: Object.fromEntries(Object.entries(layerScores).map(([k, v]) => [k, isFiniteNum(v) ? Number(v.toFixed(6)) : v])),
+        vec: Array.isArray(mlFeatures?.vector) ? mlFeatures.vector.map(v => isFiniteNum(v) ? Number(v.toFixed(6)) : 0) : null,
+        schema: mlFeatures?.schema ?? null,
+        regime: regime.regime,
+        fusionScope: fusionW.scope,
+        model: _model.version || null,
+        shadow: isFiniteNum(shadowBull) ? { version: _shadow.version, blended: Number(shadowBull.toFixed(6)) } : null
+      });
+    }
 
     return analysis;
   } catch (err) {
@@ -428,12 +660,13 @@ export async function analyzeSymbol(symbol = "BTCUSDT", tfc = "15m", opts = {})
 }
 
 // ----------------- analyzeMulti -----------------
+// opts.concurrency: symbols analyzed in parallel (default 1 = sequential)
 export async function analyzeMulti(symbols = [], tfc = "15m", opts = {}) {
   const list = (typeof symbols === "string") ? [symbols] : Array.isArray(symbols) ? symbols : (symbols && typeof symbols === "object" ? Object.keys(symbols) : []);
   const results = {}; const errors = {};
-  for (const s of list) {
+  await mapLimit(list, opts.concurrency || 1, async s => {
     try { results[s] = await analyzeSymbol(s, tfc, opts); } catch(e) { errors[s] = String(e); }
-  }
+  });
   return { results, errors };
 }
 
@@ -450,17 +683,20 @@ export async function trainAdaptive(batch = []) {
       const y = (b.trueLabel === "Bullish") ? 1 : (b.trueLabel === "Bearish") ? 0 : 0.5;
       const err = y - pred;
       const contrib = b.breakdown || { indicator:0.5, pattern:0.5, elliott:0.5, orderflow:0.5, cnn:0.5, news:0.5 };
-      const lr = _fusion.lr || 0.02;
-      // adjust each fusion weight a bit toward helpful contributors
-      _fusion.w_ind = clamp(_fusion.w_ind + lr * err * ((contrib.indicator||0) - 0.5), 0.01, 0.8);
-      _fusion.w_pattern = clamp(_fusion.w_pattern + lr * err * ((contrib.pattern||0) - 0.5), 0.01, 0.6);
-      _fusion.w_elliott = clamp(_fusion.w_elliott + lr * err * ((contrib.elliott||0) - 0.5), 0.01, 0.6);
-      _fusion.w_of = clamp(_fusion.w_of + lr * err * ((contrib.orderflow||0) - 0.5), 0.01, 0.6);
-      _fusion.w_cnn = clamp(_fusion.w_cnn + lr * err * ((contrib.cnn||0) - 0.5), 0.005, 0.5);
-      _fusion.w_news = clamp(_fusion.w_news + lr * err * ((contrib.news||0) - 0.5), 0.005, 0.4);
-      // normalize weights
-      const ssum = _fusion.w_ind + _fusion.w_pattern + _fusion.w_elliott + _fusion.w_of + _fusion.w_cnn + _fusion.w_news || 1;
-      _fusion.w_ind /= ssum; _fusion.w_pattern /= ssum; _fusion.w_elliott /= ssum; _fusion.w_of /= ssum; _fusion.w_cnn /= ssum; _fusion.w_news /= ssum;
+      // trains the market + symbol weight sets of b.symbol (the global set stays the default)
+      trainScoped(_fusion, b.symbol, w => {
+        const lr = w.lr || 0.02;
+        // adjust each fusion weight a bit toward helpful contributors
+        w.w_ind = clamp(w.w_ind + lr * err * ((contrib.indicator||0) - 0.5), 0.01, 0.8);
+        w.w_pattern = clamp(w.w_pattern + lr * err * ((contrib.pattern||0) - 0.5), 0.01, 0.6);
+        w.w_elliott = clamp(w.w_elliott + lr * err * ((contrib.elliott||0) - 0.5), 0.01, 0.6);
+        w.w_of = clamp(w.w_of + lr * err * ((contrib.orderflow||0) - 0.5), 0.01, 0.6);
+        w.w_cnn = clamp(w.w_cnn + lr * err * ((contrib.cnn||0) - 0.5), 0.005, 0.5);
+        w.w_news = clamp(w.w_news + lr * err * ((contrib.news||0) - 0.5), 0.005, 0.4);
+        // normalize weights
+        const ssum = w.w_ind + w.w_pattern + w.w_elliott + w.w_of + w.w_cnn + w.w_news || 1;
+        w.w_ind /= ssum; w.w_pattern /= ssum; w.w_elliott /= ssum; w.w_of /= ssum; w.w_cnn /= ssum; w.w_news /= ssum;
+      });
     }
     saveFusion();
     return { ok:true, fusion: _fusion };
@@ -470,22 +706,25 @@ export async function trainAdaptive(batch = []) {
 }
 
 /**
- * markOutcome(symbol, alertId, successBoolean, trueLabel) - records outcome and optionally trains
+ * markOutcome(symbol, alertId, successBoolean, trueLabel) - records outcome and trains
+ * alertId is an analysisId: the stored vector trains the logistic model and the stored
+ * layerScores/fused prob adapt the fusion weights. Unknown ids fall back to the latest analysis.
  */
 export function markOutcome(symbol, alertId, success=true, trueLabel=null) {
   try {
-    // record history outcome in _history and use to train small amount
-    const rec = { ts: nowISO(), symbol, alertId, success, trueLabel };
-    _history.push(rec);
-    saveHistory();
-    // optional quick adapt: if trueLabel provided + last analysis exists for symbol, update fusion & ML slightly
-    if (trueLabel) {
-      // find recent analysis for symbol in history
-      const recent = _history.slice().reverse().find(h => h.symbol === symbol && h.dir);
-      // prepare training sample if we have mlFeatures saved - we do not persist per-analysis vectors by default
-      // so here we only update fusion weights using label and last fused prob if present in history
-      const fusedProb = (recent && typeof recent.fused === "number") ? recent.fused : 0.5;
-      trainAdaptive([{ trueLabel, predProb: fusedProb, breakdown: recent?.breakdown || {} }]);
+    // labels go to labels.jsonl only: _history is the analysis window getHistory / outcome_resolver read
+    appendLine(LABELS_FILE, { id: alertId, symbol, success, trueLabel, ts: nowISO() });
+
+    if (trueLabel === "Bullish" || trueLabel === "Bearish") {
+      const stored = findAnalysis(alertId);
+      if (stored) {
+        if (Array.isArray(stored.vec) && stored.vec.length) sgdUpdate(stored.vec, trueLabel === "Bullish" ? 1 : 0, _model.lr, null, stored.schema);
+        trainAdaptive([{ trueLabel, predProb: stored.fused, breakdown: stored.layerScores, symbol }]);
+      } else {
+        const recent = _history.slice().reverse().find(h => h.symbol === symbol && h.dir);
+        const fusedProb = (recent && typeof recent.fused === "number") ? recent.fused : 0.5;
+        trainAdaptive([{ trueLabel, predProb: fusedProb, breakdown: {}, symbol }]);
+      }
     }
     return true;
   } catch (e) { return false; }
@@ -493,19 +732,110 @@ export function markOutcome(symbol, alertId, success=true, trueLabel=null) {
 
 // ----------------- Model management -----------------
 export function getModel() { return { model: _model, fusion: _fusion, stats: _stats }; }
+// the wiped state is kept as models/model_reset_<ts>.json (model_registry.js snapshots before resets too)
 export function resetModel() {
-  _model = { dim:0, weights:[], bias:0, lr: 0.01, trained: 0 };
-  _fusion = { w_ind:0.35, w_pattern:0.18, w_elliott:0.15, w_of:0.12, w_cnn:0.08, w_news:0.08, lr:0.02 };
+  try { writeModelFile({ version: `reset_${Date.now()}`, ...exportModelState() }); } catch (e) {}
+  _model = blankModel();
+  _fusion = defaultFusion();
   _stats = { analyses:0, trainedSamples:0, lastUpdated: nowISO(), accuracyCache: null };
-  saveModel(); saveFusion(); saveStats();
+  adoptSchema(); saveFusion(); saveStats();
   return { ok:true };
 }
 
+// ----------------- Registry hooks (model_registry.js) -----------------
+let _shadow = null; // { version, model, fusion } — scored next to the live model, never trained
+
+const blankModel = () => ({ dim:0, keys:[], schema:null, weights:[], bias:0, lr: 0.01, trained: 0, norm: { n:[], mean:[], m2:[] }, normFrozen: false });
+
+// blended bull probability of a model/fusion pair for one analysis (mirrors analyzeSymbol)
+function scoreWithState(state, mlFeatures, layerScores, regime = null, symbol = "") {
+  const m = state.model;
+  const x = mlFeatures?.vector ? alignVec(mlFeatures.vector, mlFeatures.keys, mlFeatures.schema, m) : null;
+  const mlProb = x ? clamp(sigmoid(dot(m.weights, standardize(x, m)) + (m.bias || 0)), 0.0001, 0.9999) : 0.5;
+  const fused = fuseLayerScores(layerScores, regimeWeights(scopedWeights(state.fusion || _fusion, symbol).weights, regime)).fused;
+  const w = Math.min(0.6, 0.2 + Math.log10(1 + (m.trained || 0)) * 0.03);
+  return clamp(fused * (1 - w) + mlProb * w, 0, 1);
+}
+
+// deep copy of the live model + fusion weights
+export function exportModelState() {
+  return JSON.parse(JSON.stringify({ model: _model, fusion: _fusion }));
+}
+
+// replace the live model + fusion weights (persisted); version tags later analyses
+export function applyModelState(state = {}, version = null) {
+  if (!Array.isArray(state.model?.weights)) return { ok:false, error:"snapshot has no model" };
+  _model = Object.assign(blankModel(), JSON.parse(JSON.stringify(state.model)), { version });
+  adoptSchema();
+  // the whole set is replaced: market/symbol weights learned after the snapshot must not survive a rollback
+  if (state.fusion) _fusion = { ...defaultFusion(), ...JSON.parse(JSON.stringify(state.fusion)) };
+  saveModel(); saveFusion();
+  return { ok:true, version };
+}
+
+// score a second (frozen) model on every analysis; null turns shadow mode off
+export function setShadowModel(state = null, version = null) {
+  if (!state) { _shadow = null; return { ok:true, shadow:null }; }
+  if (!Array.isArray(state.model?.weights)) return { ok:false, error:"snapshot has no model" };
+  const model = Object.assign(blankModel(), JSON.parse(JSON.stringify(state.model)));
+  adoptSchema(model);
+  _shadow = { version, model, fusion: state.fusion ? { ...defaultFusion(), ...JSON.parse(JSON.stringify(state.fusion)) } : null };
+  return { ok:true, shadow:version };
+}
+
+// ----------------- Offline model files -----------------
+/**
+ * writeModelFile(model) -> path of models/model_<version>.json
+ * model: { version, schema, dim, keys, weights, bias, scaler: { mean, std }, metrics, params, trainedAt }
+ */
+export function writeModelFile(model) {
+  if (!fs.existsSync(MODELS_DIR)) fs.mkdirSync(MODELS_DIR, { recursive: true });
+  const file = path.join(MODELS_DIR, `model_${model.version}.json`);
+  fs.writeFileSync(file, JSON.stringify(model, null, 2), "utf8");
+  return file;
+}
+
+/**
+ * loadModelFile(file) — make an offline-trained model the live one (persisted to model.json)
+ * the offline scaler becomes the (frozen) standardizer its weights were fitted against and the model is
+ * migrated onto the current feature schema; online SGD keeps updating the weights from there
+ */
+export function loadModelFile(file) {
+  try {
+    const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!Array.isArray(raw?.weights) || !raw.weights.length || raw.weights.length !== (raw.dim ?? raw.weights.length)) {
+      return { ok:false, error:"invalid model file" };
+    }
+    const dim = raw.weights.length;
+    const n = Math.max(2, raw.trained || 0);
+    const sc = raw.scaler?.mean?.length === dim && raw.scaler?.std?.length === dim ? raw.scaler : null;
+    _model = {
+      dim,
+      keys: keysFor(raw.weights, raw.keys, raw.schema) || [],
+      schema: raw.schema ?? null,
+      weights: raw.weights.map(Number),
+      bias: Number(raw.bias) || 0,
+      lr: raw.lr ?? _model.lr,
+      trained: raw.trained || 0,
+      norm: sc
+        ? { n: new Array(dim).fill(n), mean: sc.mean.map(Number), m2: sc.std.map(v => Number(v) ** 2 * (n - 1)) }
+        : { n: new Array(dim).fill(0), mean: new Array(dim).fill(0), m2: new Array(dim).fill(0) },
+      normFrozen: !!sc,
+      version: raw.version || null,
+      metrics: raw.metrics || null,
+      trainedAt: raw.trainedAt || null
+    };
+    adoptSchema();
+    saveModel();
+    return { ok:true, version:_model.version, dim:_model.dim };
+  } catch (e) { return { ok:false, error: e?.message || String(e) }; }
+}
+
 // ----------------- Convenience: train from labeled analyses -----------------
 /**
  * feed back labelled analyses to model
- * each item: { analysis (from analyzeSymbol), trueLabel: "Bullish"/"Bearish" }
- * Will extract features (mlFeatures.vector) and perform SGD update
+ * each item: { analysis (from analyzeSymbol) | analysisId (stored record), trueLabel: "Bullish"/"Bearish" }
+ * Will extract features (mlFeatures.vector or the stored vec) and perform SGD update
  */
 export async function trainFromAnalyses(batch = [], opts = {}) {
   try {
@@ -513,20 +843,22 @@ export async function trainFromAnalyses(batch = [], opts = {}) {
     let trained = 0;
     for (const item of batch) {
       const trueLabel = item.trueLabel;
-      const analysis = item.analysis;
-      if (!analysis || !analysis.mlFeatures || !Array.isArray(analysis.mlFeatures.vector)) continue;
-      const vec = analysis.mlFeatures.vector;
-      ensureModelDim(vec.length);
+      const feats = item.analysis?.mlFeatures;
+      const stored = Array.isArray(feats?.vector) ? null : findAnalysis(item.analysisId || item.analysis?.analysisId);
+      const vec = Array.isArray(feats?.vector) ? feats.vector : stored?.vec;
+      if (!Array.isArray(vec) || !vec.length) continue;
       const y = (trueLabel === "Bullish") ? 1 : (trueLabel === "Bearish") ? 0 : (item.labelProb ?? 0.5);
-      sgdUpdate(vec, y, opts.lr || _model.lr);
-      trained++;
+      if (sgdUpdate(vec, y, opts.lr || _model.lr, feats?.keys, feats?.schema ?? stored?.schema)) trained++;
     }
     return { ok:true, trained };
   } catch (e) { return { ok:false, error: String(e) }; }
 }
 
 // ----------------- Small utilities -----------------
-export function getStats() { return { stats: _stats, fusion: _fusion, model: { trained: _model.trained, dim: _model.dim } }; }
+// analysis history entries (those with dir) — read by outcome_resolver.js
+export function getHistory() { return _history.filter(h => h.dir).map(h => ({ ...h })); }
+
+export function getStats() { return { stats: _stats, fusion: _fusion, model: { trained: _model.trained, dim: _model.dim, schema: _model.schema, version: _model.version || null, shadow: _shadow?.version || null } }; }
 
 // ----------------- Exports -----------------
 export default {
@@ -541,5 +873,14 @@ export default {
   getModel,
   saveModel,
   resetModel,
-  getStats
+  getHistory,
+  findAnalysis,
+  loadDataset,
+  getStats,
+  writeModelFile,
+  loadModelFile,
+  explainVector,
+  exportModelState,
+  applyModelState,
+  setShadowModel
 };
\ No newline at end of file
@@ -8,31 +8,26 @@
 // - Hybrid SL: pivot (Elliott) -> swing -> ATR fallback
 // - Stability rules: TP moves only if fusion change > 8% OR ATR change > 12%
 // - Accuracy bookkeeping (per-alert + aggregate) persisted to disk
-// - Adaptive blending of indicator/CNN/Orderflow/News
+// - Adaptive blending of indicator/CNN/Orderflow/News, weights learned per market / symbol (fusion_scopes.js)
 // - Exports: runMLPrediction, runMicroPrediction, calculateAccuracy, recordPrediction,
-//            recordOutcome, markOutcome, getStats, trainAdaptive, resetStats
+//            recordOutcome, markOutcome, listPredictions, getStats, trainAdaptive, resetStats,
+//            getAdaptiveWeights, setAdaptiveWeights
 //
-// NOTE: This file intentionally keeps TFJS optional (deterministic fallback used).
+// The "cnn" layer is the trained candle-pattern classifier from candle_cnn.js (pure JS, no TFJS).
 
 import fs from "fs";
 import path from "path";
-import { fetchMultiTF } from "./utils.js";
+import { fetchMultiTF, mapLimit } from "./utils.js";
 import { analyzeElliott } from "./elliott_module.js";
 import News from "./news_social.js";
+import { predictCNN } from "./candle_cnn.js";
+import { scopedWeights, trainScoped } from "./fusion_scopes.js";
 
 // safe news accessor
 const fetchNewsBundle = (News && (News.fetchNewsBundle || (News.default && News.default.fetchNewsBundle)))
   ? (News.fetchNewsBundle || News.default.fetchNewsBundle)
   : async (s) => ({ ok: false, sentiment: 0.5, impact: "low", items: [], headline: "No news" });
 
-// optional tfjs (non-blocking)
-let tf = null;
-let useTF = false;
-try {
-  tf = (() => { try { return require("@tensorflow/tfjs-node"); } catch (e) { return null; } })();
-  if (tf) useTF = true;
-} catch (e) { tf = null; useTF = false; }
-
 // ---------------- Paths & persistence ----------------
 const LOG_DIR = process.env.ML_LOG_DIR || path.join(process.cwd(), ".ml_v8_6_logs");
 const PRED_FILE = path.join(LOG_DIR, "predictions.json");
@@ -119,8 +114,9 @@ export function calculateAccuracy() {
 }
 
 // ---------------- Adaptive weights ----------------
+const defaultAdaptiveWeights = () => ({ w_ind: 0.45, w_cnn: 0.25, w_of: 0.2, w_news: 0.1, lr: 0.02 });
 if (!_stats.adaptiveWeights) {
-  _stats.adaptiveWeights = { w_ind: 0.45, w_cnn: 0.25, w_of: 0.2, w_news: 0.1, lr: 0.02 };
+  _stats.adaptiveWeights = defaultAdaptiveWeights();
   saveStats();
 }
 function fuseScores(scores, weights) {
@@ -132,21 +128,22 @@ function fuseScores(scores, weights) {
   const fused = ind * w.w_ind + cnn * w.w_cnn + of * w.w_of + newsNorm * w.w_news;
   return { fused, breakdown: { ind, cnn, of, news: newsNorm }, weights: w };
 }
-function updateAdaptiveWeights(trueLabel, predProb, features = {}) {
+// updates the market + symbol weight sets of `symbol`; the global set stays the default
+function updateAdaptiveWeights(trueLabel, predProb, features = {}, symbol = "") {
   try {
-    const w = _stats.adaptiveWeights;
-    if (!w) return;
-    const lr = w.lr || 0.02;
+    if (!_stats.adaptiveWeights) return;
     const y = trueLabel === "Bullish" ? 1 : trueLabel === "Bearish" ? 0 : 0.5;
     const err = y - predProb;
     const contrib = features.breakdown || { ind: 0.5, cnn: 0.5, of: 0.5, news: 0.5 };
-    w.w_ind = clamp(w.w_ind + lr * err * (contrib.ind - 0.5), 0.05, 0.8);
-    w.w_cnn = clamp(w.w_cnn + lr * err * (contrib.cnn - 0.5), 0.05, 0.6);
-    w.w_of = clamp(w.w_of + lr * err * (contrib.of - 0.5), 0.05, 0.6);
-    w.w_news = clamp(w.w_news + lr * err * (contrib.news - 0.5), 0.01, 0.3);
-    const s = w.w_ind + w.w_cnn + w.w_of + w.w_news;
-    w.w_ind /= s; w.w_cnn /= s; w.w_of /= s; w.w_news /= s;
-    _stats.adaptiveWeights = w;
+    trainScoped(_stats.adaptiveWeights, symbol, w => {
+      const lr = w.lr || 0.02;
+      w.w_ind = clamp(w.w_ind + lr * err * (contrib.ind - 0.5), 0.05, 0.8);
+      w.w_cnn = clamp(w.w_cnn + lr * err * (contrib.cnn - 0.5), 0.05, 0.6);
+      w.w_of = clamp(w.w_of + lr * err * (contrib.of - 0.5), 0.05, 0.6);
+      w.w_news = clamp(w.w_news + lr * err * (contrib.news - 0.5), 0.01, 0.3);
+      const s = w.w_ind + w.w_cnn + w.w_of + w.w_news;
+      w.w_ind /= s; w.w_cnn /= s; w.w_of /= s; w.w_news /= s;
+    });
     saveStats();
   } catch (e) {}
 }
@@ -191,39 +188,6 @@ function computeOrderFlowFeatures(candles) {
   return { delta, vel, sweep };
 }
 
-// deterministic candle vision fallback
-function candleVisionHeuristic(candles, lookback = 6) {
-  if (!Array.isArray(candles) || !candles.length) return { label: "Neutral", probs: { bull:33.33, bear:33.33, neutral:33.33 }, features: {} };
-  const last = candles.slice(-Math.min(lookback, candles.length));
-  const bodies = last.map(c => Math.abs((c.close||0) - (c.open||0)));
-  const ranges = last.map(c => (c.high||0) - (c.low||0));
-  const avgRange = mean(ranges) || 1;
-  const lastC = last[last.length-1];
-  const body = Math.abs((lastC.close||0) - (lastC.open||0)) || 1;
-  const lowerWick = Math.min(lastC.close, lastC.open) - lastC.low;
-  const upperWick = lastC.high - Math.max(lastC.close, lastC.open);
-  let bullScore = 0, bearScore = 0;
-  const momentum = (last[last.length-1].close - last[0].close) / Math.max(EPS, last[0].close);
-  bullScore += clamp(momentum * 10, -10, 10);
-  if (lowerWick > body * 1.8 && upperWick < body * 0.6) bullScore += 3;
-  if (upperWick > body * 1.8 && lowerWick < body * 0.6) bearScore += 3;
-  if (lastC.close > lastC.open && body > avgRange * 0.6) bullScore += 2;
-  if (lastC.open > lastC.close && body > avgRange * 0.6) bearScore += 2;
-  const vols = last.map(c => c.volume || 0);
-  const avgVol = mean(vols.slice(0, -1)) || 1;
-  const lastVol = vols[vols.length-1] || 0;
-  if (avgVol > 0 && lastVol > avgVol * 1.3) bullScore += 1.0;
-  let pb = clamp(50 + bullScore * 4, 0, 100);
-  let pr = clamp(50 + bearScore * 4, 0, 100);
-  let pn = clamp(100 - (pb + pr), 0, 100);
-  if (pn < 0) {
-    const s = pb + pr || 1; pb = (pb / s) * 100; pr = (pr / s) * 100; pn = 0;
-  }
-  pb = Math.round(pb * 100) / 100; pr = Math.round(pr * 100) / 100; pn = Math.round(pn * 100) / 100;
-  const label = pb > pr && pb > pn ? "Bullish" : pr > pb && pr > pn ? "Bearish" : "Neutral";
-  return { label, probs: { bull: pb, bear: pr, neutral: pn }, features: { momentum, lowerWick, upperWick, lastVol, avgVol } };
-}
-
 // ---------------- Indicator & fusion layer ----------------
 function indicatorLayer(feats) {
   if (!feats) return { score: 0.5, details: {} };
@@ -408,14 +372,11 @@ function pickSL(dir, price, feats, ell) {
   return dir === "Bullish" ? Number((price - atr * 1.9).toFixed(8)) : dir === "Bearish" ? Number((price + atr * 1.9).toFixed(8)) : Number((price - atr * 1.9).toFixed(8));
 }
 
-// ---------------- CNN wrapper (deterministic fallback) ----------------
+// ---------------- CNN layer (candle_cnn.js) ----------------
 async function cnnLayer(candles) {
   if (!candles || !candles.length) return { score: 0.5, label: "Neutral", probs: { bull:33.33, bear:33.33, neutral:33.33 }, features: {} };
-  if (useTF) {
-    // optional: if user has trained and placed model, they can plug in loading here
-    // fallback kept deterministic
-  }
-  return candleVisionHeuristic(candles);
+  const r = predictCNN(candles);
+  return { score: r.score, label: r.label, probs: r.probs, features: { trained: r.trained, version: r.version } };
 }
 
 // ---------------- MAIN predictor (stable dual-TP) ----------------
@@ -472,7 +433,8 @@ export async function runMLPrediction(symbol = "BTCUSDT", tfc = "15m", opts = {}
 
     // compose scores and fuse
     const scores = { ind: ind.score, cnn: (cnn.probs ? (cnn.probs.bull/100) : (cnn.score || 0.5)), of: ofScore, news: newsScore };
-    const fusion = fuseScores(scores, _stats.adaptiveWeights);
+    const scoped = scopedWeights(_stats.adaptiveWeights, symbol);
+    const fusion = fuseScores(scores, scoped.weights);
 
     // fused bull prob normalized
     const bullP = clamp(fusion.fused, 0.01, 0.99);
@@ -527,12 +489,15 @@ export async function runMLPrediction(symbol = "BTCUSDT", tfc = "15m", opts = {}
         stability: { lastUpdated: lastTPs[symbol]?.fused?.updatedAt ?? null }
       },
       rawLayers: { ind: ind.score, cnn: (cnn.score || 0.5), of: ofScore, news: newsScore },
-      adaptiveWeights: _stats.adaptiveWeights
+      adaptiveWeights: scoped.weights,
+      weightScope: { scope: scoped.scope, n: scoped.n }
     };
 
-    // record prediction
-    const id = `${symbol}_${tfc}_${Date.now()}`;
-    try { recordPrediction({ id, symbol, tf: tfc, ml: mlObj, meta: { scores } }); } catch (e) {}
+    // record prediction (opts.record === false: scans / replays leave no record)
+    if (opts.record !== false) {
+      const id = `${symbol}_${tfc}_${Date.now()}`;
+      try { recordPrediction({ id, symbol, tf: tfc, ml: mlObj, meta: { scores } }); } catch (e) {}
+    }
 
     return mlObj;
 
@@ -557,7 +522,7 @@ export async function runMicroPrediction(symbol = "BTCUSDT", tfc = "1m") {
     const of = computeOrderFlowFeatures(candles);
     const ofScore = clamp(0.5 + (of.delta || 0) / Math.max(1, feats.avgVol || 1) / 2, 0, 1);
     const scores = { ind: ind.score, cnn: (cnn.probs ? (cnn.probs.bull/100) : (cnn.score || 0.5)), of: ofScore, news: 0.5 };
-    const fused = fuseScores(scores);
+    const fused = fuseScores(scores, scopedWeights(_stats.adaptiveWeights, symbol).weights);
     const bull = fused.fused;
     const probBull = Math.round(bull * 10000) / 100;
     const probBear = Math.round((1 - bull) * 10000) / 100;
@@ -578,14 +543,15 @@ function normalizeSymbolsInput(symbols) {
 }
 
 /**
- * Run predictions for multiple symbols (sequential to avoid hammering data provider).
+ * Run predictions for multiple symbols — sequential by default to avoid hammering the data provider;
+ * opts.concurrency bounds how many run in parallel.
  * Returns { results: { symbol: mlObj }, errors: { symbol: error } }
  */
 export async function runMultiMarketPrediction(symbols = [], tfc = "15m", opts = {}) {
   const list = normalizeSymbolsInput(symbols);
   const results = {};
   const errors = {};
-  for (const s of list) {
+  await mapLimit(list, opts.concurrency || 1, async s => {
     try {
       // reuse runMLPrediction which handles single symbol
       const res = await runMLPrediction(s, tfc, opts);
@@ -593,7 +559,7 @@ export async function runMultiMarketPrediction(symbols = [], tfc = "15m", opts =
     } catch (err) {
       errors[s] = err?.toString?.() ?? String(err);
     }
-  }
+  });
   return { results, errors };
 }
 
@@ -619,22 +585,22 @@ export async function runMultiMicroPrediction(symbols = [], tfc = "1m", opts = {
 export async function trainAdaptive(batch = []) {
   try {
     if (!Array.isArray(batch) || !batch.length) return { ok: false, message: "no data" };
-    for (const b of batch) updateAdaptiveWeights(b.trueLabel, b.fusedProb, { breakdown: b.breakdown });
+    for (const b of batch) updateAdaptiveWeights(b.trueLabel, b.fusedProb, { breakdown: b.breakdown }, b.symbol);
     saveStats();
     return { ok: true, weights: _stats.adaptiveWeights };
   } catch (e) { return { ok: false, error: e?.toString?.() ?? String(e) }; }
 }
 
 // ---------------- Mark outcome ----------------
-export function markOutcome(symbol, alertId, success = true, trueLabel = null) {
+export function markOutcome(symbol, alertId, success = true, trueLabel = null, extra = {}) {
   try {
-    recordOutcome({ alertId, symbol, success, ts: new Date().toISOString() });
+    recordOutcome({ ...extra, alertId, symbol, success, trueLabel, ts: new Date().toISOString() });
     if (typeof trueLabel === "string") {
       const preds = readJsonSafe(PRED_FILE);
       const p = preds.find(px => px.id === alertId);
       if (p && p.meta && p.meta.scores) {
-        const fused = fuseScores(p.meta.scores, _stats.adaptiveWeights);
-        updateAdaptiveWeights(trueLabel, fused.fused, { breakdown: fused.breakdown });
+        const fused = fuseScores(p.meta.scores, scopedWeights(_stats.adaptiveWeights, symbol).weights);
+        updateAdaptiveWeights(trueLabel, fused.fused, { breakdown: fused.breakdown }, symbol);
         saveStats();
       }
     }
@@ -642,13 +608,28 @@ export function markOutcome(symbol, alertId, success = true, trueLabel = null) {
   } catch (e) { return false; }
 }
 
+// recorded predictions (outcome_resolver.js walks these)
+export function listPredictions() {
+  return readJsonSafe(PRED_FILE).concat(memPreds || []);
+}
+
 // ---------------- Stats utils ----------------
 export function getStats() {
   const acc = calculateAccuracy();
   return { ..._stats, accuracy: acc };
 }
+// adaptive blend weights (model_registry.js snapshots / restores them)
+export function getAdaptiveWeights() {
+  return JSON.parse(JSON.stringify(_stats.adaptiveWeights || {}));
+}
+// replaces the whole set (markets / symbols included) so a restored snapshot keeps none of the newer entries
+export function setAdaptiveWeights(w = {}) {
+  _stats.adaptiveWeights = { ...defaultAdaptiveWeights(), ...JSON.parse(JSON.stringify(w || {})) };
+  saveStats();
+  return { ..._stats.adaptiveWeights };
+}
 export function resetStats() {
-  _stats = { total: 0, wins: 0, losses: 0, alerts: [], adaptiveWeights: _stats.adaptiveWeights || { w_ind:0.45,w_cnn:0.25,w_of:0.2,w_news:0.1,lr:0.02 }, lastUpdated: null, accuracyCache: null };
+  _stats = { total: 0, wins: 0, losses: 0, alerts: [], adaptiveWeights: _stats.adaptiveWeights || defaultAdaptiveWeights(), lastUpdated: null, accuracyCache: null };
   saveStats();
   lastTPs = {};
   saveLastTPs();
@@ -658,6 +639,7 @@ export function resetStats() {
 // ---------------- Default export ----------------
 const defaultExport = {
   runMLPrediction, runMicroPrediction, runMultiMarketPrediction, runMultiMicroPrediction,
-  calculateAccuracy, recordPrediction, recordOutcome, markOutcome, getStats, trainAdaptive, resetStats
+  calculateAccuracy, recordPrediction, recordOutcome, markOutcome, listPredictions, getStats, trainAdaptive, resetStats,
+  getAdaptiveWeights, setAdaptiveWeights
 };
 export default defaultExport;
\ No newline at end of file
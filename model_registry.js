@@ -0,0 +1,201 @@
+// model_registry.js — Versioned snapshots of the learned model state
+// - A snapshot holds the ml_module_v15 model + fusion weights and the ml_module_v8_6 adaptive weights,
+//   with a timestamp id, a note and the live metrics at snapshot time
+// - promote <id>: snapshot the current live state, then load <id> into the modules generateMergeSignal uses
+// - rollback: return to the state that was live before the last promote (stack of previous versions)
+// - shadow <id>: score a frozen version next to the live one on every analysis; compareShadow() reports
+//   accuracy / Brier of both on the analyses that have been labelled since (labels.jsonl)
+// - resetModels: snapshot first, then reset — nothing learned is lost
+// - Stored under CONFIG.MODEL_REGISTRY.DIR (cache/model_registry): index.json + one <id>.json per version
+// - Exports: snapshotModels, listVersions, getVersion, promoteVersion, rollbackModel, setShadow,
+//            compareShadow, resetModels, initRegistry
+
+import fs from "fs";
+import path from "path";
+import CONFIG from "./config.js";
+import V15 from "./ml_module_v15.js";
+import * as V86 from "./ml_module_v8_6.js";
+
+const OPTS = Object.assign({
+  DIR: path.join(CONFIG.PATHS.CACHE_DIR, "model_registry"),
+  KEEP: 50
+}, CONFIG.MODEL_REGISTRY || {});
+if (!fs.existsSync(OPTS.DIR)) fs.mkdirSync(OPTS.DIR, { recursive: true });
+
+const INDEX_FILE = path.join(OPTS.DIR, "index.json");
+const fileOf = id => path.join(OPTS.DIR, `${id}.json`);
+
+let _index = null; // { active, shadow, previous: [ids], versions: [{ id, createdAt, note, source, metrics }] }
+
+// ---------------- persistence ----------------
+function load() {
+  if (_index) return _index;
+  _index = { active: null, shadow: null, previous: [], versions: [] };
+  try {
+    if (fs.existsSync(INDEX_FILE)) _index = Object.assign(_index, JSON.parse(fs.readFileSync(INDEX_FILE, "utf8")));
+  } catch (e) {}
+  return _index;
+}
+
+function save() {
+  try { fs.writeFileSync(INDEX_FILE, JSON.stringify(_index, null, 2), "utf8"); return true; } catch (e) { return false; }
+}
+
+// drop the oldest snapshots beyond KEEP (active, shadow and rollback targets are kept)
+function prune() {
+  const idx = load();
+  const pinned = new Set([idx.active, idx.shadow, ...idx.previous].filter(Boolean));
+  while (idx.versions.length > OPTS.KEEP) {
+    const victim = idx.versions.find(v => !pinned.has(v.id));
+    if (!victim) break;
+    idx.versions = idx.versions.filter(v => v !== victim);
+    try { fs.unlinkSync(fileOf(victim.id)); } catch (e) {}
+  }
+}
+
+// ---------------- metrics ----------------
+const round = (v, d = 4) => (Number.isFinite(v) ? Number(v.toFixed(d)) : null);
+
+// accuracy + Brier of a bull probability against labelled outcomes
+function score(rows, probOf) {
+  let n = 0, correct = 0, brier = 0;
+  for (const r of rows) {
+    const p = probOf(r);
+    if (!Number.isFinite(p)) continue;
+    const y = r.trueLabel === "Bullish" ? 1 : 0;
+    n++;
+    if ((p >= 0.5 ? 1 : 0) === y) correct++;
+    brier += (p - y) ** 2;
+  }
+  return { n, accuracy: n ? round(correct / n) : null, brier: n ? round(brier / n) : null };
+}
+
+// live metrics for the version currently loaded (labelled analyses tagged with it)
+function liveMetrics() {
+  const version = V15.getStats().model.version;
+  const rows = V15.loadDataset().filter(r => (r.model || null) === version);
+  const s = V15.getStats();
+  return {
+    v15: { ...score(rows, r => r.blended), trained: s.model.trained, dim: s.model.dim, schema: s.model.schema, analyses: s.stats.analyses },
+    v8_6: V86.calculateAccuracy()
+  };
+}
+
+// ---------------- Public API ----------------
+/**
+ * snapshotModels({ note, source }) -> version entry { id, createdAt, note, source, metrics }
+ */
+export function snapshotModels({ note = "", source = "manual" } = {}) {
+  const idx = load();
+  const createdAt = new Date().toISOString();
+  let id = createdAt.replace(/[-:]/g, "").replace(/\..*$/, "");
+  for (let i = 2; idx.versions.some(v => v.id === id); i++) id = `${id.split("_")[0]}_${i}`;
+
+  const entry = { id, createdAt, note: String(note || ""), source, metrics: liveMetrics() };
+  const snap = { ...entry, v15: V15.exportModelState(), v8_6: { adaptiveWeights: V86.getAdaptiveWeights() } };
+  fs.writeFileSync(fileOf(id), JSON.stringify(snap), "utf8");
+  idx.versions.push(entry);
+  prune();
+  save();
+  return { ...entry };
+}
+
+export function listVersions() {
+  const idx = load();
+  return idx.versions.map(v => ({ ...v, active: v.id === idx.active, shadow: v.id === idx.shadow }));
+}
+
+// full snapshot (model weights included) or null
+export function getVersion(id) {
+  try { return JSON.parse(fs.readFileSync(fileOf(id), "utf8")); } catch (e) { return null; }
+}
+
+function apply(id) {
+  const snap = getVersion(id);
+  if (!snap) return { ok: false, error: `unknown version ${id}` };
+  const r = V15.applyModelState(snap.v15, id);
+  if (!r.ok) return r;
+  if (snap.v8_6?.adaptiveWeights) V86.setAdaptiveWeights(snap.v8_6.adaptiveWeights);
+  return { ok: true };
+}
+
+/**
+ * promoteVersion(id) — make <id> the live model; the state it replaces is snapshotted for rollback
+ */
+export function promoteVersion(id, { note = "" } = {}) {
+  const idx = load();
+  if (!getVersion(id)) return { ok: false, error: `unknown version ${id}` };
+  const before = snapshotModels({ note: note || `before promoting ${id}`, source: "pre-promote" });
+  const r = apply(id);
+  if (!r.ok) return r;
+  idx.previous = [...idx.previous, before.id].slice(-20);
+  idx.active = id;
+  if (idx.shadow === id) { idx.shadow = null; V15.setShadowModel(null); }
+  save();
+  return { ok: true, active: id, previous: before.id };
+}
+
+// back to the state that was live before the last promote
+export function rollbackModel() {
+  const idx = load();
+  const prev = idx.previous.at(-1);
+  if (!prev) return { ok: false, error: "nothing to roll back to" };
+  const r = apply(prev);
+  if (!r.ok) return r;
+  idx.previous = idx.previous.slice(0, -1);
+  idx.active = prev;
+  save();
+  return { ok: true, active: prev };
+}
+
+// shadow-score <id> on every analysis (null / "off" stops it)
+export function setShadow(id = null) {
+  const idx = load();
+  if (!id || id === "off") {
+    idx.shadow = null;
+    V15.setShadowModel(null);
+    save();
+    return { ok: true, shadow: null };
+  }
+  const snap = getVersion(id);
+  if (!snap) return { ok: false, error: `unknown version ${id}` };
+  const r = V15.setShadowModel(snap.v15, id);
+  if (!r.ok) return r;
+  idx.shadow = id;
+  save();
+  return { ok: true, shadow: id };
+}
+
+/**
+ * compareShadow() — live vs shadow on the labelled analyses both scored
+ * -> { ok, shadow, live: { n, accuracy, brier }, candidate: { n, accuracy, brier } }
+ */
+export function compareShadow(id = load().shadow) {
+  if (!id) return { ok: false, error: "no shadow version" };
+  const rows = V15.loadDataset().filter(r => r.shadow?.version === id);
+  return { ok: true, shadow: id, live: score(rows, r => r.blended), candidate: score(rows, r => r.shadow.blended) };
+}
+
+// snapshot, then reset both modules' learned state
+export function resetModels({ note = "before reset" } = {}) {
+  const snap = snapshotModels({ note, source: "pre-reset" });
+  V15.resetModel();
+  V86.resetStats();
+  const idx = load();
+  idx.previous = [...idx.previous, snap.id].slice(-20);
+  idx.active = null;
+  save();
+  return { ok: true, snapshot: snap.id };
+}
+
+// restore shadow mode after a restart (the live state itself is already on disk)
+export function initRegistry() {
+  const idx = load();
+  if (idx.shadow && !setShadow(idx.shadow).ok) { idx.shadow = null; save(); }
+  return { active: idx.active, shadow: idx.shadow };
+}
+
+export default {
+  snapshotModels, listVersions, getVersion, promoteVersion, rollbackModel, setShadow,
+  compareShadow, resetModels, initRegistry
+};
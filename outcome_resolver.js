@@ -0,0 +1,212 @@
+// outcome_resolver.js — Automatic outcome labelling for recorded predictions
+// - Walks ml_module_v8_6 predictions (merge signals, reversal alerts, runMLPrediction) and ml_module_v15
+//   analysis history once their horizon has passed (or TP/SL was already hit)
+// - Replays the candles after the prediction: TP vs SL, whichever is hit first
+//   (SL first when one bar touches both, as in backtest.js); without a hit — or without
+//   TP/SL at all — the direction after HORIZON_BARS decides
+// - Writes v8_6 outcomes via markOutcome -> recordOutcome (accuracy + adaptive weights)
+//   and v15 outcomes via markOutcome (fusion weights)
+// - Only labelled when the fetched candles start at the prediction (bar at/before it, next bar within one TF);
+//   older predictions the window no longer reaches are skipped, never labelled from unrelated bars
+// - Resolved ids kept in CONFIG.OUTCOMES.STATE_FILE so each prediction is labelled once
+// - Exports: resolveOutcomes, labelPrediction, startOutcomeResolver, stopOutcomeResolver
+
+import fs from "fs";
+import path from "path";
+import CONFIG from "./config.js";
+import { fetchMultiTF, tfToMs } from "./utils.js";
+import * as V86 from "./ml_module_v8_6.js";
+import V15 from "./ml_module_v15.js";
+
+const OPTS = Object.assign({
+  STATE_FILE: path.join(CONFIG.PATHS.CACHE_DIR, "outcome_resolver.json"),
+  HORIZON_BARS: 16,
+  NEUTRAL_BAND_PCT: 0.25,
+  MAX_AGE_DAYS: 7,
+  CHECK_MS: 5 * 60_000,
+  CANDLE_LIMIT: 1000
+}, CONFIG.OUTCOMES || {});
+
+let _state = null;
+let _timer = null;
+let _running = false;
+
+// ---------------- persistence ----------------
+function loadState() {
+  if (_state) return _state;
+  _state = { resolved: {}, lastRun: null };
+  try {
+    if (fs.existsSync(OPTS.STATE_FILE)) _state = Object.assign(_state, JSON.parse(fs.readFileSync(OPTS.STATE_FILE, "utf8")));
+  } catch (e) {}
+  return _state;
+}
+
+function saveState() {
+  try { fs.writeFileSync(OPTS.STATE_FILE, JSON.stringify(_state), "utf8"); return true; } catch (e) { return false; }
+}
+
+// forget resolved keys older than MAX_AGE_DAYS (their predictions are no longer revisited)
+function pruneState(now) {
+  const cutoff = now - 2 * OPTS.MAX_AGE_DAYS * 86_400_000;
+  for (const [k, ts] of Object.entries(_state.resolved)) if (ts < cutoff) delete _state.resolved[k];
+}
+
+// ---------------- normalisation ----------------
+const num = v => (v == null || v === "" ? null : Number.isFinite(Number(v)) ? Number(v) : null);
+const dirOf = side => (/bull/i.test(side || "") ? 1 : /bear/i.test(side || "") ? -1 : 0);
+
+// v8_6 prediction -> { key, source, id, symbol, tf, dir, entry, tp, sl, ts }
+function fromV86(p) {
+  if (!p?.id || !p.symbol) return null;
+  const m = p.meta || {};
+  const ts = Date.parse(m.ts || p.recordedAt || "") || null;
+  if (p.source === "merge_signal" || p.side) {
+    return { key: `v86:${p.id}`, source: "v8_6", id: p.id, symbol: p.symbol, tf: p.tf || "15m", dir: dirOf(p.side), entry: num(p.price), tp: num(p.tp1), sl: num(p.sl), ts };
+  }
+  // reversal_watcher alert
+  if (m.side) {
+    return { key: `v86:${p.id}`, source: "v8_6", id: p.id, symbol: p.symbol, tf: "15m", dir: dirOf(m.side), entry: num(m.price), tp: num(m.tpPrimary), sl: num(m.sl), ts };
+  }
+  // runMLPrediction (entry: close at prediction time)
+  if (p.ml?.direction) {
+    return { key: `v86:${p.id}`, source: "v8_6", id: p.id, symbol: p.symbol, tf: p.tf || p.ml.tf || "15m", dir: dirOf(p.ml.direction), entry: null, tp: num(p.ml.tpEstimate), sl: num(p.ml.slEstimate), ts: ts || Date.parse(p.ml.generatedAt || "") || null };
+  }
+  return null; // not interpretable: left unlabelled rather than scored as direction-less
+}
+
+// v15 history entry (no TP/SL: direction only)
+function fromV15(h) {
+  const ts = Date.parse(h.ts || "") || null;
+  const id = h.id || `${h.symbol}_${h.tf}_${ts}`;
+  return { key: `v15:${id}`, source: "v15", id, symbol: h.symbol, tf: h.tf || "15m", dir: dirOf(h.dir), entry: num(h.price), tp: null, sl: null, ts };
+}
+
+// ---------------- labelling ----------------
+// does the candle window reach back to the prediction? "ok" | "pending" (no bar after it yet) |
+// "missing" (window starts later, or a gap follows it: labelling would use unrelated bars)
+function coverage(pred, candles, tfMs) {
+  if (!candles.length || candles[0].t > pred.ts) return "missing";
+  const first = candles.find(c => c.t >= pred.ts);
+  if (!first) return "pending";
+  return first.t - pred.ts < tfMs ? "ok" : "missing";
+}
+
+/**
+ * labelPrediction(pred, candles, now) -> null (not decidable yet, or candles do not cover it) |
+ *   { success, trueLabel, reason, exitPrice, bars, retPct }
+ */
+export function labelPrediction(pred, candles = [], now = Date.now()) {
+  const tfMs = tfToMs(pred.tf) || 900_000;
+  if (coverage(pred, candles, tfMs) !== "ok") return null;
+  // bars that opened at/after the prediction (the forming bar could leak pre-signal extremes)
+  const after = candles.filter(c => c.t >= pred.ts && c.t + tfMs <= now);
+  let entry = pred.entry;
+  if (!entry) {
+    const before = candles.filter(c => c.t <= pred.ts).at(-1);
+    entry = before ? Number(before.close) : null;
+  }
+  if (!entry) return null;
+
+  const horizon = after.slice(0, OPTS.HORIZON_BARS);
+  const hasLevels = pred.dir && pred.tp && pred.sl && (pred.tp - entry) * pred.dir > 0 && (entry - pred.sl) * pred.dir > 0;
+
+  if (hasLevels) {
+    for (let i = 0; i < horizon.length; i++) {
+      const c = horizon[i];
+      const hitSL = pred.dir > 0 ? c.low <= pred.sl : c.high >= pred.sl;
+      const hitTP = pred.dir > 0 ? c.high >= pred.tp : c.low <= pred.tp;
+      if (hitSL) return finish(pred, entry, false, pred.dir > 0 ? "Bearish" : "Bullish", "sl", pred.sl, i + 1);
+      if (hitTP) return finish(pred, entry, true, pred.dir > 0 ? "Bullish" : "Bearish", "tp", pred.tp, i + 1);
+    }
+  }
+
+  if (horizon.length < OPTS.HORIZON_BARS) return null; // horizon not over yet
+  const last = Number(horizon.at(-1).close);
+  const retPct = (last - entry) / entry * 100;
+  const trueLabel = Math.abs(retPct) < OPTS.NEUTRAL_BAND_PCT ? "Neutral" : retPct > 0 ? "Bullish" : "Bearish";
+  const success = pred.dir ? retPct * pred.dir > 0 : trueLabel === "Neutral";
+  return finish(pred, entry, success, trueLabel, "horizon", last, horizon.length);
+}
+
+function finish(pred, entry, success, trueLabel, reason, exitPrice, bars) {
+  return { success, trueLabel, reason, exitPrice, bars, entry, retPct: Number(((exitPrice - entry) / entry * 100 * (pred.dir || 1)).toFixed(4)) };
+}
+
+function writeOutcome(pred, out) {
+  if (pred.source === "v8_6") {
+    V86.markOutcome(pred.symbol, pred.id, out.success, out.trueLabel, {
+      tf: pred.tf, reason: out.reason, entry: out.entry, exitPrice: out.exitPrice, bars: out.bars, retPct: out.retPct, resolver: true
+    });
+  } else {
+    V15.markOutcome(pred.symbol, pred.id, out.success, out.trueLabel === "Neutral" ? null : out.trueLabel);
+  }
+}
+
+/**
+ * resolveOutcomes({ now }) — label every due prediction once
+ * returns { ok, checked, resolved, wins, losses, pending, skipped } (skipped: candles no longer reach back to it)
+ */
+export async function resolveOutcomes({ now = Date.now() } = {}) {
+  try {
+    const state = loadState();
+    const minTs = now - OPTS.MAX_AGE_DAYS * 86_400_000;
+    const preds = [
+      ...V86.listPredictions().map(fromV86),
+      ...V15.getHistory().map(fromV15)
+    ].filter(p => p && p.ts && p.ts >= minTs && !state.resolved[p.key]);
+
+    // one candle fetch per symbol/TF
+    const groups = new Map();
+    for (const p of preds) {
+      const k = `${p.symbol}|${p.tf}`;
+      if (!groups.has(k)) groups.set(k, []);
+      groups.get(k).push(p);
+    }
+
+    const res = { ok: true, checked: preds.length, resolved: 0, wins: 0, losses: 0, pending: 0, skipped: 0 };
+    for (const [k, list] of groups) {
+      const [symbol, tf] = k.split("|");
+      let candles = [];
+      try { candles = (await fetchMultiTF(symbol, [tf], { limit: OPTS.CANDLE_LIMIT }))[tf]?.data || []; } catch (e) {}
+      if (!candles.length) { res.pending += list.length; continue; }
+
+      for (const p of list) {
+        // the window only moves forward: a prediction it no longer covers is never labelled
+        if (coverage(p, candles, tfToMs(p.tf) || 900_000) === "missing") {
+          state.resolved[p.key] = p.ts;
+          res.skipped++;
+          continue;
+        }
+        const out = labelPrediction(p, candles, now);
+        if (!out) { res.pending++; continue; }
+        writeOutcome(p, out);
+        state.resolved[p.key] = p.ts;
+        res.resolved++;
+        if (out.success) res.wins++; else res.losses++;
+      }
+    }
+
+    pruneState(now);
+    state.lastRun = new Date(now).toISOString();
+    saveState();
+    return res;
+  } catch (e) {
+    return { ok: false, error: e?.message || String(e) };
+  }
+}
+
+export function startOutcomeResolver() {
+  stopOutcomeResolver();
+  _timer = setInterval(async () => {
+    if (_running) return;
+    _running = true;
+    try { await resolveOutcomes(); } catch (e) {} finally { _running = false; }
+  }, OPTS.CHECK_MS);
+  return true;
+}
+
+export function stopOutcomeResolver() {
+  if (_timer) { clearInterval(_timer); _timer = null; }
+}
+
+export default { resolveOutcomes, labelPrediction, startOutcomeResolver, stopOutcomeResolver };
@@ -0,0 +1,321 @@
+// paper_trading.js — Paper-trading ledger per chat
+// - Opens virtual positions from generateMergeSignal results (fusion.bias + tps) or
+//   reversal_watcher alerts (side + tps.primary + sl)
+// - Sizing: RISK_PCT of the account balance between entry and SL (capped at MAX_NOTIONAL_PCT)
+// - Monitored with utils.fetchPrice: SL, TP1 (partial, stop -> breakeven), TP2, timeout
+//   — same exit rules as backtest.js, applied to live ticks instead of bars
+// - Balance, open positions and closed-trade history persisted to CONFIG.PAPER.FILE
+// - Auto trading (per chat): signals the chat receives (maybeAutoOpen) and reversal alerts (maybeAutoOpenReversal)
+// - Exports: openPosition, openFromSignal, openFromReversal, maybeAutoOpen, maybeAutoOpenReversal, closePosition,
+//            checkPositions, getAccount, setAutoTrade, resetAccount, accountSummary, startPaperTrading, stopPaperTrading
+
+import fs from "fs";
+import path from "path";
+import CONFIG from "./config.js";
+import { fetchPrice, resolveMarket } from "./utils.js";
+
+const OPTS = Object.assign({
+  FILE: path.join(CONFIG.PATHS.CACHE_DIR, "paper_trading.json"),
+  START_BALANCE: 10_000,
+  RISK_PCT: 1,
+  MAX_NOTIONAL_PCT: 100,
+  PARTIAL: 0.5,
+  FEE_BPS: 4,
+  MAX_HOLD_MIN: 24 * 60,
+  CHECK_MS: 30_000,
+  AUTO_MIN_CONFIDENCE: 20,
+  HISTORY_LIMIT: 500
+}, CONFIG.PAPER || {});
+
+let _ledger = null; // { chatId: account }
+let _timer = null;
+let _running = false;
+
+const round = (v, d = 2) => Number(Number(v).toFixed(d));
+const isFiniteNum = v => typeof v === "number" && Number.isFinite(v);
+
+// ---------------- persistence ----------------
+function load() {
+  if (_ledger) return _ledger;
+  try {
+    _ledger = fs.existsSync(OPTS.FILE) ? JSON.parse(fs.readFileSync(OPTS.FILE, "utf8")) || {} : {};
+  } catch (e) {
+    _ledger = {};
+  }
+  return _ledger;
+}
+
+function save() {
+  try { fs.writeFileSync(OPTS.FILE, JSON.stringify(_ledger, null, 2), "utf8"); return true; } catch (e) { return false; }
+}
+
+function account(chatId) {
+  const all = load();
+  const key = String(chatId);
+  if (!all[key]) {
+    all[key] = {
+      balance: OPTS.START_BALANCE, startBalance: OPTS.START_BALANCE,
+      auto: false, autoMinConfidence: OPTS.AUTO_MIN_CONFIDENCE,
+      open: [], history: [], createdAt: Date.now()
+    };
+  }
+  return all[key];
+}
+
+// ---------------- Opening ----------------
+/**
+ * openPosition(chatId, { symbol, side, entry, tp1, tp2, sl, tf, source, confidence })
+ * -> { ok, position } | { ok:false, error }
+ */
+export function openPosition(chatId, { symbol, side, entry, tp1, tp2 = null, sl, tf = null, source = "manual", confidence = null }) {
+  try {
+    const acc = account(chatId);
+    const dir = side === "Bullish" ? 1 : side === "Bearish" ? -1 : 0;
+    entry = Number(entry); tp1 = Number(tp1); sl = Number(sl);
+    tp2 = tp2 == null ? null : Number(tp2);
+    if (!dir) return { ok: false, error: `no trade: bias is ${side || "neutral"}` };
+    if (![entry, tp1, sl].every(isFiniteNum) || (tp2 != null && !isFiniteNum(tp2))) return { ok: false, error: "missing entry/TP/SL" };
+    // targets on the wrong side of entry (e.g. Elliott targets) are not tradable
+    if ((tp1 - entry) * dir <= 0 || (entry - sl) * dir <= 0 || (tp2 != null && (tp2 - entry) * dir <= 0)) {
+      return { ok: false, error: "TP/SL on the wrong side of entry" };
+    }
+    if (acc.open.some(p => p.symbol === symbol)) return { ok: false, error: `${symbol} already has an open position` };
+
+    const riskAmt = acc.balance * OPTS.RISK_PCT / 100;
+    const qty = Math.min(riskAmt / Math.abs(entry - sl), acc.balance * OPTS.MAX_NOTIONAL_PCT / 100 / entry);
+    if (!(qty > 0)) return { ok: false, error: "balance exhausted" };
+
+    const pos = {
+      id: Math.random().toString(36).slice(2, 8),
+      symbol, market: resolveMarket(symbol), tf, side, dir,
+      entry, tp1, tp2, sl, stop: sl,
+      qty: round(qty, 8), remaining: 1, realized: 0, fees: 0,
+      tp1Hit: false, exits: [], lastPrice: entry,
+      source, confidence, openedAt: Date.now()
+    };
+    pos.fees = entryFee(pos);
+    acc.open.push(pos);
+    save();
+    return { ok: true, position: { ...pos } };
+  } catch (e) {
+    return { ok: false, error: e?.message || String(e) };
+  }
+}
+
+const entryFee = pos => pos.qty * pos.entry * OPTS.FEE_BPS / 10000;
+
+// generateMergeSignal(...).result
+export function openFromSignal(chatId, result, { tf = null, source = "signal" } = {}) {
+  if (!result) return { ok: false, error: "no signal" };
+  return openPosition(chatId, {
+    symbol: result.symbol,
+    side: result.fusion?.bias,
+    entry: Number(result.rawPrice ?? result.price),   // price is rounded to 2 dp for display
+    tp1: result.tps?.tp1, tp2: result.tps?.tp2, sl: result.tps?.sl,
+    tf, source, confidence: result.fusion?.confidence ?? null
+  });
+}
+
+// reversal_watcher detailedJSON ({ type: "reversal_alert", body }) — single target, full exit at TP
+export function openFromReversal(chatId, body, { source = "reversal" } = {}) {
+  if (!body) return { ok: false, error: "no alert" };
+  return openPosition(chatId, {
+    symbol: body.symbol, side: body.side, entry: body.price,
+    tp1: body.tps?.primary, tp2: null, sl: body.sl,
+    tf: "15m", source, confidence: body.tps?.confidence ?? null
+  });
+}
+
+// auto-open hook for freshly generated signals (only when the chat enabled auto trading)
+export function maybeAutoOpen(chatId, result, tf = null) {
+  const acc = load()[String(chatId)];
+  if (!acc?.auto || !result) return null;
+  if ((result.fusion?.confidence ?? 0) < acc.autoMinConfidence) return null;
+  if (acc.open.some(p => p.symbol === result.symbol)) return null;
+  const r = openFromSignal(chatId, result, { tf, source: "auto" });
+  return r.ok ? r.position : null;
+}
+
+// auto-open hook for reversal alerts: every chat with auto trading on; returns [{ chatId, type: "opened", position }]
+export function maybeAutoOpenReversal(body) {
+  if (!body?.symbol) return [];
+  const opened = [];
+  for (const [chatId, acc] of Object.entries(load())) {
+    if (!acc.auto || (body.tps?.confidence ?? 0) < acc.autoMinConfidence) continue;
+    if (acc.open.some(p => p.symbol === body.symbol)) continue;
+    const r = openFromReversal(chatId, body, { source: "auto-reversal" });
+    if (r.ok) opened.push({ chatId, type: "opened", position: r.position });
+  }
+  return opened;
+}
+
+// ---------------- Exits ----------------
+function exitPart(pos, price, fraction, reason) {
+  const qty = pos.qty * fraction;
+  pos.realized += (price - pos.entry) * pos.dir * qty;
+  pos.fees += qty * price * OPTS.FEE_BPS / 10000;
+  pos.remaining = round(Math.max(0, pos.remaining - fraction), 8);
+  pos.exits.push({ ts: Date.now(), price, fraction, reason });
+}
+
+function finalize(acc, pos) {
+  const pnl = pos.realized - pos.fees;
+  acc.balance = round(acc.balance + pnl, 2);
+  acc.open = acc.open.filter(p => p.id !== pos.id);
+  const closed = {
+    ...pos,
+    closedAt: Date.now(),
+    pnl: round(pnl, 2),
+    pnlPct: round(pnl / (pos.qty * pos.entry) * 100, 3),
+    r: round(pnl / (pos.qty * Math.abs(pos.entry - pos.sl)), 3),
+    reason: pos.exits.at(-1)?.reason
+  };
+  acc.history.push(closed);
+  if (acc.history.length > OPTS.HISTORY_LIMIT) acc.history.splice(0, acc.history.length - OPTS.HISTORY_LIMIT);
+  return closed;
+}
+
+// apply one price tick; returns [{ type: "tp1"|"closed", position }]
+function stepPosition(acc, pos, price) {
+  const events = [];
+  const hitStop = pos.dir > 0 ? price <= pos.stop : price >= pos.stop;
+  const hitTP1 = pos.dir > 0 ? price >= pos.tp1 : price <= pos.tp1;
+  const hitTP2 = pos.tp2 != null && (pos.dir > 0 ? price >= pos.tp2 : price <= pos.tp2);
+  pos.lastPrice = price;
+
+  if (hitStop) {
+    // stop is a market order: a gap through it fills at the tick price
+    const fill = pos.dir > 0 ? Math.min(price, pos.stop) : Math.max(price, pos.stop);
+    exitPart(pos, fill, pos.remaining, pos.tp1Hit ? "breakeven" : "sl");
+  } else if (!pos.tp1Hit && hitTP1) {
+    pos.tp1Hit = true;
+    exitPart(pos, pos.tp1, pos.tp2 == null ? pos.remaining : OPTS.PARTIAL, "tp1");
+    pos.stop = pos.entry; // runner protected at breakeven
+    if (pos.remaining > 0) events.push({ type: "tp1", position: { ...pos } });
+  } else if (pos.tp1Hit && hitTP2) {
+    exitPart(pos, pos.tp2, pos.remaining, "tp2");
+  } else if (Date.now() - pos.openedAt >= OPTS.MAX_HOLD_MIN * 60_000) {
+    exitPart(pos, price, pos.remaining, "timeout");
+  }
+
+  if (pos.remaining <= 0) events.push({ type: "closed", position: finalize(acc, pos) });
+  return events;
+}
+
+/**
+ * closePosition(chatId, id, price?) — manual close at `price` (default: current fetchPrice)
+ */
+export async function closePosition(chatId, id, price = null) {
+  try {
+    const found = account(chatId).open.find(p => p.id === id);
+    if (!found) return { ok: false, error: `no open position ${id}` };
+    const px = Number(price ?? await fetchPrice(found.symbol, found.market));
+    if (!isFiniteNum(px) || px <= 0) return { ok: false, error: "price unavailable" };
+    // checkPositions (or a reset) may have settled it while the price was fetched
+    const acc = account(chatId);
+    const pos = acc.open.find(p => p.id === id);
+    if (!pos) return { ok: false, error: `position ${id} already closed` };
+    exitPart(pos, px, pos.remaining, "manual");
+    const closed = finalize(acc, pos);
+    save();
+    return { ok: true, position: closed };
+  } catch (e) {
+    return { ok: false, error: e?.message || String(e) };
+  }
+}
+
+/**
+ * checkPositions(notifyFn) — one price per symbol, then step every open position
+ * notifyFn(chatId, event) for tp1 partials and closes
+ */
+export async function checkPositions(notifyFn = null) {
+  const all = load();
+  const symbols = new Map();
+  for (const acc of Object.values(all)) for (const p of acc.open) symbols.set(p.symbol, p.market);
+  if (!symbols.size) return 0;
+
+  const prices = {};
+  for (const [symbol, market] of symbols) {
+    try {
+      const px = await fetchPrice(symbol, market);
+      if (px != null && Number(px) > 0) prices[symbol] = Number(px);
+    } catch (e) {}
+  }
+
+  let n = 0;
+  for (const [chatId, acc] of Object.entries(all)) {
+    for (const pos of [...acc.open]) {
+      if (!(pos.symbol in prices) || !acc.open.includes(pos)) continue; // closed manually during a notify
+      for (const ev of stepPosition(acc, pos, prices[pos.symbol])) {
+        n++;
+        if (notifyFn) { try { await notifyFn(chatId, ev); } catch (e) {} }
+      }
+    }
+  }
+  save();
+  return n;
+}
+
+// ---------------- Accounts ----------------
+export function getAccount(chatId) {
+  const acc = account(chatId);
+  return JSON.parse(JSON.stringify(acc));
+}
+
+export function setAutoTrade(chatId, on, minConfidence = null) {
+  const acc = account(chatId);
+  acc.auto = !!on;
+  if (minConfidence != null && Number.isFinite(Number(minConfidence))) acc.autoMinConfidence = Number(minConfidence);
+  save();
+  return { auto: acc.auto, autoMinConfidence: acc.autoMinConfidence };
+}
+
+export function resetAccount(chatId, balance = OPTS.START_BALANCE) {
+  const all = load();
+  delete all[String(chatId)];
+  const acc = account(chatId);
+  acc.balance = acc.startBalance = Number(balance) || OPTS.START_BALANCE;
+  save();
+  return getAccount(chatId);
+}
+
+// P&L stats for /paper
+export function accountSummary(chatId) {
+  const acc = account(chatId);
+  const h = acc.history;
+  const wins = h.filter(t => t.pnl > 0);
+  const gross = h.reduce((s, t) => s + t.pnl, 0);
+  const unrealized = acc.open.reduce((s, p) => s + (p.lastPrice - p.entry) * p.dir * p.qty * p.remaining + p.realized - p.fees, 0);
+  return {
+    balance: acc.balance,
+    startBalance: acc.startBalance,
+    realizedPnl: round(gross, 2),
+    unrealizedPnl: round(unrealized, 2),
+    returnPct: round((acc.balance - acc.startBalance) / acc.startBalance * 100, 2),
+    trades: h.length,
+    winRate: h.length ? round(wins.length / h.length * 100, 1) : 0,
+    avgR: h.length ? round(h.reduce((s, t) => s + (t.r || 0), 0) / h.length, 3) : 0,
+    open: acc.open.map(p => ({ ...p })),
+    auto: acc.auto,
+    autoMinConfidence: acc.autoMinConfidence
+  };
+}
+
+export function startPaperTrading(notifyFn) {
+  stopPaperTrading();
+  _timer = setInterval(async () => {
+    if (_running) return;
+    _running = true;
+    try { await checkPositions(notifyFn); } catch (e) {} finally { _running = false; }
+  }, OPTS.CHECK_MS);
+  return true;
+}
+
+export function stopPaperTrading() {
+  if (_timer) { clearInterval(_timer); _timer = null; }
+}
+
+export default {
+  openPosition, openFromSignal, openFromReversal, maybeAutoOpen, maybeAutoOpenReversal, closePosition, checkPositions,
+  getAccount, setAutoTrade, resetAccount, accountSummary, startPaperTrading, stopPaperTrading
+};
@@ -0,0 +1,260 @@
+// price_alerts.js — Per-chat price / indicator alerts
+// - cross:     "BTCUSDT cross 70000" (also above / below) — price crosses a level
+// - move:      "ETHUSDT move 3% 1h" (also up / down)      — change vs the price `window` ago
+// - indicator: "BTCUSDT rsi 15m < 25" (rsi, atr, macd)    — computeIndicators threshold
+// - Edge-triggered: an alert fires when its condition turns true; "repeat" alerts re-arm once it
+//   is false again (and the cooldown passed), "once" alerts are removed after firing
+// - Prices from utils.fetchPrice, candles from fetchMultiTF; skipped while the market is closed
+// - Persisted to CONFIG.ALERTS.FILE (cache/price_alerts.json)
+// - Exports: parseAlertSpec, addAlert, removeAlert, listAlerts, describeAlert, checkAlerts,
+//            startAlerts, stopAlerts
+
+import fs from "fs";
+import path from "path";
+import CONFIG from "./config.js";
+import { fetchPrice, fetchMultiTF, resolveMarket, tfToMs } from "./utils.js";
+import { computeIndicators } from "./core_indicators.js";
+import { isMarketOpen } from "./scheduler.js";
+
+const OPTS = Object.assign({
+  FILE: path.join(CONFIG.PATHS.CACHE_DIR, "price_alerts.json"),
+  CHECK_MS: 30_000,
+  COOLDOWN_MIN: 15,
+  MAX_PER_CHAT: 30
+}, CONFIG.ALERTS || {});
+
+const INDICATORS = {
+  rsi: ind => ind.RSI,
+  atr: ind => ind.ATR,
+  macd: ind => ind.MACD?.hist
+};
+const OPS = { "<": "<", below: "<", ">": ">", above: ">" };
+const OP_WORDS = { "<": "below", ">": "above" };  // listings go out as Telegram HTML, where a raw "<" is rejected
+
+let _alerts = null;
+let _timer = null;
+let _running = false;
+
+// ---------------- persistence ----------------
+function load() {
+  if (_alerts) return _alerts;
+  try {
+    _alerts = fs.existsSync(OPTS.FILE) ? JSON.parse(fs.readFileSync(OPTS.FILE, "utf8")) || [] : [];
+  } catch (e) {
+    _alerts = [];
+  }
+  return _alerts;
+}
+
+function save() {
+  try { fs.writeFileSync(OPTS.FILE, JSON.stringify(_alerts, null, 2), "utf8"); return true; } catch (e) { return false; }
+}
+
+// ---------------- parsing ----------------
+const num = s => {
+  const v = Number(String(s ?? "").replace(/[,%]/g, ""));
+  return Number.isFinite(v) ? v : null;
+};
+
+/**
+ * parseAlertSpec("BTCUSDT cross 70000" | "ETHUSDT move 3% 1h" | "BTCUSDT rsi 15m < 25" [once|repeat])
+ * -> alert fields (throws with a user-facing message)
+ */
+export function parseAlertSpec(spec) {
+  const tokens = String(spec || "").trim().split(/\s+/).filter(Boolean);
+  let mode = "once";
+  if (/^(once|repeat)$/i.test(tokens.at(-1) || "")) mode = tokens.pop().toLowerCase();
+
+  const symbol = String(tokens.shift() || "").toUpperCase();
+  if (!resolveMarket(symbol)) throw new Error(`unknown symbol "${symbol}"`);
+  const kind = String(tokens.shift() || "").toLowerCase();
+
+  if (kind === "cross" || kind === "crosses" || kind === "above" || kind === "below") {
+    const level = num(tokens.shift());
+    if (level == null) throw new Error("use: <SYMBOL> cross|above|below <level>");
+    const dir = kind === "above" ? "up" : kind === "below" ? "down" : "any";
+    return { symbol, type: "cross", level, dir, mode };
+  }
+
+  if (kind === "move" || kind === "up" || kind === "down") {
+    const pct = num(tokens.shift());
+    const window = String(tokens.shift() || "1h").toLowerCase();
+    if (!pct || pct <= 0 || !tfToMs(window)) throw new Error("use: <SYMBOL> move|up|down <pct>% <window e.g. 1h>");
+    return { symbol, type: "move", pct, window, dir: kind === "move" ? "any" : kind, mode };
+  }
+
+  if (INDICATORS[kind]) {
+    let tf = "15m";
+    if (tfToMs(tokens[0])) tf = tokens.shift().toLowerCase();
+    if (/^(drops|rises|crosses)$/i.test(tokens[0] || "")) tokens.shift();
+    const op = OPS[String(tokens.shift() || "").toLowerCase()];
+    const value = num(tokens.shift());
+    if (!op || value == null) throw new Error(`use: <SYMBOL> ${kind} [tf] <|>|below|above <value>`);
+    return { symbol, type: "indicator", indicator: kind, tf, op, value, mode };
+  }
+
+  throw new Error("alert types: cross/above/below <level>, move/up/down <pct>% <window>, rsi/atr/macd [tf] <|> <value>");
+}
+
+// ---------------- Public API ----------------
+export function addAlert(chatId, fields) {
+  const all = load();
+  if (all.filter(a => a.chatId === String(chatId)).length >= OPTS.MAX_PER_CHAT) {
+    throw new Error(`max ${OPTS.MAX_PER_CHAT} alerts per chat`);
+  }
+  const alert = {
+    ...fields,
+    id: Math.random().toString(36).slice(2, 8),
+    chatId: String(chatId),
+    market: resolveMarket(fields.symbol),
+    cooldownMin: fields.cooldownMin ?? OPTS.COOLDOWN_MIN,
+    createdAt: Date.now(),
+    armed: true,
+    last: null,          // last observed price / indicator value
+    lastTriggerTs: 0,
+    triggers: 0
+  };
+  all.push(alert);
+  save();
+  return { ...alert };
+}
+
+export function removeAlert(chatId, id) {
+  const all = load();
+  const before = all.length;
+  _alerts = all.filter(a => !(a.chatId === String(chatId) && a.id === id));
+  if (_alerts.length !== before) save();
+  return before - _alerts.length;
+}
+
+export function listAlerts(chatId = null) {
+  return load().filter(a => chatId == null || a.chatId === String(chatId)).map(a => ({ ...a }));
+}
+
+export function describeAlert(a) {
+  const tail = `${a.mode === "repeat" ? "repeat" : "once"}${a.triggers ? ` · fired ${a.triggers}x` : ""}`;
+  if (a.type === "cross") return `${a.id} · ${a.symbol} ${a.dir === "up" ? "above" : a.dir === "down" ? "below" : "cross"} ${a.level} · ${tail}`;
+  if (a.type === "move") return `${a.id} · ${a.symbol} ${a.dir === "any" ? "move" : a.dir} ${a.pct}% in ${a.window} · ${tail}`;
+  return `${a.id} · ${a.symbol} ${a.indicator.toUpperCase()} ${a.tf} ${OP_WORDS[a.op] || a.op} ${a.value} · ${tail}`;
+}
+
+// ---------------- evaluation ----------------
+// close of the last candle at or before `ts` (small TFs for short windows)
+function priceAt(candles, ts) {
+  let ref = null;
+  for (const c of candles) {
+    if (c.t > ts) break;
+    ref = Number(c.close);
+  }
+  return ref;
+}
+
+function moveTF(window) {
+  const ms = tfToMs(window);
+  return ms <= 2 * 3_600_000 ? "1m" : ms <= 12 * 3_600_000 ? "5m" : "1h";
+}
+
+// { hit, value, text } for one alert given the fetched market snapshot
+function evaluate(a, snap) {
+  const price = snap.price;
+  if (a.type === "cross") {
+    if (!Number.isFinite(price)) return null;
+    const prev = Number.isFinite(a.last) ? a.last : price;
+    const up = prev < a.level && price >= a.level;
+    const down = prev > a.level && price <= a.level;
+    const hit = a.dir === "up" ? up : a.dir === "down" ? down : (up || down);
+    return { hit, value: price, text: `${a.symbol} ${up ? "crossed above" : "crossed below"} ${a.level} (now ${price})` };
+  }
+
+  if (a.type === "move") {
+    const candles = snap.candles[moveTF(a.window)] || [];
+    const ref = priceAt(candles, Date.now() - tfToMs(a.window));
+    if (!Number.isFinite(price) || !ref) return null;
+    const pct = (price - ref) / ref * 100;
+    const hit = a.dir === "up" ? pct >= a.pct : a.dir === "down" ? pct <= -a.pct : Math.abs(pct) >= a.pct;
+    return { hit, value: price, text: `${a.symbol} moved ${pct >= 0 ? "+" : ""}${pct.toFixed(2)}% in ${a.window} (${ref} → ${price})` };
+  }
+
+  const ind = snap.indicators[a.tf];
+  const v = ind ? Number(INDICATORS[a.indicator](ind)) : NaN;
+  if (!Number.isFinite(v)) return null;
+  const hit = a.op === "<" ? v < a.value : v > a.value;
+  return { hit, value: v, text: `${a.symbol} ${a.indicator.toUpperCase()} ${a.tf} = ${v} (${a.op} ${a.value})` };
+}
+
+// one fetch per symbol: price, candles for move windows, indicators for indicator TFs
+async function snapshot(symbol, market, alerts) {
+  const tfs = new Set();
+  for (const a of alerts) {
+    if (a.type === "move") tfs.add(moveTF(a.window));
+    if (a.type === "indicator") tfs.add(a.tf);
+  }
+  const snap = { price: null, candles: {}, indicators: {} };
+  const price = await fetchPrice(symbol, market);
+  snap.price = price == null ? NaN : Number(price);
+  if (tfs.size) {
+    const mtf = await fetchMultiTF(symbol, market, [...tfs]);
+    for (const tf of tfs) {
+      snap.candles[tf] = mtf[tf]?.data || [];
+      if (alerts.some(a => a.type === "indicator" && a.tf === tf)) snap.indicators[tf] = computeIndicators(snap.candles[tf]);
+    }
+  }
+  return snap;
+}
+
+/**
+ * checkAlerts(notifyFn) — evaluate every alert once; notifyFn(alert, text) for each trigger
+ */
+export async function checkAlerts(notifyFn) {
+  const bySymbol = new Map();
+  for (const a of load()) {
+    if (!bySymbol.has(a.symbol)) bySymbol.set(a.symbol, []);
+    bySymbol.get(a.symbol).push(a);
+  }
+
+  const fired = [];
+  for (const [symbol, alerts] of bySymbol) {
+    const market = alerts[0].market || resolveMarket(symbol);
+    if (!isMarketOpen(market)) continue;
+    let snap;
+    try { snap = await snapshot(symbol, market, alerts); } catch (e) { continue; }
+
+    for (const a of alerts) {
+      const r = evaluate(a, snap);
+      if (!r) continue;
+      a.last = r.value;
+      if (!r.hit) { a.armed = true; continue; }
+      const cooled = Date.now() - a.lastTriggerTs >= a.cooldownMin * 60_000;
+      if (!a.armed || !cooled) continue;
+
+      a.armed = false;
+      a.lastTriggerTs = Date.now();
+      a.triggers++;
+      fired.push(a);
+      try { await notifyFn({ ...a }, r.text); } catch (e) {}
+    }
+  }
+
+  const onceIds = new Set(fired.filter(a => a.mode !== "repeat").map(a => a.id));
+  _alerts = load().filter(a => !onceIds.has(a.id));
+  save();
+  return fired.length;
+}
+
+export function startAlerts(notifyFn) {
+  stopAlerts();
+  _timer = setInterval(async () => {
+    if (_running) return;
+    _running = true;
+    try { await checkAlerts(notifyFn); } catch (e) {} finally { _running = false; }
+  }, OPTS.CHECK_MS);
+  return true;
+}
+
+export function stopAlerts() {
+  if (_timer) { clearInterval(_timer); _timer = null; }
+}
+
+export default {
+  parseAlertSpec, addAlert, removeAlert, listAlerts, describeAlert, checkAlerts, startAlerts, stopAlerts
+};
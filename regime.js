@@ -0,0 +1,166 @@
+// regime.js — Shared market regime detector
+// - Volatility percentile: where the current ATR% sits among the last LOOKBACK bars' ATR%
+// - Trend strength: Wilder ADX (+DI / -DI give the trend direction)
+// - Persistence: Hurst-like exponent from the scaling of lagged log-price differences
+//   (> 0.5 trending / persistent, < 0.5 mean-reverting)
+// - Regimes: trending | volatile | ranging | calm | choppy | unknown (too few bars)
+// - Each regime selects a parameter profile (CONFIG.REGIMES.PROFILES, merged over DEFAULT):
+//   fusion weights (merge_signals buildFusion), fusion layer multipliers (ml_module_v15),
+//   TP / SL ATR multipliers (buildTPs) and reversal-watcher gate offsets
+// - Exports: detectRegime, regimeProfile, REGIMES
+
+import CONFIG from "./config.js";
+
+const OPTS = Object.assign({
+  LOOKBACK: 200,      // bars ranked for the volatility percentile
+  ATR_PERIOD: 14,
+  ADX_PERIOD: 14,
+  ADX_TREND: 25,      // ADX at/above: trend candidate
+  ADX_RANGE: 20,      // ADX below: range candidate
+  HURST_LAGS: [1, 2, 4, 8, 16],
+  VOL_HIGH: 0.8,      // percentile at/above: volatile
+  VOL_LOW: 0.2,       // percentile at/below: calm
+  MIN_BARS: 40,
+  PROFILES: {}
+}, CONFIG.REGIMES || {});
+
+export const REGIMES = ["trending", "volatile", "ranging", "calm", "choppy", "unknown"];
+
+const isFiniteNum = n => typeof n === "number" && Number.isFinite(n);
+const round = (v, d = 4) => (Number.isFinite(v) ? Number(v.toFixed(d)) : null);
+
+// ---------------- components ----------------
+function trueRanges(candles) {
+  const out = [];
+  for (let i = 1; i < candles.length; i++) {
+    const c = candles[i], pc = candles[i - 1].close;
+    out.push(Math.max(c.high - c.low, Math.abs(c.high - pc), Math.abs(c.low - pc)));
+  }
+  return out;
+}
+
+// rank of the latest ATR% (Wilder-smoothed) among the last `lookback` values, 0..1
+function volatilityPercentile(candles, period, lookback) {
+  const tr = trueRanges(candles);
+  if (tr.length < period * 2) return { volPercentile: null, atrPct: null };
+  let atr = tr.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  const series = [];
+  for (let i = period; i < tr.length; i++) {
+    atr = (atr * (period - 1) + tr[i]) / period;
+    const close = candles[i + 1].close;
+    if (close > 0) series.push(atr / close);
+  }
+  const hist = series.slice(-lookback);
+  const cur = hist.at(-1);
+  const below = hist.filter(v => v < cur).length;
+  const equal = hist.filter(v => v === cur).length;
+  return { volPercentile: (below + (equal - 1) / 2) / Math.max(1, hist.length - 1), atrPct: cur * 100 };
+}
+
+// Wilder ADX with +DI / -DI
+function adx(candles, period) {
+  if (candles.length < period * 2 + 1) return { adx: null, plusDI: null, minusDI: null };
+  let trS = 0, pS = 0, mS = 0, adxV = null;
+  const dxs = [];
+  for (let i = 1; i < candles.length; i++) {
+    const c = candles[i], p = candles[i - 1];
+    const up = c.high - p.high, down = p.low - c.low;
+    const pDM = up > down && up > 0 ? up : 0;
+    const mDM = down > up && down > 0 ? down : 0;
+    const tr = Math.max(c.high - c.low, Math.abs(c.high - p.close), Math.abs(c.low - p.close));
+    if (i <= period) { trS += tr; pS += pDM; mS += mDM; if (i < period) continue; }
+    else { trS = trS - trS / period + tr; pS = pS - pS / period + pDM; mS = mS - mS / period + mDM; }
+    const pDI = trS ? 100 * pS / trS : 0, mDI = trS ? 100 * mS / trS : 0;
+    const dx = pDI + mDI ? 100 * Math.abs(pDI - mDI) / (pDI + mDI) : 0;
+    if (adxV == null) {
+      dxs.push(dx);
+      if (dxs.length === period) adxV = dxs.reduce((a, b) => a + b, 0) / period;
+    } else {
+      adxV = (adxV * (period - 1) + dx) / period;
+    }
+  }
+  const pDI = trS ? 100 * pS / trS : 0, mDI = trS ? 100 * mS / trS : 0;
+  return { adx: adxV, plusDI: pDI, minusDI: mDI };
+}
+
+// slope of log(std of k-bar log-price changes) vs log(k): ~0.5 random walk
+function hurstExponent(closes, lags) {
+  const logs = closes.filter(c => c > 0).map(Math.log);
+  const pts = [];
+  for (const k of lags) {
+    if (logs.length < k * 4) continue;
+    const d = [];
+    for (let i = k; i < logs.length; i++) d.push(logs[i] - logs[i - k]);
+    const m = d.reduce((a, b) => a + b, 0) / d.length;
+    const sd = Math.sqrt(d.reduce((a, b) => a + (b - m) ** 2, 0) / d.length);
+    if (sd > 0) pts.push([Math.log(k), Math.log(sd)]);
+  }
+  if (pts.length < 3) return null;
+  const mx = pts.reduce((a, p) => a + p[0], 0) / pts.length;
+  const my = pts.reduce((a, p) => a + p[1], 0) / pts.length;
+  const num = pts.reduce((a, p) => a + (p[0] - mx) * (p[1] - my), 0);
+  const den = pts.reduce((a, p) => a + (p[0] - mx) ** 2, 0);
+  return den ? num / den : null;
+}
+
+// ---------------- Public API ----------------
+/**
+ * detectRegime(candles, opts) -> {
+ *   regime, volPercentile, atrPct, adx, plusDI, minusDI, hurst, trendDir,
+ *   volatility, trendFactor   // legacy fields of the old ml_module_v15 detector
+ * }
+ * candles: [{ high, low, close }] oldest first; only the last LOOKBACK + warm-up bars are used
+ */
+export function detectRegime(candles = [], opts = {}) {
+  const o = Object.assign({}, OPTS, opts);
+  const data = (Array.isArray(candles) ? candles : [])
+    .filter(c => c && isFiniteNum(+c.high) && isFiniteNum(+c.low) && isFiniteNum(+c.close))
+    .slice(-(o.LOOKBACK + o.ATR_PERIOD * 3))
+    .map(c => ({ high: +c.high, low: +c.low, close: +c.close }));
+  if (data.length < o.MIN_BARS) {
+    return { regime: "unknown", volPercentile: null, atrPct: null, adx: null, plusDI: null, minusDI: null, hurst: null, trendDir: 0, volatility: 0, trendFactor: 0 };
+  }
+
+  const closes = data.map(c => c.close);
+  const vol = volatilityPercentile(data, o.ATR_PERIOD, o.LOOKBACK);
+  const dm = adx(data, o.ADX_PERIOD);
+  const hurst = hurstExponent(closes.slice(-o.LOOKBACK), o.HURST_LAGS);
+  const trendDir = dm.plusDI == null ? 0 : dm.plusDI > dm.minusDI ? 1 : dm.plusDI < dm.minusDI ? -1 : 0;
+
+  const persistent = hurst == null || hurst >= 0.5;
+  let regime;
+  if (dm.adx != null && dm.adx >= o.ADX_TREND && persistent) regime = "trending";
+  else if (vol.volPercentile != null && vol.volPercentile >= o.VOL_HIGH) regime = "volatile";
+  else if (dm.adx != null && dm.adx < o.ADX_RANGE && !persistent) regime = "ranging";
+  else if (vol.volPercentile != null && vol.volPercentile <= o.VOL_LOW) regime = "calm";
+  else regime = "choppy";
+
+  const last20 = closes.slice(-20);
+  return {
+    regime,
+    volPercentile: round(vol.volPercentile, 3),
+    atrPct: round(vol.atrPct),
+    adx: round(dm.adx, 2),
+    plusDI: round(dm.plusDI, 2),
+    minusDI: round(dm.minusDI, 2),
+    hurst: round(hurst, 3),
+    trendDir,
+    volatility: round(vol.atrPct / 100, 6) ?? 0,
+    trendFactor: round((last20.at(-1) - last20[0]) / (last20[0] || 1), 6) ?? 0
+  };
+}
+
+/**
+ * regimeProfile(regime) -> { fusion, layers, tp, reversal } for a regime name or detectRegime() result;
+ * the regime's entries are merged over PROFILES.DEFAULT (unknown regimes get DEFAULT)
+ */
+export function regimeProfile(regime) {
+  const name = typeof regime === "string" ? regime : regime?.regime;
+  const base = OPTS.PROFILES.DEFAULT || {};
+  const own = (name && OPTS.PROFILES[name]) || {};
+  const out = {};
+  for (const k of new Set([...Object.keys(base), ...Object.keys(own)])) out[k] = { ...(base[k] || {}), ...(own[k] || {}) };
+  return out;
+}
+
+export default { detectRegime, regimeProfile, REGIMES };
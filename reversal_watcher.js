@@ -1,19 +1,25 @@
 // reversal_watcher_pro_v3.js
 // Reversal Watcher PRO V3 (single-file final)
-// Exports: startReversalWatcher, stopReversalWatcher, scanReversal, markOutcome, getStats
+// Exports: startReversalWatcher, stopReversalWatcher, scanReversal, markOutcome, getStats, recentAlerts, reversalScore, reversalEvents
+// Every alert is also emitted as reversalEvents "alert" { type: "reversal_alert", body } (ws_server.js)
 //
 // Requirements: place this file alongside:
 // - ml_module_v8_6.js (contains runMLPrediction, runMicroPrediction, recordPrediction, recordOutcome, calculateAccuracy)
 // - elliott_module.js (export analyzeElliott)
 // - utils.js (export fetchMultiTF)
 // - news_social.js (either default { fetchNewsBundle } or named fetchNewsBundle)
+// - binance_stream.js (optional: scans on 15m candle close while the stream is live, polling otherwise)
+// - regime.js (15m market regime; its profile offsets scoreGate / mlMinConfidence)
 
 import fs from "fs";
 import path from "path";
+import { EventEmitter } from "events";
 import { fetchMultiTF } from "./utils.js";
 import * as MLmodule from "./ml_module_v8_6.js"; // expects runMLPrediction, runMicroPrediction, recordPrediction, recordOutcome, calculateAccuracy
 import { analyzeElliott } from "./elliott_module.js";
 import * as News from "./news_social.js"; // robust import
+import { onCandleClosed, isStreamed } from "./binance_stream.js";
+import { detectRegime, regimeProfile } from "./regime.js";
 
 // Resolve fetchNewsBundle robustly
 const fetchNewsBundle = (News && (News.fetchNewsBundle || (News.default && News.default.fetchNewsBundle)))
@@ -51,11 +57,16 @@ const DEFAULTS = {
   requireOrderBlockOrFVG: false,
   requireHiddenDivergence: false,
   verbose: false,
+  useStream: true, // react to 15m candle-close events when the symbol is streamed
   microConfirmWindowMs: 60_000,
   scoreGate: 0.6 // final gate to fire alert
 };
 
+export const reversalEvents = new EventEmitter();
+reversalEvents.setMaxListeners(50);
+
 let _interval = null;
+let _unsubscribe = null;
 let _sendFunc = null;
 let _opts = {};
 const memory = { lastSignature: "", lastAlertTs: 0, lastCandleTS: 0 };
@@ -254,6 +265,52 @@ function momentumShiftScore(feats) {
   return clamp((rsiDelta * 0.5) + (macdDelta * 0.4) + (volDelta * 0.6), -3, 3);
 }
 
+// momentum / volume / structure around the confirmed (penultimate) 15m candle
+function reversalFeatures(candles15) {
+  const confirm = candles15.at(-2);
+  const rsiNow = computeRSIFromCandles(candles15,14);
+  const rsiPrev = computeRSIFromCandles(candles15.slice(0,-1),14);
+  const macdNow = computeMACDHistApprox(candles15);
+  const macdPrev = computeMACDHistApprox(candles15.slice(0,-1));
+  const lastVols = candles15.slice(-20).map(c=>c.volume||0);
+  const volNow = confirm?.volume || 0;
+  const volAvg = mean(lastVols.slice(0,-1)) || 1;
+  const feats = { rsiNow, rsiPrev, macdNow, macdPrev, volNow, volAvg };
+
+  const last12Vol = candles15.slice(-12).map(c=>c.volume||0);
+  const avgVol12 = mean(last12Vol.slice(0,-1)) || 1;
+
+  return {
+    feats,
+    momentumShift: momentumShiftScore(feats),
+    orderBlock: detectOrderBlock(candles15.slice(-9,-1), confirm),
+    fvg: detectFVG(candles15,6),
+    sweep: detectLiquiditySweep(candles15,12),
+    volSpike: last12Vol.at(-2) / Math.max(1, avgVol12)
+  };
+}
+
+// ML alignment + momentum + volume + structure (scan adds news and micro confirmation on top)
+function baseReversalScore({ side, mlDir, mlMaxProb, threshold, momentumShift, volSpike, orderBlock, fvg, sweep, hiddenDiv }) {
+  let score = 0;
+  // ml alignment
+  if ((mlDir === "Bullish" && side === "Bullish") || (mlDir === "Bearish" && side === "Bearish")) {
+    score += clamp((mlMaxProb - threshold) / 10, -2, 3);
+  } else {
+    score -= clamp((threshold - mlMaxProb) / 20, 0, 2);
+  }
+  // momentum shift
+  score += clamp(momentumShift * 0.9, -2, 2);
+  // volume spike
+  score += clamp(volSpike - 1, 0, 3) * 0.5;
+  // structural bonuses
+  if (orderBlock) score += 0.8;
+  if (fvg) score += 0.6;
+  if (sweep) score += 0.9;
+  if (hiddenDiv) score += 0.9;
+  return score;
+}
+
 // -------------------- TP/SL helper (hybrid fallback) --------------------
 function buildCandidateTPsFromElliottOrAtr(ell, price, feats) {
   const out = [];
@@ -326,7 +383,7 @@ function buildAlertPayload(meta) {
     `Pattern: ${meta.pattern}`,
     `Price: ${nf(meta.price,2)}`,
     `ML: ${meta.mlDir || "N/A"} (${nf(meta.mlProb,2)}%)`,
-    `Score: ${nf(meta.score,3)}`,
+    `Score: ${nf(meta.score,3)} (gate ${nf(meta.scoreGate,2)}, ${meta.regime || "unknown"} regime)`,
     `TP (Primary): ${nf(meta.tpPrimary,2)} (${meta.tpPrimarySource||"N/A"})`,
     `TP (Hedge): ${nf(meta.tpHedge,2)} (${meta.tpHedgeSource||"N/A"})`,
     `SL: ${nf(meta.sl,2)}`,
@@ -341,6 +398,7 @@ function buildAlertPayload(meta) {
     price: meta.price,
     pattern: meta.pattern,
     score: meta.score,
+    regime: meta.regime || null,
     ml: { dir: meta.mlDir, probs: meta.mlProbs, maxProb: meta.mlMaxProb, tpEstimate: meta.mlTpEstimate },
     micro: meta.micro || null,
     news: { sentiment: meta.newsSentiment, impact: meta.newsImpact },
@@ -353,6 +411,7 @@ function buildAlertPayload(meta) {
 }
 
 async function sendAlertPayload(payload) {
+  try { reversalEvents.emit("alert", { type: "reversal_alert", body: payload.detailedJSON }); } catch (e) {}
   if (!_sendFunc) return false;
   try {
     // Prefer sending compact text first, then full JSON if sendFunc supports objects
@@ -386,8 +445,14 @@ async function scan(symbol) {
     const confirm = candles15.at(-2); // penultimate confirmed candle
     if (!confirm) return null;
     const price = confirm.close;
-    if (confirm.time === memory.lastCandleTS) return null;
-    memory.lastCandleTS = confirm.time;
+    const confirmTS = confirm.t ?? confirm.time;
+    if (confirmTS === memory.lastCandleTS) return null;
+    memory.lastCandleTS = confirmTS;
+
+    // regime gates: reversals are held to a higher bar in trends, a lower one in ranges
+    const regime = detectRegime(candles15.slice(0, -1));
+    const gates = regimeProfile(regime).reversal || {};
+    const scoreGate = _opts.scoreGate + (gates.scoreGate || 0);
 
     // pattern detection
     const patternObj = detectCandlePattern(confirm);
@@ -401,23 +466,8 @@ async function scan(symbol) {
     if (side === "Bullish" && downWick < body * 0.45) { if (_opts.verbose) console.log("bull wick small"); return null; }
     if (side === "Bearish" && upWick < body * 0.45) { if (_opts.verbose) console.log("bear wick small"); return null; }
 
-    // compute features
-    const rsiNow = computeRSIFromCandles(candles15,14);
-    const rsiPrev = computeRSIFromCandles(candles15.slice(0,-1),14);
-    const macdNow = computeMACDHistApprox(candles15);
-    const macdPrev = computeMACDHistApprox(candles15.slice(0,-1));
-    const lastVols = candles15.slice(-20).map(c=>c.volume||0);
-    const volNow = candles15.at(-2)?.volume || 0;
-    const volAvg = mean(lastVols.slice(0,-1)) || 1;
-    const feats = { rsiNow, rsiPrev, macdNow, macdPrev, volNow, volAvg };
-
-    const momentumShift = momentumShiftScore(feats);
-
-    // other structural checks
-    const preCandles = candles15.slice(-9,-1);
-    const orderBlock = detectOrderBlock(preCandles, confirm);
-    const fvg = detectFVG(candles15,6);
-    const sweep = detectLiquiditySweep(candles15,12);
+    // compute features + structural checks
+    const { momentumShift, orderBlock, fvg, sweep, volSpike } = reversalFeatures(candles15);
     let hiddenDiv = null;
     if (_opts.requireHiddenDivergence) {
       hiddenDiv = detectHiddenDivergence(candles15, 8);
@@ -429,9 +479,6 @@ async function scan(symbol) {
     }
 
     // volume structure
-    const last12Vol = candles15.slice(-12).map(c=>c.volume||0);
-    const avgVol12 = mean(last12Vol.slice(0,-1)) || 1;
-    const volSpike = last12Vol.at(-2) / Math.max(1, avgVol12);
     if (_opts.requireVolumeStructure && volSpike < 1.15) { if (_opts.verbose) console.log("volume condition fail"); return null; }
 
     // multi TF alignment
@@ -454,7 +501,7 @@ async function scan(symbol) {
     const mlTpEstimate = ml.tpEstimate ?? ml.tpEstimate ?? null;
 
     // adaptive threshold + micro
-    const threshold = adaptiveThreshold(_opts.mlMinConfidence);
+    const threshold = adaptiveThreshold(_opts.mlMinConfidence + (gates.mlMinConfidence || 0));
     if (_opts.verbose) console.log("mlMaxProb", mlMaxProb, "threshold", threshold);
 
     // news
@@ -472,31 +519,16 @@ async function scan(symbol) {
     if (side === "Bearish" && micro.label && String(micro.label).toLowerCase().includes("bull")) { if (_opts.verbose) console.log("micro contradicts bearish"); return null; }
 
     // final scoring
-    let score = 0;
-    // ml alignment
-    if ((mlDir === "Bullish" && side === "Bullish") || (mlDir === "Bearish" && side === "Bearish")) {
-      score += clamp((mlMaxProb - threshold) / 10, -2, 3);
-    } else {
-      score -= clamp((threshold - mlMaxProb) / 20, 0, 2);
-    }
-    // momentum shift
-    score += clamp(momentumShift * 0.9, -2, 2);
-    // volume spike
-    score += clamp(volSpike - 1, 0, 3) * 0.5;
-    // structural bonuses
-    if (orderBlock) score += 0.8;
-    if (fvg) score += 0.6;
-    if (sweep) score += 0.9;
-    if (hiddenDiv) score += 0.9;
+    let score = baseReversalScore({ side, mlDir, mlMaxProb, threshold, momentumShift, volSpike, orderBlock, fvg, sweep, hiddenDiv });
     // news small boost
     score += clamp(newsScore * 0.6, -1, 1);
     // micro support
     if (micro && typeof micro.prob === "number" && micro.prob > 60) score += 0.7;
 
-    if (_opts.verbose) console.log("scan debug", { pattern: patternObj.name, side, mlDir, mlMaxProb, score });
+    if (_opts.verbose) console.log("scan debug", { pattern: patternObj.name, side, mlDir, mlMaxProb, score, regime: regime.regime, scoreGate });
 
     // gate
-    if (score < _opts.scoreGate) { if (_opts.verbose) console.log("score below gate"); return null; }
+    if (score < scoreGate) { if (_opts.verbose) console.log("score below gate"); return null; }
 
     // dedupe & cooldown
     const alertId = `${side}_${Math.floor(price)}_${Date.now()}`;
@@ -518,7 +550,7 @@ async function scan(symbol) {
       mlDir, mlProbs, mlMaxProb, mlTpEstimate,
       micro, newsSentiment: news.sentiment, newsImpact: news.impact,
       momentumShift, orderBlock, fvg, sweep, hiddenDiv,
-      score, tpPrimary: chosen.primary || null, tpHedge: chosen.hedge || null,
+      score, scoreGate, threshold, regime: regime.regime, tpPrimary: chosen.primary || null, tpHedge: chosen.hedge || null,
       tpPrimarySource: chosen.primarySource || null, tpHedgeSource: chosen.hedgeSource || null,
       tpConfidence: chosen.confidence || null,
       sl, rawML: ml
@@ -555,7 +587,12 @@ export function startReversalWatcher(symbol, opts = {}, sendFunc) {
     stopReversalWatcher();
     _opts = Object.assign({}, DEFAULTS, opts || {});
     _sendFunc = sendFunc;
-    _interval = setInterval(()=>{ scan(symbol).catch(()=>{}); }, _opts.pollIntervalMs);
+    // candle-close events while the stream is live; the poll timer stays as fallback and skips live ticks
+    if (_opts.useStream) _unsubscribe = onCandleClosed(() => scan(symbol), { symbol, tf: "15m" });
+    _interval = setInterval(()=>{
+      if (_opts.useStream && isStreamed(symbol, "15m")) return;
+      scan(symbol).catch(()=>{});
+    }, _opts.pollIntervalMs);
     // warm start
     setTimeout(()=>scan(symbol).catch(()=>{}), 800);
     if (_opts.verbose) console.log("ReversalWatcher PRO V3 started for", symbol, "opts:", _opts);
@@ -568,6 +605,7 @@ export function startReversalWatcher(symbol, opts = {}, sendFunc) {
 
 export function stopReversalWatcher() {
   if (_interval) { clearInterval(_interval); _interval = null; }
+  if (_unsubscribe) { _unsubscribe(); _unsubscribe = null; }
   _sendFunc = null;
   if (_opts.verbose) console.log("ReversalWatcher PRO V3 stopped");
 }
@@ -585,7 +623,7 @@ export function markOutcome(symbol, alertId, success = true, trueLabel = null) {
     try { recordOutcome({ alertId, symbol, success, ts: nowISO() }); } catch (e) {}
     // optionally update adaptive weights in ML module if trueLabel provided
     if (typeof trueLabel === "string" && typeof MLmodule.trainAdaptive === "function") {
-      try { MLmodule.trainAdaptive([{ trueLabel, fusedProb: 0.5, breakdown: {} }]); } catch (e) {}
+      try { MLmodule.trainAdaptive([{ trueLabel, fusedProb: 0.5, breakdown: {}, symbol }]); } catch (e) {}
     }
     return true;
   } catch (e) { return false; }
@@ -596,10 +634,44 @@ export function getStats() {
   return { ..._stats, mlAccuracy: accFromML };
 }
 
+/**
+ * reversalScore(candles15, ml) -> { side, pattern, score, gate, regime } | null
+ * Scores the last confirmed 15m candle like scan does, without news / micro confirmation and
+ * without alerting, cooldown or state (scanner.js). ml: runMLPrediction result (15m) or null
+ */
+export function reversalScore(candles15, ml = null) {
+  if (!Array.isArray(candles15) || candles15.length < 25) return null;
+  const opts = Object.assign({}, DEFAULTS, _opts);
+  const candles = attachPrevCandles(candles15.map(c => ({ ...c })));
+  const pattern = detectCandlePattern(candles.at(-2));
+  const regime = detectRegime(candles.slice(0, -1));
+  const gates = regimeProfile(regime).reversal || {};
+  const gate = opts.scoreGate + (gates.scoreGate || 0);
+  if (!pattern) return { side: null, pattern: null, score: 0, gate, regime: regime.regime };
+
+  const probs = ml?.probs || {};
+  const mlMaxProb = ml?.maxProb ?? Math.max(probs.bull || 0, probs.bear || 0, probs.neutral || 0);
+  const threshold = adaptiveThreshold(opts.mlMinConfidence + (gates.mlMinConfidence || 0));
+  const score = baseReversalScore({ side: pattern.side, mlDir: ml?.direction, mlMaxProb, threshold, ...reversalFeatures(candles), hiddenDiv: null });
+  return { side: pattern.side, pattern: pattern.name, score: Number(score.toFixed(3)), gate, regime: regime.regime };
+}
+
+// last alerts (newest first) in the detailed payload shape, optionally for one symbol
+export function recentAlerts({ symbol = null, limit = 10 } = {}) {
+  return (_stats.alerts || [])
+    .filter(a => a.meta && (!symbol || a.symbol === symbol))
+    .slice(-limit)
+    .reverse()
+    .map(a => buildAlertPayload(a.meta).detailedJSON);
+}
+
 export default {
   startReversalWatcher,
   stopReversalWatcher,
   scanReversal,
   markOutcome,
-  getStats
+  getStats,
+  recentAlerts,
+  reversalScore,
+  reversalEvents
 };
\ No newline at end of file
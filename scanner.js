@@ -0,0 +1,160 @@
+// scanner.js — Watchlist scanner: ranks every symbol of CONFIG.SYMBOLS (or one market) for long / short setups
+// - Per symbol: ml_module_v15 analyzeMulti (calibrated P(bull), regime + ATR percentile),
+//   ml_module_v8_6 runMultiMarketPrediction (second opinion, ML input of the reversal score),
+//   reversal_watcher reversalScore on the last confirmed 15m candle
+// - Bounded concurrency (CONFIG.SCANNER.CONCURRENCY); scan analyses are not recorded as predictions (v15 / v8_6)
+// - Per side: score = WEIGHTS.confidence × edge + WEIGHTS.volatility × ATR percentile + WEIGHTS.reversal × reversal
+//     edge: |P(bull) - 50| / 50 on that side, reversal: same-side reversal score / REVERSAL_SCALE (0..1)
+//   each symbol is listed under its better side
+// - Identical scans running at the same time share one run; results are reused for CACHE_MS
+// - Exports: scanWatchlist, formatScan, watchlist
+
+import CONFIG from "./config.js";
+import { fetchMultiTF } from "./utils.js";
+import { analyzeMulti } from "./ml_module_v15.js";
+import { runMultiMarketPrediction } from "./ml_module_v8_6.js";
+import { reversalScore } from "./reversal_watcher.js";
+
+const OPTS = Object.assign({
+  CONCURRENCY: 3,
+  TF: "15m",
+  TOP: 5,
+  V8_WEIGHT: 0.3,          // share of ml_module_v8_6 in the combined P(bull)
+  WEIGHTS: { confidence: 0.5, volatility: 0.2, reversal: 0.3 },
+  REVERSAL_SCALE: 3,       // reversal score that counts as a full 1.0
+  CACHE_MS: 60_000
+}, CONFIG.SCANNER || {});
+
+const _runs = new Map();   // "MARKET:tf" -> { ts, promise }
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+const num = v => (Number.isFinite(+v) ? +v : null);
+const round = (v, d = 3) => (Number.isFinite(v) ? Number(v.toFixed(d)) : null);
+
+/**
+ * watchlist(market) -> [{ symbol, market }] — every market when market is empty / "ALL"
+ */
+export function watchlist(market = null) {
+  const m = market ? String(market).toUpperCase() : "ALL";
+  return Object.entries(CONFIG.SYMBOLS || {})
+    .filter(([name]) => m === "ALL" || name === m)
+    .flatMap(([name, syms]) => Object.keys(syms).map(symbol => ({ symbol, market: name })));
+}
+
+// ---------------- ranking ----------------
+function rankSymbol({ symbol, market }, v15, v86, rev) {
+  // v15 carries the data check (ok:false without candles); v8_6 only refines it
+  const p15 = num(v15?.probs?.bull);
+  const p86 = num(v86?.probs?.bull);
+  if (p15 == null) return null;
+  const bull = p86 != null ? p15 * (1 - OPTS.V8_WEIGHT) + p86 * OPTS.V8_WEIGHT : p15;
+
+  const regime = v15?.layers?.regime || null;
+  const vol = num(regime?.volPercentile) ?? 0.5;
+  const revNorm = rev?.side ? clamp(rev.score / OPTS.REVERSAL_SCALE, 0, 1) : 0;
+
+  const W = OPTS.WEIGHTS;
+  const sideScore = (edge, revSide) =>
+    W.confidence * clamp(edge, 0, 1) + W.volatility * vol + W.reversal * (rev?.side === revSide ? revNorm : 0);
+  const long = sideScore((bull - 50) / 50, "Bullish");
+  const short = sideScore((50 - bull) / 50, "Bearish");
+
+  return {
+    symbol,
+    market,
+    side: long >= short ? "LONG" : "SHORT",
+    score: round(Math.max(long, short)),
+    pBull: round(bull, 1),
+    v15: p15,
+    v8_6: p86,
+    price: num(v15?.price),
+    regime: regime?.regime || null,
+    volPercentile: round(vol, 2),
+    reversal: rev?.side ? { side: rev.side, pattern: rev.pattern, score: rev.score, gate: round(rev.gate, 2) } : null
+  };
+}
+
+async function runScan(list, tf) {
+  const started = Date.now();
+  const symbols = list.map(x => x.symbol);
+  const opts = { concurrency: OPTS.CONCURRENCY, record: false };
+  const v15 = await analyzeMulti(symbols, tf, opts);
+  const v86 = await runMultiMarketPrediction(symbols, tf, opts);
+
+  const rows = [];
+  const errors = { ...v86.errors, ...v15.errors };
+  for (const item of list) {
+    const a = v15.results[item.symbol];
+    const b = v86.results[item.symbol];
+    if (a && a.ok === false) errors[item.symbol] = a.error || "analysis failed";
+    let rev = null;
+    try {
+      const c15 = (await fetchMultiTF(item.symbol, ["15m"]))["15m"]?.data || [];
+      rev = reversalScore(c15, b && !b.error ? b : null);
+    } catch (e) {}
+    const row = rankSymbol(item, a?.ok === false ? null : a, b?.error ? null : b, rev);
+    if (row) rows.push(row);
+    else if (!errors[item.symbol]) errors[item.symbol] = "no prediction";
+  }
+  rows.sort((x, y) => y.score - x.score);
+  return { rows, errors, ms: Date.now() - started };
+}
+
+// ---------------- Public API ----------------
+/**
+ * scanWatchlist({ market, tf, top, fresh }) -> { ok, market, tf, scanned, longs, shorts, errors, generatedAt, ms, cached }
+ */
+export async function scanWatchlist({ market = null, tf = OPTS.TF, top = OPTS.TOP, fresh = false } = {}) {
+  const m = market ? String(market).toUpperCase() : "ALL";
+  const list = watchlist(m);
+  if (!list.length) return { ok: false, error: `unknown market ${market} (use ${["ALL", ...Object.keys(CONFIG.SYMBOLS || {})].join(", ")})` };
+
+  const key = `${m}:${tf}`;
+  const hit = _runs.get(key);
+  const cached = !!hit && !fresh && Date.now() - hit.ts < OPTS.CACHE_MS;
+  if (!cached) {
+    const promise = runScan(list, tf);
+    _runs.set(key, { ts: Date.now(), promise });
+    promise.catch(() => _runs.delete(key));
+  }
+  const { rows, errors, ms } = await _runs.get(key).promise;
+  const n = Math.max(1, Number(top) || OPTS.TOP);
+  return {
+    ok: true,
+    market: m,
+    tf,
+    scanned: list.length,
+    longs: rows.filter(r => r.side === "LONG").slice(0, n),
+    shorts: rows.filter(r => r.side === "SHORT").slice(0, n),
+    errors,
+    generatedAt: new Date(_runs.get(key).ts).toISOString(),
+    ms,
+    cached
+  };
+}
+
+// ---------------- formatting ----------------
+const pad = (v, n, left = false) => { const s = String(v ?? "-"); return left ? s.padStart(n) : s.padEnd(n); };
+const revCell = r => (r.reversal ? `${r.reversal.pattern} ${r.reversal.score >= 0 ? "+" : ""}${r.reversal.score}` : "-");
+const rowLine = r => `${pad(r.symbol, 10)}${pad(r.score.toFixed(2), 5, true)}${pad(`${r.pBull}%`, 7, true)}${pad(Math.round(r.volPercentile * 100), 5, true)}  ${revCell(r)}`;
+
+/**
+ * formatScan(scan) -> Telegram HTML (tables in <pre>)
+ */
+export function formatScan(scan) {
+  if (!scan?.ok) return `❌ ${scan?.error || "scan failed"}`;
+  const head = `${pad("SYMBOL", 10)}${pad("SCORE", 5, true)}${pad("P(UP)", 7, true)}${pad("VOL", 5, true)}  REVERSAL`;
+  const table = rows => (rows.length ? `<pre>${[head, ...rows.map(rowLine)].join("\n")}</pre>` : "<i>none</i>");
+  const errs = Object.keys(scan.errors || {});
+  return [
+    `🔎 <b>Scan ${scan.market}</b> · ${scan.tf} · ${scan.scanned} symbols · ${(scan.ms / 1000).toFixed(1)}s${scan.cached ? " (cached)" : ""}`,
+    "",
+    "🟢 <b>Top longs</b>",
+    table(scan.longs),
+    "🔴 <b>Top shorts</b>",
+    table(scan.shorts),
+    errs.length ? `⚠️ No data: ${errs.join(", ")}` : ""
+  ].filter(Boolean).join("\n");
+}
+
+export default { scanWatchlist, formatScan, watchlist };
@@ -0,0 +1,286 @@
+// scheduler.js — Per-chat cron-style report schedules
+// - Schedule: { id, chatId, symbol, tf, cron, tag, marketHours, lastRunTs, nextRunTs }
+// - Each schedule tracks its next cron slot; a slot missed while a previous tick was still sending
+//   reports runs on the next tick (once, within MISSED_GRACE_MS — older slots are skipped)
+// - cron is 5-field (min hour dom month dow) evaluated at CONFIG.SCHEDULER.TZ_OFFSET_MIN (IST)
+// - Friendly specs: "BTCUSDT 15m every 15m", "NIFTY50 at 09:20 weekdays", "GOLD 1h cron 0 */4 * * *"
+// - Market-hours aware: schedules skip runs while isMarketOpen(market) is false (CONFIG.SESSIONS)
+// - Persisted to CONFIG.SCHEDULER.FILE (cache/schedules.json)
+// - Exports: addSchedule, removeSchedule, listSchedules, parseScheduleSpec, cronMatches, nextCronTs,
+//            isMarketOpen, startScheduler, stopScheduler, describeSchedule
+
+import fs from "fs";
+import path from "path";
+import CONFIG from "./config.js";
+import { resolveMarket, tfToMs } from "./data_providers.js";
+
+const OPTS = Object.assign({
+  FILE: path.join(CONFIG.PATHS.CACHE_DIR, "schedules.json"),
+  TZ_OFFSET_MIN: 330,
+  TICK_MS: 20_000,
+  MISSED_GRACE_MS: 15 * 60_000,
+  MAX_PER_CHAT: 20
+}, CONFIG.SCHEDULER || {});
+
+const MINUTE = 60_000;
+const DAY_NAMES = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+
+let _schedules = null;
+let _timer = null;
+let _running = false;
+
+// ---------------- persistence ----------------
+function load() {
+  if (_schedules) return _schedules;
+  try {
+    _schedules = fs.existsSync(OPTS.FILE) ? JSON.parse(fs.readFileSync(OPTS.FILE, "utf8")) || [] : [];
+  } catch (e) {
+    _schedules = [];
+  }
+  return _schedules;
+}
+
+function save() {
+  try { fs.writeFileSync(OPTS.FILE, JSON.stringify(_schedules, null, 2), "utf8"); return true; } catch (e) { return false; }
+}
+
+// ---------------- cron ----------------
+// one cron field -> Set of allowed values ("*", "*/5", "1-5", "0,30", "9-17/2")
+function parseField(field, min, max) {
+  const out = new Set();
+  for (const part of String(field).split(",")) {
+    const m = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part.trim());
+    if (!m) throw new Error(`bad cron field "${field}"`);
+    const step = m[4] ? Number(m[4]) : 1;
+    const lo = m[1] === "*" ? min : Number(m[2]);
+    const hi = m[1] === "*" ? max : m[3] !== undefined ? Number(m[3]) : (m[4] ? max : lo);
+    if (lo < min || hi > max || lo > hi || step < 1) throw new Error(`cron field out of range "${field}"`);
+    for (let v = lo; v <= hi; v += step) out.add(v);
+  }
+  return out;
+}
+
+function parseCron(expr) {
+  const f = String(expr || "").trim().split(/\s+/);
+  if (f.length !== 5) throw new Error("cron needs 5 fields: min hour dom month dow");
+  const dow = parseField(f[4].replace(/[a-z]{3}/gi, d => DAY_NAMES[d.toLowerCase()] ?? d), 0, 7);
+  if (dow.has(7)) dow.add(0);
+  return {
+    minute: parseField(f[0], 0, 59),
+    hour: parseField(f[1], 0, 23),
+    dom: parseField(f[2], 1, 31),
+    month: parseField(f[3], 1, 12),
+    dow,
+    domAny: f[2] === "*",
+    dowAny: f[4] === "*"
+  };
+}
+
+// exchange-style wall clock for ts at a fixed UTC offset
+function wallClock(ts, offsetMin) {
+  const d = new Date(ts + offsetMin * MINUTE);
+  return { minute: d.getUTCMinutes(), hour: d.getUTCHours(), dom: d.getUTCDate(), month: d.getUTCMonth() + 1, dow: d.getUTCDay() };
+}
+
+/**
+ * cronMatches(expr, ts, offsetMin) — standard cron semantics (dom/dow OR'd when both restricted)
+ */
+export function cronMatches(expr, ts = Date.now(), offsetMin = OPTS.TZ_OFFSET_MIN) {
+  const c = typeof expr === "string" ? parseCron(expr) : expr;
+  const w = wallClock(ts, offsetMin);
+  if (!c.minute.has(w.minute) || !c.hour.has(w.hour) || !c.month.has(w.month)) return false;
+  const domOk = c.dom.has(w.dom), dowOk = c.dow.has(w.dow);
+  if (c.domAny || c.dowAny) return domOk && dowOk;
+  return domOk || dowOk;
+}
+
+/**
+ * nextCronTs(expr, fromTs, offsetMin) — first minute strictly after fromTs's minute that matches, null within a year
+ */
+export function nextCronTs(expr, fromTs = Date.now(), offsetMin = OPTS.TZ_OFFSET_MIN) {
+  const c = typeof expr === "string" ? parseCron(expr) : expr;
+  const end = fromTs + 366 * 1440 * MINUTE;
+  let t = (Math.floor(fromTs / MINUTE) + 1) * MINUTE;
+  while (t <= end) {
+    const w = wallClock(t, offsetMin);
+    const domOk = c.dom.has(w.dom), dowOk = c.dow.has(w.dow);
+    const dayOk = c.month.has(w.month) && (c.domAny || c.dowAny ? domOk && dowOk : domOk || dowOk);
+    if (!dayOk) t += ((24 - w.hour) * 60 - w.minute) * MINUTE;   // next wall-clock day
+    else if (!c.hour.has(w.hour)) t += (60 - w.minute) * MINUTE;  // next hour
+    else if (!c.minute.has(w.minute)) t += MINUTE;
+    else return t;
+  }
+  return null;
+}
+
+// ---------------- market hours ----------------
+const hhmm = s => { const [h, m] = String(s).split(":").map(Number); return (h || 0) * 60 + (m || 0); };
+
+/**
+ * isMarketOpen(market, ts) — CONFIG.SESSIONS[market] { TZ_OFFSET_MIN, OPEN, CLOSE, DAYS };
+ * markets without a session (crypto) are always open
+ */
+export function isMarketOpen(market, ts = Date.now()) {
+  const s = CONFIG.SESSIONS?.[market];
+  if (!s) return true;
+  const w = wallClock(ts, s.TZ_OFFSET_MIN || 0);
+  if (Array.isArray(s.DAYS) && !s.DAYS.includes(w.dow)) return false;
+  const now = w.hour * 60 + w.minute;
+  if (s.OPEN && now < hhmm(s.OPEN)) return false;
+  if (s.CLOSE && now > hhmm(s.CLOSE)) return false;
+  return true;
+}
+
+// ---------------- spec parsing ----------------
+function everyToCron(n, unit) {
+  if (unit === "h") {
+    if (n < 1 || n > 23) throw new Error("every Nh needs 1-23 hours");
+    return `0 */${n} * * *`;
+  }
+  if (n >= 60 && n % 60 === 0) return everyToCron(n / 60, "h");
+  if (n < 1 || n > 59) throw new Error("every Nm needs 1-59 minutes (or whole hours)");
+  return `*/${n} * * * *`;
+}
+
+function daysToCron(word) {
+  const w = String(word).toLowerCase();
+  if (w === "daily" || w === "everyday") return "*";
+  if (w === "weekdays") return "1-5";
+  if (w === "weekends") return "0,6";
+  return w; // "mon-fri", "mon,wed,fri" — resolved by parseCron
+}
+
+/**
+ * parseScheduleSpec("BTCUSDT 15m every 15m" | "NIFTY50 at 09:20 weekdays" | "GOLD 1h cron 0 9 * * 1-5")
+ * -> { symbol, tf, cron } (throws with a user-facing message)
+ */
+export function parseScheduleSpec(spec, defaults = {}) {
+  const tokens = String(spec || "").trim().split(/\s+/).filter(Boolean);
+  let symbol = defaults.symbol || null;
+  let tf = defaults.tf || "15m";
+  let cron = null;
+
+  while (tokens.length) {
+    const tok = tokens.shift();
+    const low = tok.toLowerCase();
+    if (low === "every") {
+      const m = /^(\d+)\s*(m|min|mins|minutes|h|hr|hours)?$/i.exec(tokens.shift() || "");
+      if (!m) throw new Error("use: every 15m | every 1h");
+      cron = everyToCron(Number(m[1]), /^h/i.test(m[2] || "m") ? "h" : "m");
+    } else if (low === "at") {
+      const m = /^(\d{1,2}):(\d{2})$/.exec(tokens.shift() || "");
+      if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) throw new Error("use: at HH:MM [weekdays|daily|mon-fri]");
+      const days = /^(daily|everyday|weekdays|weekends|[a-z]{3}([-,][a-z]{3})*)$/i.test(tokens[0] || "") ? tokens.shift() : "daily";
+      cron = `${Number(m[2])} ${Number(m[1])} * * ${daysToCron(days)}`;
+    } else if (low === "cron") {
+      cron = tokens.splice(0, 5).join(" ");
+    } else if (resolveMarket(tok)) {
+      symbol = tok.toUpperCase();
+    } else if (tfToMs(low)) {
+      tf = low;
+    } else {
+      throw new Error(`unknown token "${tok}"`);
+    }
+  }
+
+  if (!symbol) throw new Error("symbol missing");
+  if (!cron) throw new Error("add: every 15m | at 09:20 weekdays | cron <5 fields>");
+  parseCron(cron); // validate
+  return { symbol, tf, cron };
+}
+
+// ---------------- Public API ----------------
+/**
+ * addSchedule(chatId, { symbol, tf, cron, tag, marketHours }) -> schedule
+ */
+export function addSchedule(chatId, { symbol, tf = "15m", cron, tag = null, marketHours = true }) {
+  parseCron(cron);
+  const all = load();
+  if (all.filter(s => s.chatId === String(chatId)).length >= OPTS.MAX_PER_CHAT) {
+    throw new Error(`max ${OPTS.MAX_PER_CHAT} schedules per chat`);
+  }
+  const sched = {
+    id: Math.random().toString(36).slice(2, 8),
+    chatId: String(chatId),
+    symbol: String(symbol).toUpperCase(),
+    market: resolveMarket(symbol),
+    tf,
+    cron,
+    tag,
+    marketHours,
+    createdAt: Date.now(),
+    lastRunTs: 0,
+    nextRunTs: nextCronTs(cron)
+  };
+  all.push(sched);
+  save();
+  return { ...sched };
+}
+
+// remove by id, or every schedule of the chat carrying `tag` ({ tag: "auto" })
+export function removeSchedule(chatId, idOrFilter) {
+  const all = load();
+  const match = s => s.chatId === String(chatId) &&
+    (typeof idOrFilter === "object" ? s.tag === idOrFilter.tag : s.id === idOrFilter);
+  const before = all.length;
+  _schedules = all.filter(s => !match(s));
+  if (_schedules.length !== before) save();
+  return before - _schedules.length;
+}
+
+export function listSchedules(chatId = null) {
+  return load().filter(s => chatId == null || s.chatId === String(chatId)).map(s => ({ ...s }));
+}
+
+// next slot of a schedule (filled in for schedules saved before nextRunTs existed); null = never
+function slotOf(s) {
+  if (s.nextRunTs == null) {
+    try { s.nextRunTs = nextCronTs(s.cron, s.lastRunTs || s.createdAt || Date.now()); } catch (e) { s.nextRunTs = null; }
+  }
+  return s.nextRunTs;
+}
+
+async function tick(runFn) {
+  if (_running) return; // previous tick still sending reports; its missed slots stay due
+  _running = true;
+  try {
+    const now = Date.now();
+    const due = load().filter(s => slotOf(s) != null && s.nextRunTs <= now);
+    for (const s of due) {
+      const slot = s.nextRunTs;
+      s.nextRunTs = nextCronTs(s.cron, now); // overdue slots run once, not once per missed minute
+      const fresh = now - slot <= OPTS.MISSED_GRACE_MS;
+      const open = !s.marketHours || isMarketOpen(s.market || resolveMarket(s.symbol), slot);
+      if (fresh && open) s.lastRunTs = now;
+      save();
+      if (!fresh || !open) continue;
+      try { await runFn({ ...s }); } catch (e) { console.log("schedule run error:", s.id, e?.message || e); }
+    }
+  } finally {
+    _running = false;
+  }
+}
+
+/**
+ * startScheduler(runFn) — runFn(schedule) is awaited for each due schedule
+ */
+export function startScheduler(runFn) {
+  stopScheduler();
+  _timer = setInterval(() => tick(runFn).catch(() => {}), OPTS.TICK_MS);
+  return true;
+}
+
+export function stopScheduler() {
+  if (_timer) { clearInterval(_timer); _timer = null; }
+}
+
+// human-readable line for /schedules
+export function describeSchedule(s) {
+  if (s.tag === "auto") return `${s.id} · auto-report · ${s.cron} (follows chat symbol/TF)`;
+  return `${s.id} · ${s.symbol} ${s.tf} · ${s.cron}${s.tag ? ` (${s.tag})` : ""}${s.marketHours ? "" : " · 24/7"}`;
+}
+
+export default {
+  addSchedule, removeSchedule, listSchedules, parseScheduleSpec, cronMatches, nextCronTs,
+  isMarketOpen, startScheduler, stopScheduler, describeSchedule
+};
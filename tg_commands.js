@@ -1,9 +1,28 @@
 // ===============================
-// tg_commands.js — FINAL WITH KEYBOARD
+// tg_commands.js — Telegram command router (node-telegram-bot-api)
+// - Commands: /start /signal [SYMBOL] [TF] /market [NAME] /symbol [SYMBOL] /tf [TF] /auto [min]
+//             /schedules [add <spec> | remove <id>] /alert <spec> /alerts [remove <id>]
+//             /paper [open|close|history|auto|reset]
+//             /model [snapshot|promote|rollback|shadow|compare] (CONFIG.MODEL_REGISTRY.ADMIN_CHAT_IDS only)
+//             /why (what drove the last report this chat received; explain.js)
+//             /scan [MARKET|ALL] [TF] (top long / short candidates of the watchlist; scanner.js)
+// - Inline menus (market → symbol → timeframe) are generated from CONFIG.SYMBOLS
+// - Reply keyboard buttons map onto the same actions
+// - State is per chat (chat_sessions.js); reports come from generateMergeSignal
+// - /signal reports and reversal alerts come with a PNG chart (chart_renderer.js)
 // ===============================
 
 import { generateMergeSignal } from "./merge_signals.js";
 import CONFIG from "./config.js";
+import { getSession as loadSession, updateSession, setMarket } from "./chat_sessions.js";
+import { resolveMarket } from "./data_providers.js";
+import { addSchedule, removeSchedule, listSchedules, parseScheduleSpec, describeSchedule } from "./scheduler.js";
+import { parseAlertSpec, addAlert, removeAlert, listAlerts, describeAlert } from "./price_alerts.js";
+import { openFromSignal, maybeAutoOpen, closePosition, getAccount, setAutoTrade, resetAccount, accountSummary } from "./paper_trading.js";
+import { snapshotModels, listVersions, promoteVersion, rollbackModel, setShadow, compareShadow } from "./model_registry.js";
+import { rememberExplanation, lastExplanation, formatExplanation } from "./explain.js";
+import { renderSignalChart, renderReversalChart } from "./chart_renderer.js";
+import { scanWatchlist, formatScan, watchlist } from "./scanner.js";
 
 // ------------------------
 // MAIN HOME KEYBOARD
@@ -17,6 +36,9 @@ export const kbHome = {
       [
         { text: "📈 Select Market", callback_data: "sel_market" }
       ],
+      [
+        { text: "💱 Select Symbol", callback_data: "sel_symbol" }
+      ],
       [
         { text: "🕒 Select Timeframe", callback_data: "sel_tf" }
       ]
@@ -25,23 +47,57 @@ export const kbHome = {
   parse_mode: "HTML"
 };
 
-// PREDEFINED MARKETS
-const MARKETS = ["NIFTY", "BANKNIFTY", "FINNIFTY", "BTCUSDT", "ETHUSDT"];
-const TIMEFRAMES = ["1m", "5m", "15m", "30m", "1h"];
+export const TIMEFRAMES = ["1m", "5m", "15m", "30m", "1h", "4h"];
 
-// store user selections
-const session = {}; // { chatId: { symbol, tf } }
+// reply-keyboard labels -> CONFIG.SYMBOLS market keys
+const MARKET_BUTTONS = { Crypto: "CRYPTO", India: "INDIA", Forex: "FOREX", Commodities: "COMMODITIES" };
 
-function getSession(ctx) {
-  if (!session[ctx.chat.id]) {
-    session[ctx.chat.id] = {
-      symbol: CONFIG.SYMBOL,
-      tf: "15m"
-    };
-  }
-  return session[ctx.chat.id];
+function getSession(chatId) {
+  return loadSession(chatId);
+}
+
+// rows of `size` buttons
+function grid(buttons, size = 3) {
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += size) rows.push(buttons.slice(i, i + size));
+  return rows;
+}
+
+const homeRow = [{ text: "🏠 Home", callback_data: "go_home" }];
+
+export function marketKeyboard() {
+  const buttons = Object.keys(CONFIG.SYMBOLS).map(m => ({ text: m, callback_data: "m_" + m }));
+  return { inline_keyboard: [...grid(buttons, 2), homeRow] };
+}
+
+export function symbolKeyboard(market) {
+  const buttons = Object.keys(CONFIG.SYMBOLS[market] || {}).map(s => ({ text: s, callback_data: "s_" + s }));
+  return { inline_keyboard: [...grid(buttons, 2), [{ text: "📈 Markets", callback_data: "sel_market" }, ...homeRow]] };
+}
+
+export function tfKeyboard() {
+  const buttons = TIMEFRAMES.map(tf => ({ text: tf, callback_data: "t_" + tf }));
+  return { inline_keyboard: [...grid(buttons, 3), homeRow] };
 }
 
+// per chat: the auto-report label reflects that chat's own state
+export function replyKeyboard(chatId) {
+  const { auto } = getSession(chatId);
+  return {
+    reply_markup: {
+      keyboard: [
+        ["⚡ Generate Signal"],
+        ["Crypto", "India"],
+        ["Forex", "Commodities"],
+        [`Auto-Report: ${auto ? "ON" : "OFF"}`]
+      ],
+      resize_keyboard: true
+    }
+  };
+}
+
+const sessionLine = s => `Market: <b>${s.market}</b> · Symbol: <b>${s.symbol}</b> · TF: <b>${s.tf}</b>`;
+
 // ------------------------
 // BUILD REPORT
 // ------------------------
@@ -81,96 +137,480 @@ export async function formatAIReport(reportObj) {
   return parts;
 }
 
+// full merge-signal report; uiText is plain text (headlines may contain <, &)
+export async function sendReport(bot, chatId, symbol, tf) {
+  await bot.sendMessage(chatId, `📡 Generating ${symbol} (${tf})...`);
+  const raw = await buildAIReport(symbol, tf);
+  const parts = await formatAIReport(raw);
+  if (!parts.length) return bot.sendMessage(chatId, `❌ No report for ${symbol} (${tf}) — data unavailable`);
+  rememberExplanation(chatId, raw.result?.explanation);
+  await sendChart(bot, chatId, await renderSignalChart(raw.result, tf), signalCaption(raw.result, tf));
+  for (const msg of parts) await bot.sendMessage(chatId, msg);
+  await notifyAutoTrade(bot, chatId, raw.result, tf);
+}
+
+const signalCaption = (r, tf) =>
+  `${r.symbol} (${tf}) · ${r.fusion?.bias} (${r.fusion?.confidence}) · TP1 ${r.tps?.tp1} · TP2 ${r.tps?.tp2} · SL ${r.tps?.sl}`;
+
+// a chart that fails to render or upload never blocks the text report
+async function sendChart(bot, chatId, png, caption) {
+  if (!png) return;
+  try {
+    await bot.sendPhoto(chatId, png, { caption }, { filename: "chart.png", contentType: "image/png" });
+  } catch (e) {
+    console.log("sendChart error:", e?.message || e);
+  }
+}
+
+// reversal_watcher sendFunc: compact text as a message, the detailed payload as a chart
+export function reversalAlertSender(bot, chatIds = []) {
+  return async (msg) => {
+    if (typeof msg === "string") {
+      for (const id of chatIds) await bot.sendMessage(id, msg);
+      return;
+    }
+    if (msg?.type !== "reversal_alert") return;
+    const a = msg.body || {};
+    const png = await renderReversalChart(a);
+    const caption = `${a.symbol} reversal · ${a.side} · TP ${a.tps?.primary} · SL ${a.sl}`;
+    for (const id of chatIds) await sendChart(bot, id, png, caption);
+  };
+}
+
+// compact summary used by schedules / auto-report
+export async function sendSummary(bot, chatId, symbol, tf, title = "⏱ Auto Report") {
+  const raw = await buildAIReport(symbol, tf);
+  const r = raw?.result;
+  if (!r) return;
+  rememberExplanation(chatId, r.explanation);
+  await bot.sendMessage(
+    chatId,
+    `${title} — <b>${symbol}</b> (${tf})\nBias: <b>${r.fusion?.bias}</b> (${r.fusion?.confidence})\nPrice: <b>${r.price}</b>\nTP1: ${r.tps?.tp1} · TP2: ${r.tps?.tp2} · SL: ${r.tps?.sl}`,
+    html
+  );
+  await notifyAutoTrade(bot, chatId, r, tf);
+}
+
+// paper auto-trading: every signal this chat receives may open a position
+async function notifyAutoTrade(bot, chatId, result, tf) {
+  const pos = maybeAutoOpen(chatId, result, tf);
+  if (pos) await bot.sendMessage(chatId, `🧾 Paper auto-open: ${describePosition(pos)}`);
+}
+
+const describePosition = p =>
+  `${p.id} · ${p.symbol} ${p.side === "Bullish" ? "LONG" : "SHORT"} ${p.qty} @ ${p.entry} · TP1 ${p.tp1}${p.tp2 != null ? ` · TP2 ${p.tp2}` : ""} · SL ${p.stop}${p.tp1Hit ? " (TP1 hit)" : ""}`;
+
+export function formatPaperEvent(ev) {
+  const p = ev.position;
+  if (ev.type === "opened") return `🧾 Paper auto-open (reversal alert): ${describePosition(p)}`;
+  if (ev.type === "tp1") return `🎯 Paper TP1 ${p.symbol} (${p.id}) — partial closed, stop → breakeven ${p.stop}`;
+  return `🧾 Paper closed ${p.symbol} (${p.id}) — ${p.reason} · P&L ${p.pnl} (${p.pnlPct}% · ${p.r}R)`;
+}
+
+// ------------------------
+// SELECTION HELPERS (shared by commands, buttons and callbacks)
+// ------------------------
+function selectSymbol(chatId, sym) {
+  const symbol = String(sym || "").toUpperCase();
+  const market = resolveMarket(symbol);
+  if (!market) return null;
+  return updateSession(chatId, { market, symbol });
+}
+
+function selectTF(chatId, tf) {
+  if (!TIMEFRAMES.includes(tf)) return null;
+  return updateSession(chatId, { tf });
+}
+
+// the auto-report is a scheduler.js schedule tagged "auto" that follows the chat's session
+function setAuto(chatId, on, every = getSession(chatId).autoEveryMin) {
+  const state = getSession(chatId);
+  const { cron } = parseScheduleSpec(`every ${every}m`, state); // throws on bad cadence
+  removeSchedule(chatId, { tag: "auto" });
+  if (on) addSchedule(chatId, { symbol: state.symbol, tf: state.tf, cron, tag: "auto", marketHours: false });
+  return updateSession(chatId, { auto: on, autoEveryMin: every });
+}
+
+const knownSymbols = () => Object.values(CONFIG.SYMBOLS).flatMap(m => Object.keys(m)).join(", ");
+
 // -----------------------
 // CALLBACK HANDLER
 // -----------------------
-export async function handleTGCallback(ctx, cb) {
-  const chatId = ctx.chat.id;
-  const state = getSession(ctx);
+export async function handleTGCallback(bot, query) {
+  const cb = query.data || "";
+  const chatId = query.message.chat.id;
+  const where = { chat_id: chatId, message_id: query.message.message_id, parse_mode: "HTML" };
+  const edit = (text, reply_markup) => bot.editMessageText(text, { ...where, reply_markup });
+
+  bot.answerCallbackQuery(query.id).catch(() => {});
 
   // -------- Generate default --------
   if (cb === "gen_default") {
-    const raw = await buildAIReport(state.symbol, state.tf);
-    const parts = await formatAIReport(raw);
-
-    for (const msg of parts) {
-      await ctx.reply(msg, { parse_mode: "HTML" });
-    }
-    return;
+    const state = getSession(chatId);
+    return sendReport(bot, chatId, state.symbol, state.tf);
   }
 
   // -------- Select market menu --------
-  if (cb === "sel_market") {
-    const rows = MARKETS.map(m => [{ text: m, callback_data: "m_" + m }]);
-    await ctx.editMessageText("📈 Select Market", {
-      reply_markup: { inline_keyboard: rows },
-      parse_mode: "HTML"
-    });
-    return;
-  }
+  if (cb === "sel_market") return edit("📈 Select Market", marketKeyboard());
 
-  // set selected market
+  // set selected market, then offer its symbols
   if (cb.startsWith("m_")) {
-    const sym = cb.replace("m_", "");
-    state.symbol = sym;
-    await ctx.editMessageText(
-      `✔ Market Selected: <b>${sym}</b>\n\nNow choose timeframe`,
-      {
-        reply_markup: {
-          inline_keyboard: TIMEFRAMES.map(tf => [
-            { text: tf, callback_data: "t_" + tf }
-          ])
-        },
-        parse_mode: "HTML"
-      }
-    );
-    return;
+    const s = setMarket(chatId, cb.replace("m_", ""));
+    if (!s) return edit("❌ Unknown market", marketKeyboard());
+    return edit(`✔ Market Selected: <b>${s.market}</b>\n\nNow choose symbol`, symbolKeyboard(s.market));
   }
 
-  // -------- Select TF menu --------
-  if (cb === "sel_tf") {
-    await ctx.editMessageText("🕒 Select Timeframe", {
-      reply_markup: {
-        inline_keyboard: TIMEFRAMES.map(tf => [
-          { text: tf, callback_data: "t_" + tf }
-        ])
-      },
-      parse_mode: "HTML"
-    });
-    return;
+  // -------- Select symbol menu --------
+  if (cb === "sel_symbol") {
+    const { market } = getSession(chatId);
+    return edit(`💱 Select Symbol (<b>${market}</b>)`, symbolKeyboard(market));
+  }
+
+  if (cb.startsWith("s_")) {
+    const s = selectSymbol(chatId, cb.replace("s_", ""));
+    if (!s) return edit("❌ Unknown symbol", marketKeyboard());
+    return edit(`✔ Symbol Selected: <b>${s.symbol}</b>\n\nNow choose timeframe`, tfKeyboard());
   }
 
+  // -------- Select TF menu --------
+  if (cb === "sel_tf") return edit("🕒 Select Timeframe", tfKeyboard());
+
   // set selected TF
   if (cb.startsWith("t_")) {
-    const tf = cb.replace("t_", "");
-    state.tf = tf;
-
-    await ctx.editMessageText(
-      `✔ Timeframe Selected: <b>${tf}</b>\n\nPress Generate Signal`,
-      {
-        reply_markup: {
-          inline_keyboard: [
-            [{ text: "⚡ Generate Signal", callback_data: "gen_default" }],
-            [{ text: "🏠 Home", callback_data: "go_home" }]
-          ]
-        },
-        parse_mode: "HTML"
-      }
-    );
-    return;
+    const s = selectTF(chatId, cb.replace("t_", ""));
+    if (!s) return edit("❌ Unknown timeframe", tfKeyboard());
+    return edit(`✔ Timeframe Selected: <b>${s.tf}</b>\n${sessionLine(s)}\n\nPress Generate Signal`, {
+      inline_keyboard: [
+        [{ text: "⚡ Generate Signal", callback_data: "gen_default" }],
+        homeRow
+      ]
+    });
+  }
+
+  // -------- schedules --------
+  if (cb.startsWith("sch_rm_")) {
+    const id = cb.replace("sch_rm_", "");
+    const auto = listSchedules(chatId).some(x => x.id === id && x.tag === "auto");
+    if (auto) updateSession(chatId, { auto: false });
+    removeSchedule(chatId, id);
+    return edit(schedulesText(chatId), schedulesKeyboard(chatId));
+  }
+
+  // -------- alerts --------
+  if (cb.startsWith("al_rm_")) {
+    removeAlert(chatId, cb.replace("al_rm_", ""));
+    return edit(alertsText(chatId), alertsKeyboard(chatId));
   }
 
   // -------- HOME --------
-  if (cb === "go_home") {
-    await ctx.editMessageText("🏠 HOME PANEL", kbHome);
+  if (cb === "go_home") return edit(`🏠 HOME PANEL\n${sessionLine(getSession(chatId))}`, kbHome.reply_markup);
+}
+
+// -----------------------
+// COMMANDS
+// -----------------------
+const html = { parse_mode: "HTML" };
+
+async function cmdStart(bot, chatId) {
+  await bot.sendMessage(chatId, "🔥 <b>AI Trader Bot</b>\n/signal [SYMBOL] [TF] · /scan [MARKET] [TF] · /market · /symbol · /tf · /auto [min] · /schedules · /alert · /alerts · /paper · /why", { ...html, ...replyKeyboard(chatId) });
+  await bot.sendMessage(chatId, `🏠 HOME PANEL\n${sessionLine(getSession(chatId))}`, kbHome);
+}
+
+// /signal [SYMBOL] [TF] — one-off report; the session is left untouched
+async function cmdSignal(bot, chatId, args) {
+  const state = getSession(chatId);
+  let symbol = state.symbol, tf = state.tf;
+  for (const a of args) {
+    if (TIMEFRAMES.includes(a.toLowerCase())) tf = a.toLowerCase();
+    else if (resolveMarket(a)) symbol = a.toUpperCase();
+    else return bot.sendMessage(chatId, `❌ Unknown symbol/TF: ${a}\nSymbols: ${knownSymbols()}`);
+  }
+  return sendReport(bot, chatId, symbol, tf);
+}
+
+async function cmdMarket(bot, chatId, [name]) {
+  if (!name) return bot.sendMessage(chatId, "📈 Select Market", { ...html, reply_markup: marketKeyboard() });
+  const s = setMarket(chatId, name);
+  if (!s) return bot.sendMessage(chatId, `❌ Unknown market. Use: ${Object.keys(CONFIG.SYMBOLS).join(", ")}`);
+  return bot.sendMessage(chatId, `🔄 Market switched to <b>${s.market}</b>\nSymbol: <b>${s.symbol}</b>`, { ...html, reply_markup: symbolKeyboard(s.market) });
+}
+
+async function cmdSymbol(bot, chatId, [sym]) {
+  const { market } = getSession(chatId);
+  if (!sym) return bot.sendMessage(chatId, `💱 Select Symbol (<b>${market}</b>)`, { ...html, reply_markup: symbolKeyboard(market) });
+  const s = selectSymbol(chatId, sym);
+  if (!s) return bot.sendMessage(chatId, `❌ Unknown symbol. Use: ${knownSymbols()}`);
+  return bot.sendMessage(chatId, `✔ Symbol: <b>${s.symbol}</b> (${s.market})`, html);
+}
+
+async function cmdTF(bot, chatId, [tf]) {
+  if (!tf) return bot.sendMessage(chatId, "🕒 Select Timeframe", { ...html, reply_markup: tfKeyboard() });
+  const s = selectTF(chatId, tf.toLowerCase());
+  if (!s) return bot.sendMessage(chatId, `❌ Unknown timeframe. Use: ${TIMEFRAMES.join(", ")}`);
+  return bot.sendMessage(chatId, `✔ Timeframe: <b>${s.tf}</b>`, html);
+}
+
+// /auto [minutes] — turn this chat's auto-report on (optionally with a cadence)
+async function cmdAuto(bot, chatId, [min]) {
+  const every = min ? Math.max(1, Number(min) || 1) : getSession(chatId).autoEveryMin;
+  try { setAuto(chatId, true, every); } catch (e) { return bot.sendMessage(chatId, `❌ ${e.message}`); }
+  return bot.sendMessage(chatId, `⏱ Auto Report: <b>ON</b> (every ${every} min)`, { ...html, ...replyKeyboard(chatId) });
+}
+
+async function toggleAuto(bot, chatId) {
+  let s;
+  try { s = setAuto(chatId, !getSession(chatId).auto); } catch (e) { return bot.sendMessage(chatId, `❌ ${e.message}`); }
+  return bot.sendMessage(
+    chatId,
+    `⏱ Auto Report: <b>${s.auto ? "ON" : "OFF"}</b>${s.auto ? ` (every ${s.autoEveryMin} min)` : ""}`,
+    { ...html, ...replyKeyboard(chatId) }
+  );
+}
+
+function schedulesText(chatId) {
+  const list = listSchedules(chatId);
+  if (!list.length) return "🗓 No schedules.\nAdd: /schedules add BTCUSDT 15m every 15m\n     /schedules add NIFTY50 at 09:20 weekdays";
+  return `🗓 <b>Schedules</b> (times IST)\n${list.map(describeSchedule).join("\n")}`;
+}
+
+function schedulesKeyboard(chatId) {
+  const rows = listSchedules(chatId).map(x => [{ text: `❌ ${x.id} ${x.symbol} ${x.tf}`, callback_data: "sch_rm_" + x.id }]);
+  return { inline_keyboard: [...rows, homeRow] };
+}
+
+// /schedules | /schedules add <SYMBOL> [TF] every 15m|at 09:20 [weekdays]|cron <5 fields> | /schedules remove <id>
+async function cmdSchedules(bot, chatId, [action, ...rest]) {
+  const act = String(action || "list").toLowerCase();
+  if (act === "add") {
+    try {
+      const spec = parseScheduleSpec(rest.join(" "), { tf: getSession(chatId).tf });
+      const x = addSchedule(chatId, spec);
+      return bot.sendMessage(chatId, `✔ Added: ${describeSchedule(x)}`);
+    } catch (e) {
+      return bot.sendMessage(chatId, `❌ ${e.message}`);
+    }
+  }
+  if (act === "remove" || act === "rm" || act === "del") {
+    const id = rest[0];
+    if (listSchedules(chatId).some(x => x.id === id && x.tag === "auto")) updateSession(chatId, { auto: false });
+    const n = id ? removeSchedule(chatId, id) : 0;
+    return bot.sendMessage(chatId, n ? `🗑 Removed ${id}` : `❌ No schedule ${id || ""}`);
+  }
+  return bot.sendMessage(chatId, schedulesText(chatId), { ...html, reply_markup: schedulesKeyboard(chatId) });
+}
+
+const ALERT_HELP = "Examples:\n/alert BTCUSDT cross 70000\n/alert ETHUSDT move 3% 1h repeat\n/alert BTCUSDT rsi 15m below 25";
+
+function alertsText(chatId) {
+  const list = listAlerts(chatId);
+  if (!list.length) return `🔔 No alerts.\n${ALERT_HELP}`;
+  return `🔔 <b>Alerts</b>\n${list.map(describeAlert).join("\n")}`;
+}
+
+function alertsKeyboard(chatId) {
+  const rows = listAlerts(chatId).map(a => [{ text: `❌ ${a.id} ${a.symbol}`, callback_data: "al_rm_" + a.id }]);
+  return { inline_keyboard: [...rows, homeRow] };
+}
+
+// /alert <SYMBOL> cross|above|below <level> | move|up|down <pct>% <window> | rsi|atr|macd [tf] <|> <value> [once|repeat]
+async function cmdAlert(bot, chatId, args) {
+  if (!args.length) return bot.sendMessage(chatId, ALERT_HELP);
+  try {
+    const a = addAlert(chatId, parseAlertSpec(args.join(" ")));
+    return bot.sendMessage(chatId, `🔔 Alert set: ${describeAlert(a)}`);
+  } catch (e) {
+    return bot.sendMessage(chatId, `❌ ${e.message}\n${ALERT_HELP}`);
+  }
+}
+
+async function cmdAlerts(bot, chatId, [action, id]) {
+  if (/^(remove|rm|del)$/i.test(action || "")) {
+    const n = id ? removeAlert(chatId, id) : 0;
+    return bot.sendMessage(chatId, n ? `🗑 Removed ${id}` : `❌ No alert ${id || ""}`);
+  }
+  return bot.sendMessage(chatId, alertsText(chatId), { ...html, reply_markup: alertsKeyboard(chatId) });
+}
+
+// /paper | open [SYMBOL] [TF] | close <id> | history | auto on|off [minConf] | reset [balance]
+async function cmdPaper(bot, chatId, [action, ...rest]) {
+  const act = String(action || "").toLowerCase();
+
+  if (act === "open") {
+    const state = getSession(chatId);
+    let symbol = state.symbol, tf = state.tf;
+    for (const a of rest) {
+      if (TIMEFRAMES.includes(a.toLowerCase())) tf = a.toLowerCase();
+      else if (resolveMarket(a)) symbol = a.toUpperCase();
+    }
+    const raw = await buildAIReport(symbol, tf);
+    const r = openFromSignal(chatId, raw?.result, { tf, source: "manual" });
+    return bot.sendMessage(chatId, r.ok ? `🧾 Opened: ${describePosition(r.position)}` : `❌ ${r.error}`);
+  }
+
+  if (act === "close") {
+    const r = await closePosition(chatId, rest[0]);
+    return bot.sendMessage(chatId, r.ok ? formatPaperEvent({ type: "closed", position: r.position }) : `❌ ${r.error}`);
+  }
+
+  if (act === "history") {
+    const h = getAccount(chatId).history.slice(-15).reverse();
+    if (!h.length) return bot.sendMessage(chatId, "🧾 No closed paper trades yet.");
+    return bot.sendMessage(chatId, "🧾 Last trades\n" + h.map(t =>
+      `${t.symbol} ${t.side === "Bullish" ? "L" : "S"} ${t.entry} → ${t.exits.at(-1)?.price} · ${t.reason} · ${t.pnl} (${t.r}R)`).join("\n"));
+  }
+
+  if (act === "auto") {
+    const on = !/^off$/i.test(rest[0] || "on");
+    const a = setAutoTrade(chatId, on, rest[1] ?? null);
+    return bot.sendMessage(chatId, `🤖 Paper auto-trade: ${a.auto ? "ON" : "OFF"} (min confidence ${a.autoMinConfidence})`);
+  }
+
+  if (act === "reset") {
+    const acc = resetAccount(chatId, rest[0]);
+    return bot.sendMessage(chatId, `♻️ Paper account reset — balance ${acc.balance}`);
+  }
+
+  const s = accountSummary(chatId);
+  const lines = [
+    "🧾 <b>Paper Account</b>",
+    `Balance: <b>${s.balance}</b> (start ${s.startBalance}, ${s.returnPct}%)`,
+    `Realized: ${s.realizedPnl} · Unrealized: ${s.unrealizedPnl}`,
+    `Trades: ${s.trades} · Win rate: ${s.winRate}% · Avg R: ${s.avgR}`,
+    `Auto-trade: ${s.auto ? "ON" : "OFF"} (min conf ${s.autoMinConfidence})`,
+    s.open.length ? `\nOpen:\n${s.open.map(describePosition).join("\n")}` : "\nNo open positions.",
+    "\n/paper open [SYMBOL] [TF] · /paper close &lt;id&gt; · /paper history · /paper auto on|off [minConf] · /paper reset"
+  ];
+  return bot.sendMessage(chatId, lines.join("\n"), html);
+}
+
+// /why — breakdown of the last report sent to this chat
+async function cmdWhy(bot, chatId) {
+  const expl = lastExplanation(chatId);
+  if (!expl) return bot.sendMessage(chatId, "🔍 No report yet — run /signal first.");
+  return bot.sendMessage(chatId, formatExplanation(expl));
+}
+
+// /scan [MARKET|ALL] [TF] — args in any order; whole watchlist by default
+async function cmdScan(bot, chatId, args) {
+  let market = "ALL", tf = CONFIG.SCANNER?.TF || "15m";
+  for (const a of args) {
+    if (TIMEFRAMES.includes(a.toLowerCase())) tf = a.toLowerCase();
+    else if (a.toUpperCase() === "ALL" || CONFIG.SYMBOLS[a.toUpperCase()]) market = a.toUpperCase();
+    else return bot.sendMessage(chatId, `❌ Unknown market/TF: ${a}
+Markets: ALL, ${Object.keys(CONFIG.SYMBOLS).join(", ")}`);
+  }
+  await bot.sendMessage(chatId, `🔎 Scanning ${watchlist(market).length} symbols (${market}, ${tf})...`);
+  return bot.sendMessage(chatId, formatScan(await scanWatchlist({ market, tf })), html);
+}
+
+// /model | snapshot [note] | promote <id> | rollback | shadow <id|off> | compare — global, admin chats only
+function describeScore(s) {
+  return s.n ? `acc ${(s.accuracy * 100).toFixed(1)}% · brier ${s.brier} (n=${s.n})` : "no labelled analyses yet";
+}
+
+async function cmdModel(bot, chatId, [action, ...rest]) {
+  if (!(CONFIG.MODEL_REGISTRY?.ADMIN_CHAT_IDS || []).includes(String(chatId))) {
+    return bot.sendMessage(chatId, "⛔ /model is limited to ADMIN_CHAT_IDS");
+  }
+  const act = String(action || "").toLowerCase();
+  const reply = (r, okText) => bot.sendMessage(chatId, r.ok ? okText : `❌ ${r.error}`);
+
+  if (act === "snapshot") {
+    const v = snapshotModels({ note: rest.join(" ") });
+    return bot.sendMessage(chatId, `📸 Snapshot ${v.id}`);
+  }
+  if (act === "promote") { const r = promoteVersion(rest[0]); return reply(r, `🚀 Live model: ${r.active} (rollback → ${r.previous})`); }
+  if (act === "rollback") { const r = rollbackModel(); return reply(r, `↩️ Live model: ${r.active}`); }
+  if (act === "shadow") { const r = setShadow(rest[0]); return reply(r, r.shadow ? `👥 Shadow: ${r.shadow}` : "👥 Shadow off"); }
+  if (act === "compare") {
+    const r = compareShadow();
+    return reply(r, `👥 Shadow ${r.shadow}
+Live:   ${describeScore(r.live)}
+Shadow: ${describeScore(r.candidate)}`);
+  }
+
+  const versions = listVersions().slice(-10).reverse();
+  const lines = [
+    "🧠 <b>Model versions</b>",
+    ...(versions.length ? versions.map(v =>
+      `${v.active ? "🟢" : v.shadow ? "👥" : "▫️"} ${v.id} · ${v.source}${v.note ? ` · ${v.note}` : ""} · ${describeScore(v.metrics.v15)}`) : ["No snapshots yet."]),
+    "\n/model snapshot [note] · /model promote &lt;id&gt; · /model rollback · /model shadow &lt;id|off&gt; · /model compare"
+  ];
+  return bot.sendMessage(chatId, lines.join("\n"), html);
+}
+
+export const COMMANDS = {
+  start: cmdStart,
+  help: cmdStart,
+  signal: cmdSignal,
+  market: cmdMarket,
+  symbol: cmdSymbol,
+  tf: cmdTF,
+  auto: cmdAuto,
+  schedules: cmdSchedules,
+  alert: cmdAlert,
+  alerts: cmdAlerts,
+  paper: cmdPaper,
+  why: cmdWhy,
+  scan: cmdScan,
+  model: cmdModel
+};
+
+// route one text message: /command args... or a reply-keyboard button
+export async function handleTGMessage(bot, msg) {
+  const text = (msg.text || "").trim();
+  const chatId = msg.chat.id;
+  if (!text) return;
+
+  const m = /^\/(\w+)(?:@\w+)?(?:\s+(.*))?$/.exec(text);
+  if (m) {
+    const cmd = COMMANDS[m[1].toLowerCase()];
+    if (cmd) return cmd(bot, chatId, (m[2] || "").split(/\s+/).filter(Boolean));
     return;
   }
+
+  if (text === "⚡ Generate Signal") return cmdSignal(bot, chatId, []);
+  if (MARKET_BUTTONS[text]) return cmdMarket(bot, chatId, [MARKET_BUTTONS[text]]);
+  if (text.startsWith("Auto-Report")) return toggleAuto(bot, chatId);
+}
+
+/**
+ * registerCommands(bot) — wire the router onto a node-telegram-bot-api instance
+ */
+export function registerCommands(bot) {
+  const guard = (fn) => async (...args) => {
+    try { await fn(...args); } catch (e) { console.log("tg router error:", e?.message || e); }
+  };
+  bot.on("message", guard(msg => handleTGMessage(bot, msg)));
+  bot.on("callback_query", guard(q => handleTGCallback(bot, q)));
+  bot.setMyCommands?.([
+    { command: "signal", description: "Full AI report: /signal [SYMBOL] [TF]" },
+    { command: "market", description: "Switch market" },
+    { command: "symbol", description: "Pick symbol" },
+    { command: "tf", description: "Pick timeframe" },
+    { command: "auto", description: "Auto-report on: /auto [minutes]" },
+    { command: "schedules", description: "List/add/remove scheduled reports" },
+    { command: "alert", description: "New alert: /alert BTCUSDT cross 70000" },
+    { command: "alerts", description: "List/remove alerts" },
+    { command: "paper", description: "Paper trading account / open / close" },
+    { command: "why", description: "What drove the last signal" },
+    { command: "scan", description: "Rank the watchlist: /scan [MARKET] [TF]" }
+  ]).catch?.(() => {});
+  return bot;
 }
 
 // Default export
 export default {
   kbHome,
+  TIMEFRAMES,
+  COMMANDS,
   buildAIReport,
   formatAIReport,
-  handleTGCallback
-};
\ No newline at end of file
+  sendReport,
+  sendSummary,
+  reversalAlertSender,
+  formatPaperEvent,
+  handleTGCallback,
+  handleTGMessage,
+  registerCommands
+};
@@ -0,0 +1,284 @@
+// train_ml.js
+// Offline batch trainer for the ml_module_v15 logistic model
+// - Builds a labelled dataset from stored candles (candle_store) or candle files (backtest.js formats)
+// - Features: the mlFeatures vector of analyzeSymbol itself (record:false, no news) on the trailing `lookback`
+//   window — the live window (CONFIG.DEFAULT_LIMIT) by default, so train and serve see the same inputs
+//   (--noElliott skips Elliott for speed, as a live analysis without Elliott would)
+// - Labels: forward return over `horizon` bars (> 0 = Bullish = 1); moves inside the neutral band are dropped
+// - Chronological held-out validation split (the last `val` fraction), no shuffling across it; training samples
+//   whose `horizon` label window reaches the validation slice are embargoed
+// - Standardization from the training split only, shuffled mini-batch gradient descent with L2
+// - Reports log-loss / AUC / accuracy for train + validation
+// - Writes a versioned model file (.ml_v15/models/model_<version>.json); --activate loads it as the live model
+// - --cnn trains the candle-pattern classifier (candle_cnn.js) on the same candles / labels instead;
+//   it is saved to CONFIG.CNN.FILE and used by the "cnn" layer of both ML modules
+// - CLI: node train_ml.js --symbol BTCUSDT,ETHUSDT --tf 15m  |  --file data/BTCUSDT.json [--activate] [--cnn]
+
+import { pathToFileURL } from "url";
+import CONFIG from "./config.js";
+import { readStored } from "./candle_store.js";
+import { loadCandleFile } from "./backtest.js";
+import { FEATURE_SCHEMA } from "./elliott_module.js";
+import { analyzeSymbol, writeModelFile, loadModelFile } from "./ml_module_v15.js";
+import { tfToMs } from "./utils.js";
+import { buildCNNDataset, trainCNN, saveCNN } from "./candle_cnn.js";
+
+const DEFAULTS = {
+  lookback: CONFIG.DEFAULT_LIMIT || 500, // candles per feature window (live fetch size)
+  horizon: CONFIG.OUTCOMES?.HORIZON_BARS || 16,
+  band: CONFIG.OUTCOMES?.NEUTRAL_BAND_PCT ?? 0.25, // |forward return| % below this is dropped
+  step: 1,            // sample every N bars
+  val: 0.2,           // validation fraction (most recent samples)
+  epochs: 40,
+  batch: 64,
+  lr: 0.05,
+  l2: 0.001,
+  seed: 42,
+  tf: "15m"
+};
+
+const isFiniteNum = n => typeof n === "number" && Number.isFinite(n);
+const round = (v, d = 4) => isFiniteNum(v) ? Number(v.toFixed(d)) : null;
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+const dot = (w, x) => { let s = 0; for (let i = 0; i < w.length; i++) s += w[i] * x[i]; return s; };
+
+// mulberry32 — deterministic shuffles for reproducible runs
+function rng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ----------------- Dataset -----------------
+/**
+ * buildDataset(candles, opts) -> { X, y, ts, keys }
+ * one sample per bar with a full lookback window behind it and `horizon` bars after it
+ * opts.symbol / opts.tf: passed to analyzeSymbol (per-symbol fusion weights)
+ */
+export async function buildDataset(candles = [], opts = {}) {
+  const o = { ...DEFAULTS, ...opts };
+  const X = [], y = [], ts = [];
+  let keys = null;
+  for (let i = o.lookback - 1; i + o.horizon < candles.length; i += o.step) {
+    const entry = Number(candles[i].close);
+    const ret = (Number(candles[i + o.horizon].close) - entry) / entry * 100;
+    if (!isFiniteNum(ret) || Math.abs(ret) < o.band) continue;
+
+    const window = candles.slice(i - o.lookback + 1, i + 1);
+    const a = await analyzeSymbol(o.symbol || "BTCUSDT", o.tf, {
+      mtfData: { [o.tf]: { tf: o.tf, data: window } }, multiTF: [o.tf],
+      noNews: true, noElliott: !!o.noElliott, record: false, calibrate: false
+    });
+    const feats = a?.ok ? a.mlFeatures : null;
+    if (!feats?.vector) continue;
+    keys = keys || feats.keys;
+    X.push(feats.vector);
+    y.push(ret > 0 ? 1 : 0);
+    ts.push(candles[i].t);
+  }
+  return { X, y, ts, keys: keys || [] };
+}
+
+// ----------------- Scaler -----------------
+export function fitScaler(X) {
+  const dim = X[0]?.length || 0;
+  const mean = new Array(dim).fill(0), std = new Array(dim).fill(0);
+  for (const x of X) for (let j = 0; j < dim; j++) mean[j] += x[j] / X.length;
+  for (const x of X) for (let j = 0; j < dim; j++) std[j] += (x[j] - mean[j]) ** 2 / X.length;
+  // constant features keep std 1 so they scale to 0 instead of blowing up
+  return { mean, std: std.map(v => (Math.sqrt(v) > 1e-12 ? Math.sqrt(v) : 1)) };
+}
+
+// clipped like the live standardizer in ml_module_v15
+const applyScaler = (X, sc) => X.map(x => x.map((v, j) => Math.max(-5, Math.min(5, (v - sc.mean[j]) / sc.std[j]))));
+
+// ----------------- Metrics -----------------
+export function evaluate(w, b, X, y) {
+  if (!X.length) return { n: 0, logLoss: null, auc: null, accuracy: null, posRate: null };
+  const p = X.map(x => sigmoid(dot(w, x) + b));
+  let loss = 0, correct = 0, pos = 0;
+  for (let i = 0; i < p.length; i++) {
+    const q = Math.min(1 - 1e-12, Math.max(1e-12, p[i]));
+    loss -= y[i] ? Math.log(q) : Math.log(1 - q);
+    if ((p[i] >= 0.5 ? 1 : 0) === y[i]) correct++;
+    pos += y[i];
+  }
+  return { n: X.length, logLoss: round(loss / X.length), auc: round(auc(p, y)), accuracy: round(correct / X.length), posRate: round(pos / X.length) };
+}
+
+// rank-based AUC (Mann-Whitney U), ties get their average rank
+function auc(p, y) {
+  const idx = p.map((v, i) => i).sort((a, b) => p[a] - p[b]);
+  const ranks = new Array(p.length);
+  for (let i = 0; i < idx.length;) {
+    let j = i;
+    while (j + 1 < idx.length && p[idx[j + 1]] === p[idx[i]]) j++;
+    for (let k = i; k <= j; k++) ranks[idx[k]] = (i + j) / 2 + 1;
+    i = j + 1;
+  }
+  const nPos = y.reduce((a, b) => a + b, 0), nNeg = y.length - nPos;
+  if (!nPos || !nNeg) return null;
+  const rankSum = y.reduce((s, v, i) => s + (v ? ranks[i] : 0), 0);
+  return (rankSum - nPos * (nPos + 1) / 2) / (nPos * nNeg);
+}
+
+// ----------------- Training -----------------
+// training samples kept before the validation slice: a sample's label spans `horizon` bars after it, so the
+// ones whose window reaches the first validation sample are dropped (by time when ts is known, else by count)
+function embargoEnd(ts, valStart, o) {
+  const barMs = tfToMs(o.tf);
+  if (!Array.isArray(ts) || ts.length <= valStart || !barMs) return Math.max(0, valStart - Math.ceil(o.horizon / o.step));
+  let end = valStart;
+  while (end > 0 && ts[end - 1] + o.horizon * barMs > ts[valStart]) end--;
+  return end;
+}
+
+/**
+ * trainLogistic({ X, y, ts, keys }, opts) -> model object for writeModelFile / loadModelFile
+ * X / y / ts in time order; ts (sample bar times) makes the embargo exact for merged symbols
+ */
+export function trainLogistic({ X, y, ts = null, keys = [] }, opts = {}) {
+  const o = { ...DEFAULTS, ...opts };
+  if (X.length < 20) throw new Error(`not enough samples (${X.length})`);
+  const nVal = Math.floor(X.length * o.val);
+  const valStart = X.length - nVal;
+  const nTrain = nVal ? embargoEnd(ts, valStart, o) : valStart;
+  if (nTrain < 10) throw new Error(`not enough training samples after the embargo (${nTrain})`);
+  const scaler = fitScaler(X.slice(0, nTrain));
+  const Xs = applyScaler(X, scaler);
+  const Xtr = Xs.slice(0, nTrain), ytr = y.slice(0, nTrain);
+  const Xva = Xs.slice(valStart), yva = y.slice(valStart);
+
+  const dim = Xtr[0].length;
+  const w = new Array(dim).fill(0);
+  let b = 0;
+  const rand = rng(o.seed);
+  const order = Xtr.map((_, i) => i);
+
+  for (let ep = 0; ep < o.epochs; ep++) {
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(rand() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    for (let s = 0; s < order.length; s += o.batch) {
+      const batch = order.slice(s, s + o.batch);
+      const gw = new Array(dim).fill(0);
+      let gb = 0;
+      for (const k of batch) {
+        const err = sigmoid(dot(w, Xtr[k]) + b) - ytr[k];
+        for (let j = 0; j < dim; j++) gw[j] += err * Xtr[k][j];
+        gb += err;
+      }
+      for (let j = 0; j < dim; j++) w[j] -= o.lr * (gw[j] / batch.length + o.l2 * w[j]);
+      b -= o.lr * gb / batch.length;
+    }
+    if (o.verbose) console.log(`epoch ${ep + 1}/${o.epochs} train logLoss ${evaluate(w, b, Xtr, ytr).logLoss}`);
+  }
+
+  const trainedAt = new Date().toISOString();
+  return {
+    version: trainedAt.replace(/[-:]/g, "").replace(/\..*$/, ""),
+    trainedAt,
+    schema: FEATURE_SCHEMA.version,
+    dim,
+    keys,
+    weights: w.map(v => round(v, 8)),
+    bias: round(b, 8),
+    scaler: { mean: scaler.mean.map(v => round(v, 10)), std: scaler.std.map(v => round(v, 10)) },
+    trained: nTrain,
+    embargoed: valStart - nTrain,
+    metrics: { train: evaluate(w, b, Xtr, ytr), validation: evaluate(w, b, Xva, yva) },
+    params: { tf: o.tf, lookback: o.lookback, horizon: o.horizon, band: o.band, step: o.step, val: o.val, epochs: o.epochs, batch: o.batch, lr: o.lr, l2: o.l2, seed: o.seed, elliott: !o.noElliott }
+  };
+}
+
+// ----------------- CLI -----------------
+function parseArgs(argv) {
+  const out = { files: [], symbols: [], tf: "15m", activate: false, cnn: false, opts: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i], v = argv[i + 1];
+    if (a === "--file") { out.files.push(v); i++; }
+    else if (a === "--symbol") { out.symbols.push(...String(v).toUpperCase().split(",")); i++; }
+    else if (a === "--tf") { out.tf = v; i++; }
+    else if (a === "--activate") out.activate = true;
+    else if (a === "--cnn") out.cnn = true;
+    else if (a === "--noElliott") out.opts.noElliott = true;
+    else if (a === "--verbose") out.opts.verbose = true;
+    else if (a.startsWith("--") && a.slice(2) in DEFAULTS) { out.opts[a.slice(2)] = Number(v); i++; }
+  }
+  return out;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.files.length && !args.symbols.length) {
+    console.log("usage: node train_ml.js --symbol BTCUSDT[,ETHUSDT] [--tf 15m]   (stored candles, cache/candles)\n" +
+      "       node train_ml.js --file <candles.json> [--file ...] [--tf 15m]\n" +
+      "       [--lookback 500] [--horizon 16] [--band 0.25] [--step 1] [--val 0.2] [--epochs 40] [--batch 64]\n" +
+      "       [--lr 0.05] [--l2 0.001] [--seed 42] [--noElliott] [--activate] [--verbose]\n" +
+      "       --cnn: train the candle-pattern classifier instead (uses --horizon --band --step --val --epochs --batch --lr --l2 --seed)");
+    process.exit(1);
+  }
+
+  const sources = [
+    ...args.symbols.map(s => ({ name: s, candles: readStored(s, args.tf) })),
+    ...args.files.map(f => { const d = loadCandleFile(f, args.tf); return { name: d.symbol, candles: d.candles[args.tf] || [] }; })
+  ];
+
+  if (args.cnn) return mainCNN(args, sources);
+
+  // per-source datasets stay chronological; samples are merged by time so validation is the most recent slice
+  const rows = [];
+  let keys = [];
+  for (const src of sources) {
+    const ds = await buildDataset(src.candles, { ...args.opts, symbol: src.name, tf: args.tf });
+    console.log(`${src.name} ${args.tf}: ${src.candles.length} candles -> ${ds.X.length} samples`);
+    if (ds.keys.length) keys = ds.keys;
+    ds.X.forEach((x, i) => rows.push({ x, y: ds.y[i], t: ds.ts[i] }));
+  }
+  rows.sort((a, b) => a.t - b.t);
+
+  const model = trainLogistic({ X: rows.map(r => r.x), y: rows.map(r => r.y), ts: rows.map(r => r.t), keys }, { ...args.opts, tf: args.tf });
+  model.source = { symbols: sources.map(s => s.name), tf: args.tf };
+  const { train, validation } = model.metrics;
+  console.log(`train      n=${train.n} logLoss ${train.logLoss} auc ${train.auc} acc ${train.accuracy}`);
+  console.log(`validation n=${validation.n} logLoss ${validation.logLoss} auc ${validation.auc} acc ${validation.accuracy} (base rate ${validation.posRate})`);
+
+  const file = writeModelFile(model);
+  console.log(`model ${model.version} -> ${file}`);
+  if (args.activate) {
+    const r = loadModelFile(file);
+    console.log(r.ok ? `activated ${r.version} (dim ${r.dim})` : `activation failed: ${r.error}`);
+  }
+}
+
+// --cnn: only flags given explicitly override candle_cnn's own training defaults
+async function mainCNN(args, sources) {
+  const o = { horizon: DEFAULTS.horizon, band: DEFAULTS.band, ...args.opts };
+  const rows = [];
+  for (const src of sources) {
+    const ds = buildCNNDataset(src.candles, { horizon: o.horizon, band: o.band, step: o.step || 1 });
+    console.log(`${src.name} ${args.tf}: ${src.candles.length} candles -> ${ds.length} samples`);
+    rows.push(...ds);
+  }
+  rows.sort((a, b) => a.t - b.t);
+
+  const pick = ["val", "epochs", "batch", "lr", "l2", "seed", "verbose"].filter(k => k in args.opts);
+  const net = trainCNN(rows, { ...Object.fromEntries(pick.map(k => [k, args.opts[k]])), horizon: o.horizon, step: o.step || 1, tf: args.tf });
+  net.source = { symbols: sources.map(s => s.name), tf: args.tf, horizon: o.horizon, band: o.band };
+  const { train, validation } = net.metrics;
+  console.log(`train      n=${train.n} logLoss ${train.logLoss} acc ${train.accuracy}`);
+  console.log(`validation n=${validation.n} logLoss ${validation.logLoss} acc ${validation.accuracy}`);
+  console.log(saveCNN(net) ? `candle cnn ${net.version} saved` : "could not write the candle cnn file");
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(e => { console.error(e?.message || e); process.exit(1); });
+}
+
+export default { buildDataset, fitScaler, trainLogistic, evaluate };
@@ -1,109 +1,80 @@
 // utils.js — FIXED FOR INDICATOR ENGINE COMPATIBILITY
 
-import axios from "axios";
 import CONFIG from "./config.js";
+import { getProviders, resolveMarket, servesInterval, tfToMs } from "./data_providers.js";
+import { getCandles } from "./candle_store.js";
+import { resampleCandles, canResample } from "./candle_resampler.js";
+import { getTicker } from "./binance_stream.js";
 
-async function safeGet(url, retry = 3) {
-  try {
-    return await axios.get(url, { timeout: 8000, proxy: false });
-  } catch (err) {
-    if (retry > 0) return safeGet(url, retry - 1);
-    return null;
-  }
-}
+const LIVE_TICK_MAX_AGE_MS = 5_000;
 
 // ===========================================
 // LIVE PRICE
 // ===========================================
-export async function fetchPrice(symbol, market) {
-  try {
-    const map = CONFIG.SYMBOLS[market][symbol];
-
-    // CRYPTO → Binance → Yahoo
-    if (market === "CRYPTO") {
-      for (const host of CONFIG.API.BINANCE) {
-        const r = await safeGet(`${host}/api/v3/ticker/price?symbol=${map.binance}`);
-        if (r?.data?.price) return parseFloat(r.data.price);
-      }
-    }
-
-    // Others (NIFTY / FOREX / COMMOD)
-    for (const y of CONFIG.API.YAHOO) {
-      const r = await safeGet(`${y}/${map.yahoo}?interval=1m&range=1d`);
-      const p = r?.data?.chart?.result?.[0]?.meta?.regularMarketPrice;
-      if (p) return Number(p);
-    }
+export async function fetchPrice(symbol, market = resolveMarket(symbol)) {
+  // fresh websocket bookTicker beats a REST round-trip
+  const tick = getTicker(symbol);
+  if (tick && Date.now() - tick.ts < LIVE_TICK_MAX_AGE_MS && tick.price > 0) return tick.price;
 
-    return null;
-  } catch {
-    return null;
+  for (const p of getProviders(symbol, market)) {
+    try {
+      const price = await p.getPrice(symbol);
+      if (Number.isFinite(price) && price > 0) return price;
+    } catch {}
   }
+  return null;
 }
 
 // ===========================================
 // MULTI-TF FETCH
+// fetchMultiTF(symbol, market, intervals, { limit }) — market may be omitted:
+// fetchMultiTF("BTCUSDT", ["15m","1h"]) resolves it from CONFIG.SYMBOLS.
+// Served from the local candle store (candle_store.js), which only pulls
+// the missing tail from the providers, so every module shares one history.
+// Higher TFs no provider serves (e.g. 4h on Yahoo) are resampled from
+// CONFIG.RESAMPLE.BASE_TF with session alignment (candle_resampler.js).
+// Candles: { t, open, high, low, close, vol }
 // ===========================================
-export async function fetchMultiTF(symbol, market, intervals = CONFIG.INTERVALS) {
+export async function fetchMultiTF(symbol, market, intervals = CONFIG.INTERVALS, opts = {}) {
+  if (Array.isArray(market)) { opts = intervals && !Array.isArray(intervals) ? intervals : {}; intervals = market; market = null; }
+  market = market || resolveMarket(symbol);
+  const limit = opts.limit ?? CONFIG.DEFAULT_LIMIT;
   const out = {};
 
   for (const tf of intervals) {
-    out[tf] = { tf, data: await fetchOHLC(symbol, market, tf) };
+    let data = servesInterval(symbol, market, tf) ? await getCandles(symbol, tf, { market, limit }) : [];
+    if (!data.length && canResample(tf)) data = await fetchResampled(symbol, market, tf, limit);
+    out[tf] = { tf, data };
   }
 
   return out;
 }
 
+async function fetchResampled(symbol, market, tf, limit) {
+  const base = CONFIG.RESAMPLE.BASE_TF;
+  const ratio = Math.ceil(tfToMs(tf) / tfToMs(base));
+  const rows = await getCandles(symbol, base, { market, limit: limit * ratio });
+  return resampleCandles(rows, tf, { market }).slice(-limit);
+}
+
 // ===========================================
-// OHLC FETCHER (BINANCE + YAHOO)
-// NORMALIZED to indicator engine format:
-// { t, open, high, low, close, vol }
+// BOUNDED CONCURRENCY
+// mapLimit(items, limit, fn) — fn(item, i) with at most `limit` in flight;
+// results keep input order, a rejection becomes { error } for that slot
 // ===========================================
-async function fetchOHLC(symbol, market, interval) {
-  const map = CONFIG.SYMBOLS[market][symbol];
-
-  // -------- CRYPTO: Binance --------
-  if (market === "CRYPTO") {
-    for (const host of CONFIG.API.BINANCE) {
-      try {
-        const r = await safeGet(
-          `${host}/api/v3/klines?symbol=${map.binance}&interval=${interval}&limit=200`
-        );
-        if (!r?.data) continue;
-
-        return r.data.map(k => ({
-          t: k[0],
-          open: Number(k[1]),
-          high: Number(k[2]),
-          low: Number(k[3]),
-          close: Number(k[4]),
-          vol: Number(k[5])
-        }));
-      } catch {}
+export async function mapLimit(items = [], limit = 1, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      try { out[i] = await fn(items[i], i); } catch (e) { out[i] = { error: e?.message || String(e) }; }
     }
-  }
-
-  // -------- Yahoo (NIFTY, Forex, Commodities) --------
-  for (const y of CONFIG.API.YAHOO) {
-    try {
-      const r = await safeGet(`${y}/${map.yahoo}?interval=${interval}&range=5d`);
-      const res = r?.data?.chart?.result?.[0];
-      if (!res) continue;
-
-      const ts = res.timestamp || [];
-      const q = res.indicators?.quote?.[0];
-
-      return ts.map((t, i) => ({
-        t: t * 1000,
-        open: Number(q.open?.[i]),
-        high: Number(q.high?.[i]),
-        low: Number(q.low?.[i]),
-        close: Number(q.close?.[i]),
-        vol: Number(q.volume?.[i] ?? 0)
-      })).filter(c => Number.isFinite(c.close));
-    } catch {}
-  }
-
-  return [];
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return out;
 }
 
-export default { fetchPrice, fetchMultiTF };
\ No newline at end of file
+export { resolveMarket, tfToMs };
+
+export default { fetchPrice, fetchMultiTF, tfToMs, resolveMarket, mapLimit };
@@ -0,0 +1,242 @@
+// ws_server.js — WebSocket push channel for live signals, prices and reversal alerts (ws)
+// - Mounted on the API server (api_server.js) at CONFIG.WS_SERVER.PATH, or on its own PORT when started alone
+// - Client -> server: { op: "subscribe" | "unsubscribe", topics: [...] } (or topic: "..."), { op: "ping" }
+// - Server -> client, schema v1: { v: 1, type, ts, topic?, data?, error? }
+//     type: "hello" | "snapshot" (answer to subscribe) | "update" | "ack" | "error" | "pong"
+// - Topics:
+//     signal:<SYMBOL>:<TF>        data { symbol, tf, result } — generateMergeSignal result; every live analysis
+//                                 is pushed, subscribed topics are refreshed once per new TF bar
+//     price:<SYMBOL>              data { symbol, price, bid, ask, ts, source } — stream ticker (throttled) or polled
+//     alert:reversal:<SYMBOL|*>   data: reversal_watcher detailed alert payload (SYMBOL: the watched
+//                                 CONFIG.REVERSAL_WATCHER.SYMBOL only; other symbols are rejected)
+// - Every subscribe gets a snapshot first (latest signal / current price / recent alerts), then updates
+// - Keys as the REST API: ?key= on the connect URL when CONFIG.API_SERVER.KEYS is set
+// - Exports: startWsServer, stopWsServer, publish, topicMatches
+
+import { WebSocketServer } from "ws";
+import CONFIG from "./config.js";
+import { fetchPrice, resolveMarket, tfToMs } from "./utils.js";
+import { generateMergeSignal, latestSignal, signalEvents } from "./merge_signals.js";
+import { reversalEvents, recentAlerts } from "./reversal_watcher.js";
+import { streamEvents, getTicker } from "./binance_stream.js";
+
+const OPTS = Object.assign({
+  PATH: "/ws",
+  PORT: 3001,               // standalone only
+  MAX_TOPICS: 50,           // per client
+  PING_MS: 30_000,          // heartbeat; clients that miss one are dropped
+  SIGNAL_CHECK_MS: 15_000,  // how often subscribed signal topics are checked for a new bar
+  PRICE_MS: 5_000,          // poll interval for symbols without a stream ticker
+  PRICE_THROTTLE_MS: 1_000, // max one streamed price update per symbol per interval
+  ALERT_SNAPSHOT: 10
+}, CONFIG.WS_SERVER || {});
+const API_KEYS = CONFIG.API_SERVER?.KEYS || [];
+const TIMEFRAMES = CONFIG.API_SERVER?.TIMEFRAMES || ["1m", "5m", "15m", "30m", "1h", "4h"];
+const SCHEMA = 1;
+const REVERSAL_SYMBOL = String(CONFIG.REVERSAL_WATCHER?.SYMBOL || "BTCUSDT").toUpperCase();
+
+let _wss = null;
+let _timers = [];
+let _unsubs = [];
+let _queue = Promise.resolve();   // signal refreshes run one at a time
+const _inflight = new Map();      // "SYM:tf" -> queued / running refresh (shared by concurrent subscribers)
+const _lastBar = new Map();       // "SYM:tf" -> bar index of the last pushed signal
+const _lastPrice = new Map();     // SYM -> ts of the last pushed streamed price
+
+// ---------------- topics ----------------
+// canonical topic info { topic, kind, symbol, tf }, { error } for a valid topic nothing publishes on, or null
+function parseTopic(raw) {
+  const parts = String(raw || "").trim().split(":");
+  const kind = parts[0].toLowerCase();
+  if (kind === "signal" && parts.length === 3) {
+    const symbol = parts[1].toUpperCase(), tf = parts[2].toLowerCase();
+    if (!resolveMarket(symbol) || !TIMEFRAMES.includes(tf)) return null;
+    return { topic: `signal:${symbol}:${tf}`, kind, symbol, tf };
+  }
+  if (kind === "price" && parts.length === 2) {
+    const symbol = parts[1].toUpperCase();
+    return resolveMarket(symbol) ? { topic: `price:${symbol}`, kind, symbol } : null;
+  }
+  if (kind === "alert" && parts.length === 3 && parts[1].toLowerCase() === "reversal") {
+    if (parts[2] === "*") return { topic: "alert:reversal:*", kind, symbol: null };
+    const symbol = parts[2].toUpperCase();
+    if (!resolveMarket(symbol)) return null;
+    if (symbol !== REVERSAL_SYMBOL) return { error: `no reversal watcher for ${symbol} (watched: ${REVERSAL_SYMBOL})` };
+    return { topic: `alert:reversal:${symbol}`, kind, symbol };
+  }
+  return null;
+}
+
+// a subscription ending in ":*" matches every topic below it
+export function topicMatches(sub, topic) {
+  return sub === topic || (sub.endsWith(":*") && topic.startsWith(sub.slice(0, -1)));
+}
+
+const subscribed = () => new Set([..._wss?.clients || []].flatMap(ws => [...(ws.topics || [])]));
+
+// ---------------- messaging ----------------
+function send(ws, msg) {
+  if (ws.readyState !== 1) return;
+  try { ws.send(JSON.stringify({ v: SCHEMA, ts: new Date().toISOString(), ...msg })); } catch (e) {}
+}
+
+// push one update to every client subscribed to `topic`
+export function publish(topic, data) {
+  if (!_wss) return 0;
+  let n = 0;
+  for (const ws of _wss.clients) {
+    if (![...(ws.topics || [])].some(s => topicMatches(s, topic))) continue;
+    send(ws, { type: "update", topic, data });
+    n++;
+  }
+  return n;
+}
+
+// ---------------- sources ----------------
+const barOf = tf => Math.floor(Date.now() / tfToMs(tf));
+
+// fresh analysis; generateMergeSignal announces it on signalEvents, which publishes it
+// (one refresh per symbol/TF at a time: later callers wait on the pending one)
+function refreshSignal(symbol, tf) {
+  const key = `${symbol}:${tf}`;
+  _lastBar.set(key, barOf(tf));
+  if (_inflight.has(key)) return _inflight.get(key);
+  _queue = _queue.then(() => generateMergeSignal(symbol, { mainTF: tf, record: false })).catch(() => null);
+  const p = _queue.finally(() => _inflight.delete(key));
+  _inflight.set(key, p);
+  return p;
+}
+
+async function priceOf(symbol) {
+  const t = getTicker(symbol);
+  if (t && Date.now() - t.ts < OPTS.PRICE_MS) return { symbol, price: t.price, bid: t.bid, ask: t.ask, ts: t.ts, source: "stream" };
+  const price = await fetchPrice(symbol).catch(() => null);
+  return Number.isFinite(price) ? { symbol, price, bid: null, ask: null, ts: Date.now(), source: "poll" } : null;
+}
+
+async function snapshot(t) {
+  if (t.kind === "signal") {
+    let ev = latestSignal(t.symbol, t.tf);
+    if (!ev) { await refreshSignal(t.symbol, t.tf); ev = latestSignal(t.symbol, t.tf); }
+    return ev ? { symbol: ev.symbol, tf: ev.tf, result: ev.result } : null;
+  }
+  if (t.kind === "price") return priceOf(t.symbol);
+  return recentAlerts({ symbol: t.symbol, limit: OPTS.ALERT_SNAPSHOT });
+}
+
+function checkSignals() {
+  for (const topic of subscribed()) {
+    const t = parseTopic(topic);
+    if (t?.kind !== "signal") continue;
+    if (_lastBar.get(`${t.symbol}:${t.tf}`) !== barOf(t.tf)) refreshSignal(t.symbol, t.tf);
+  }
+}
+
+async function pollPrices() {
+  for (const topic of subscribed()) {
+    const t = parseTopic(topic);
+    if (t?.kind !== "price") continue;
+    const tick = getTicker(t.symbol);
+    if (tick && Date.now() - tick.ts < OPTS.PRICE_MS) continue;  // the stream is pushing it
+    const p = await priceOf(t.symbol);
+    if (p) publish(t.topic, p);
+  }
+}
+
+function wireSources() {
+  const onSignal = ({ symbol, tf, result }) => {
+    _lastBar.set(`${symbol}:${tf}`, barOf(tf));
+    publish(`signal:${symbol}:${tf}`, { symbol, tf, result });
+  };
+  const onAlert = ({ body }) => { if (body?.symbol) publish(`alert:reversal:${body.symbol}`, body); };
+  const onTicker = (tick) => {
+    const now = Date.now();
+    if (now - (_lastPrice.get(tick.symbol) || 0) < OPTS.PRICE_THROTTLE_MS) return;
+    _lastPrice.set(tick.symbol, now);
+    publish(`price:${tick.symbol}`, { symbol: tick.symbol, price: tick.price, bid: tick.bid, ask: tick.ask, ts: tick.ts, source: "stream" });
+  };
+  signalEvents.on("signal", onSignal);
+  reversalEvents.on("alert", onAlert);
+  streamEvents.on("ticker", onTicker);
+  _unsubs.push(
+    () => signalEvents.off("signal", onSignal),
+    () => reversalEvents.off("alert", onAlert),
+    () => streamEvents.off("ticker", onTicker)
+  );
+}
+
+// ---------------- connections ----------------
+async function onMessage(ws, raw) {
+  let msg;
+  try { msg = JSON.parse(String(raw)); } catch (e) { return send(ws, { type: "error", error: "invalid JSON" }); }
+  const op = String(msg?.op || "").toLowerCase();
+  if (op === "ping") return send(ws, { type: "pong" });
+  if (op !== "subscribe" && op !== "unsubscribe") return send(ws, { type: "error", error: `unknown op ${msg?.op}` });
+
+  const topics = Array.isArray(msg.topics) ? msg.topics : [msg.topic];
+  for (const raw of topics) {
+    const t = parseTopic(raw);
+    if (!t || t.error) { send(ws, { type: "error", topic: raw, error: t?.error || `invalid topic ${raw}` }); continue; }
+    if (op === "unsubscribe") { ws.topics.delete(t.topic); continue; }
+    if (ws.topics.has(t.topic)) continue;
+    if (ws.topics.size >= OPTS.MAX_TOPICS) { send(ws, { type: "error", topic: t.topic, error: `max ${OPTS.MAX_TOPICS} topics` }); continue; }
+    let data = null;
+    try { data = await snapshot(t); } catch (e) {}
+    send(ws, { type: "snapshot", topic: t.topic, data });
+    ws.topics.add(t.topic);
+  }
+  send(ws, { type: "ack", data: { op, topics: [...ws.topics] } });
+}
+
+function onConnection(ws, req) {
+  if (API_KEYS.length) {
+    const key = new URL(req.url, "http://localhost").searchParams.get("key") || req.headers["x-api-key"];
+    if (!API_KEYS.includes(key)) return ws.close(1008, "invalid or missing API key");
+  }
+  ws.topics = new Set();
+  ws.isAlive = true;
+  ws.on("pong", () => { ws.isAlive = true; });
+  ws.on("message", raw => { onMessage(ws, raw).catch(() => {}); });
+  ws.on("error", () => {});
+  send(ws, { type: "hello", data: { schema: SCHEMA, topics: ["signal:<SYMBOL>:<TF>", "price:<SYMBOL>", "alert:reversal:<SYMBOL|*>"], timeframes: TIMEFRAMES, reversalSymbol: REVERSAL_SYMBOL } });
+}
+
+function heartbeat() {
+  for (const ws of _wss?.clients || []) {
+    if (!ws.isAlive) { ws.terminate(); continue; }
+    ws.isAlive = false;
+    try { ws.ping(); } catch (e) {}
+  }
+}
+
+// ---------------- Public API ----------------
+/**
+ * startWsServer({ server, port }) — attach to an http.Server (api_server.js) or listen on `port`
+ */
+export function startWsServer({ server = null, port = OPTS.PORT } = {}) {
+  if (_wss) return _wss;
+  _wss = server ? new WebSocketServer({ server, path: OPTS.PATH }) : new WebSocketServer({ port, path: OPTS.PATH });
+  _wss.on("connection", onConnection);
+  _wss.on("error", e => console.log("ws server error:", e?.message || e));
+  wireSources();
+  _timers = [
+    setInterval(heartbeat, OPTS.PING_MS),
+    setInterval(checkSignals, OPTS.SIGNAL_CHECK_MS),
+    setInterval(() => { pollPrices().catch(() => {}); }, OPTS.PRICE_MS)
+  ];
+  return _wss;
+}
+
+export function stopWsServer() {
+  _timers.forEach(clearInterval);
+  _timers = [];
+  _unsubs.forEach(fn => fn());
+  _unsubs = [];
+  if (!_wss) return Promise.resolve();
+  const wss = _wss;
+  _wss = null;
+  for (const ws of wss.clients) ws.terminate();
+  return new Promise(resolve => wss.close(() => resolve()));
+}
+
+export default { startWsServer, stopWsServer, publish, topicMatches };